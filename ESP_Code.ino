@@ -1,5 +1,6 @@
 #include <WiFi.h>
 #include <HTTPClient.h>
+#include <WebSocketsClient.h> // "WebSockets" library by Markus Sattler, from the Library Manager
 
 // WiFi credentials
 const char* ssid = "<SSID>";
@@ -7,7 +8,7 @@ const char* password = "<PASSWORD>";
 
 // Node identification
 const char* NODE_ID = "<ID>"; // Must match exactly what you set on the website
-const char* NODE_NAME = "<Name>"; // Optional name for the node (will be set on first connection)
+const char* DEVICE_KEY = "<DEVICE_KEY>"; // Shown once when the node is added on the website (or its key is rotated)
 
 // Server configuration - IMPORTANT: Update this to match your actual server IP address
 const char* SERVER_IP = "<IP>"; // Change this to your server's actual IP address
@@ -18,14 +19,25 @@ String baseUrl;               // Base URL for the server
 String sensorDataUrl;         // URL to send sensor data
 String relayStatusUrl;        // URL to check relay status
 String relayControlUrl;       // URL to control relay
-String nodeRegistrationUrl;   // URL to register this node
+String relayReportUrl;        // URL to report the relay state after switching
 String nodeSettingsUrl;       // URL to get/set threshold and auto-cutoff settings
 
+// Device connection to the server. While it is open, relay commands arrive as
+// soon as they are set and sensor data goes over it; otherwise the node falls
+// back to HTTP polling and posts.
+WebSocketsClient deviceSocket;
+bool socketConnected = false;
+const unsigned long SOCKET_RECONNECT_INTERVAL = 5000;
+
 // Relay pin
 const int RELAY_PIN = 2; // GPIO2 - change this to match your hardware
 
 // Use UART1 for sensor communication (PZEM or other power sensor)
 HardwareSerial SensorSerial(1);
+// Lines are "voltage,current,power", optionally followed by the extended fields
+// of meters such as the STPM33, in this order:
+const char* EXTENDED_FIELDS[] = { "powerFactor", "frequency", "apparentPower", "reactivePower", "meterEnergy" };
+const int EXTENDED_FIELD_COUNT = 5;
 #define RXD2 16
 #define TXD2 17  // Not used for RX-only
 
@@ -63,33 +75,6 @@ void ensureWiFiConnection() {
   }
 }
 
-// Register node with server
-void registerNode() {
-  if (WiFi.status() != WL_CONNECTED) return;
-
-  HTTPClient http;
-  http.begin(nodeRegistrationUrl);
-  http.addHeader("Content-Type", "application/json");
-
-  // Create JSON string manually for node registration including name
-  String jsonData = "{\"nodeId\": \"" + String(NODE_ID) + 
-                    "\", \"name\": \"" + String(NODE_NAME) + "\"}";
-
-  int httpResponseCode = http.POST(jsonData);
-  if (httpResponseCode > 0) {
-    if (httpResponseCode == 201) {
-      Serial.println("Node registered successfully");
-    } else if (httpResponseCode == 409) {
-      Serial.println("Node already exists (this is normal)");
-    } else {
-      Serial.println("Node registration returned: " + String(httpResponseCode));
-    }
-  } else {
-    Serial.println("Node registration failed with error: " + http.errorToString(httpResponseCode));
-  }
-  http.end();
-}
-
 void setup() {
   // Initialize serial communications
   Serial.begin(115200);  
@@ -127,14 +112,41 @@ void setup() {
     sensorDataUrl = baseUrl + "/api/sensor/" + String(NODE_ID);
     relayStatusUrl = baseUrl + "/api/relay/" + String(NODE_ID);  // Get relay status
     relayControlUrl = baseUrl + "/api/relay/" + String(NODE_ID); // Set relay state (same endpoint)
-    nodeRegistrationUrl = baseUrl + "/api/nodes";
+    relayReportUrl = baseUrl + "/api/relay/" + String(NODE_ID) + "/report";
     nodeSettingsUrl = baseUrl + "/api/nodes/" + String(NODE_ID) + "/settings";
-    
-    // Register node with server
-    registerNode();
+
+    // Nodes are added on the website by an admin, which issues DEVICE_KEY
   } else {
     Serial.println("\nWiFi connection failed! Will retry later.");
   }
+
+  // The socket keeps reconnecting on its own, including after WiFi comes back
+  deviceSocket.begin(SERVER_IP, SERVER_PORT, "/ws/device/" + String(NODE_ID));
+  deviceSocket.setExtraHeaders(("X-Device-Key: " + String(DEVICE_KEY)).c_str());
+  deviceSocket.onEvent(onDeviceSocketEvent);
+  deviceSocket.setReconnectInterval(SOCKET_RECONNECT_INTERVAL);
+}
+
+// Tell the server the relay actually switched, so it can confirm the command
+void reportRelayState() {
+  if (WiFi.status() != WL_CONNECTED) return;
+
+  if (socketConnected) {
+    String frame = "{\"type\": \"relay_report\", \"state\": \"" + String(relayState ? "on" : "off") + "\"}";
+    deviceSocket.sendTXT(frame);
+    return;
+  }
+
+  HTTPClient http;
+  http.begin(relayReportUrl);
+  http.addHeader("Content-Type", "application/json");
+  http.addHeader("X-Device-Key", DEVICE_KEY);
+
+  int httpResponseCode = http.POST("{\"state\": \"" + String(relayState ? "on" : "off") + "\"}");
+  if (httpResponseCode != 200) {
+    Serial.println("Relay report error: " + String(httpResponseCode));
+  }
+  http.end();
 }
 
 // Control the relay and update state
@@ -142,6 +154,62 @@ void controlRelay(bool state) {
   digitalWrite(RELAY_PIN, state ? HIGH : LOW);
   relayState = state;
   Serial.println("Relay turned " + String(state ? "ON" : "OFF"));
+  reportRelayState();
+}
+
+// Apply a relay command from the server: a relay status response, or a pushed relay frame
+void applyRelayCommand(String response) {
+  // Parse JSON response manually using string operations
+  int stateIndex = response.indexOf("\"state\":");
+  if (stateIndex != -1) {
+    int startQuote = response.indexOf("\"", stateIndex + 8);
+    int endQuote = response.indexOf("\"", startQuote + 1);
+    
+    if (startQuote != -1 && endQuote != -1) {
+      String relayCommand = response.substring(startQuote + 1, endQuote);
+      
+      if (relayCommand != lastRelayCommand) {
+        lastRelayCommand = relayCommand;
+        Serial.println("Received relay command: " + relayCommand);
+      }
+
+      // Apply the command whenever the relay doesn't match it, not only when it changes,
+      // so a relay that was reset or failed to switch is corrected on the next command
+      if (relayCommand == "on" && !relayState) {
+        controlRelay(true);
+      } else if (relayCommand == "off" && relayState) {
+        controlRelay(false);
+      }
+    }
+  }
+}
+
+// Device connection events. The server sends the current relay command on connect
+// and pushes every change after that.
+void onDeviceSocketEvent(WStype_t type, uint8_t* payload, size_t length) {
+  switch (type) {
+    case WStype_CONNECTED:
+      socketConnected = true;
+      Serial.println("Device connection open: relay commands are pushed");
+      break;
+    case WStype_DISCONNECTED:
+      if (socketConnected) {
+        Serial.println("Device connection closed: polling relay commands over HTTP");
+      }
+      socketConnected = false;
+      break;
+    case WStype_TEXT: {
+      String message = String((char*)payload).substring(0, length);
+      if (message.indexOf("\"type\":\"relay\"") != -1) {
+        applyRelayCommand(message);
+      } else if (message.indexOf("\"type\":\"error\"") != -1) {
+        Serial.println("Server rejected a message: " + message);
+      }
+      break;
+    }
+    default:
+      break;
+  }
 }
 
 // Check for relay commands from server
@@ -150,33 +218,14 @@ void checkRelayCommands() {
 
   HTTPClient http;
   http.begin(relayStatusUrl);
+  http.addHeader("X-Device-Key", DEVICE_KEY);
   
   int httpResponseCode = http.GET();
   
   if (httpResponseCode == 200) {
-    String response = http.getString();
-    
-    // Parse JSON response manually using string operations
-    int stateIndex = response.indexOf("\"state\":");
-    if (stateIndex != -1) {
-      int startQuote = response.indexOf("\"", stateIndex + 8);
-      int endQuote = response.indexOf("\"", startQuote + 1);
-      
-      if (startQuote != -1 && endQuote != -1) {
-        String relayCommand = response.substring(startQuote + 1, endQuote);
-        
-        if (relayCommand != lastRelayCommand) {
-          lastRelayCommand = relayCommand;
-          Serial.println("Received relay command: " + relayCommand);
-          
-          if (relayCommand == "on" && !relayState) {
-            controlRelay(true);
-          } else if (relayCommand == "off" && relayState) {
-            controlRelay(false);
-          }
-        }
-      }
-    }
+    applyRelayCommand(http.getString());
+  } else if (httpResponseCode == 401) {
+    Serial.println("Relay check rejected: check DEVICE_KEY");
   } else if (httpResponseCode > 0) {
     Serial.println("Relay check error: " + String(httpResponseCode));
   } else {
@@ -186,23 +235,40 @@ void checkRelayCommands() {
   http.end();
 }
 
-// Send sensor data to server
-void sendSensorData(float voltage, float current, float power) {
+// Send sensor data to server as a version 2 sensor payload. extended holds any
+// extended fields already formatted as JSON members, each starting with a comma.
+void sendSensorData(float voltage, float current, float power, String extended) {
   if (WiFi.status() != WL_CONNECTED) return;
 
+  // Create JSON string manually for sensor data
+  String fields = "\"v\": 2"
+                  ", \"voltage\": " + String(voltage, 2) +
+                  ", \"current\": " + String(current, 2) +
+                  ", \"power\": " + String(power, 2) +
+                  extended +
+                  ", \"rssi\": " + String(WiFi.RSSI()) +
+                  ", \"uptime\": " + String(millis() / 1000) +
+                  ", \"relay\": \"" + String(relayState ? "on" : "off") + "\"";
+
+  if (socketConnected) {
+    String frame = "{\"type\": \"sensor\", " + fields + "}";
+    deviceSocket.sendTXT(frame);
+    return;
+  }
+
   HTTPClient http;
   http.begin(sensorDataUrl);
   http.addHeader("Content-Type", "application/json");
+  http.addHeader("X-Device-Key", DEVICE_KEY);
 
-  // Create JSON string manually for sensor data
-  String jsonData = "{\"voltage\": " + String(voltage, 2) +
-                    ", \"current\": " + String(current, 2) +
-                    ", \"power\": " + String(power, 2) + "}";
+  String jsonData = "{" + fields + "}";
 
   int httpResponseCode = http.POST(jsonData);
   if (httpResponseCode > 0) {
     if (httpResponseCode == 200) {
       Serial.println("Data sent successfully");
+    } else if (httpResponseCode == 401) {
+      Serial.println("Data rejected: check DEVICE_KEY");
     } else {
       Serial.println("Data sent with response code: " + String(httpResponseCode));
     }
@@ -223,8 +289,10 @@ void loop() {
   
   // Only perform operations if connected to WiFi
   if (WiFi.status() == WL_CONNECTED) {
-    // Check for relay commands periodically
-    if (currentTime - lastRelayCheck >= RELAY_CHECK_INTERVAL) {
+    deviceSocket.loop();
+
+    // Poll for relay commands only while there's no device connection to push them
+    if (!socketConnected && currentTime - lastRelayCheck >= RELAY_CHECK_INTERVAL) {
       checkRelayCommands();
       lastRelayCheck = currentTime;
     }
@@ -235,14 +303,28 @@ void loop() {
     String data = SensorSerial.readStringUntil('\n');
     data.trim();
 
-    // Parse comma-separated values (voltage,current,power)
+    // Parse comma-separated values (voltage,current,power[,extended fields])
     int v1 = data.indexOf(',');
     int v2 = data.indexOf(',', v1 + 1);
 
     if (v1 > 0 && v2 > v1) {
+      int v3 = data.indexOf(',', v2 + 1);
       float voltage = data.substring(0, v1).toFloat();
       float current = data.substring(v1 + 1, v2).toFloat();
-      float power   = data.substring(v2 + 1).toFloat();
+      float power   = data.substring(v2 + 1, v3 < 0 ? data.length() : v3).toFloat();
+
+      String extended = "";
+      int start = v3 + 1;
+      for (int i = 0; v3 >= 0 && i < EXTENDED_FIELD_COUNT; i++) {
+        int end = data.indexOf(',', start);
+        String value = data.substring(start, end < 0 ? data.length() : end);
+        value.trim();
+        if (value.length() > 0) {
+          extended += ", \"" + String(EXTENDED_FIELDS[i]) + "\": " + String(value.toFloat(), 3);
+        }
+        if (end < 0) break;
+        start = end + 1;
+      }
 
       // Print sensor values and relay state
       Serial.printf("Sensor → V: %.2fV, I: %.2fA, P: %.2fW | Relay: %s\n", 
@@ -250,7 +332,7 @@ void loop() {
 
       // Send data to server based on interval
       if (currentTime - lastSensorRead >= SENSOR_INTERVAL && WiFi.status() == WL_CONNECTED) {
-        sendSensorData(voltage, current, power);
+        sendSensorData(voltage, current, power, extended);
         lastSensorRead = currentTime;
       }
     } else {
@@ -0,0 +1,286 @@
+// Alert rules and lifecycle: raised -> acknowledged -> cleared
+//
+// A rule watches one metric of a node: above or below a limit, or changing faster
+// than a rate per second. An alert is raised once the rule has been breached for
+// its duration and cleared once the reading is back past the rule's clear value.
+// A clear value a little inside the limit (hysteresis) stops a reading that
+// hovers around the limit from raising and clearing over and over.
+//
+// Rules are stored on the node as { id, metric, condition, value, clearValue,
+// duration, severity, actions, enabled }. The node's own threshold, clearThreshold,
+// minDuration and autoCutoff settings act as a built-in "threshold" power rule.
+//
+// Alert records are { nodeId, ruleId, metric, condition, unit, severity, message,
+// state, value, peakValue, threshold, clearThreshold, raisedAt, acknowledgedAt,
+// acknowledgedBy, clearedAt, clearValue }. peakValue is the furthest reading past
+// the limit while active. Acknowledging is independent of clearing: a cleared
+// alert can still be acknowledged.
+
+const STATES = ['raised', 'acknowledged', 'cleared'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const METRICS = { voltage: 'V', current: 'A', power: 'W' };
+const CONDITIONS = ['above', 'below', 'rate'];
+const ACTIONS = ['notify', 'cutoff'];
+
+const THRESHOLD_RULE_ID = 'threshold';
+
+// Validate a rule from the API, merging it over the stored one when updating.
+// Returns { rule } or { error }.
+function validateRule(input, existing = {}) {
+  const rule = {
+    metric: 'power',
+    clearValue: null,
+    duration: 0,
+    severity: 'warning',
+    actions: ['notify'],
+    enabled: true,
+    ...existing,
+    ...input
+  };
+
+  if (!(rule.metric in METRICS)) {
+    return { error: `metric must be one of: ${Object.keys(METRICS).join(', ')}` };
+  }
+  if (!CONDITIONS.includes(rule.condition)) {
+    return { error: `condition must be one of: ${CONDITIONS.join(', ')}` };
+  }
+  if (typeof rule.value !== 'number' || !Number.isFinite(rule.value)) {
+    return { error: 'value must be a number' };
+  }
+  if (rule.condition === 'rate' && rule.value <= 0) {
+    return { error: 'Rate rules need a value above 0 (change per second)' };
+  }
+  if (rule.clearValue !== null && (typeof rule.clearValue !== 'number' || !Number.isFinite(rule.clearValue))) {
+    return { error: 'clearValue must be a number or null' };
+  }
+  if (rule.clearValue !== null &&
+      (rule.condition === 'below' ? rule.clearValue < rule.value : rule.clearValue > rule.value)) {
+    return { error: `clearValue must not be ${rule.condition === 'below' ? 'below' : 'above'} value` };
+  }
+  if (typeof rule.duration !== 'number' || !Number.isFinite(rule.duration) || rule.duration < 0) {
+    return { error: 'duration must be a number of seconds, 0 or more' };
+  }
+  if (!SEVERITIES.includes(rule.severity)) {
+    return { error: `severity must be one of: ${SEVERITIES.join(', ')}` };
+  }
+  if (!Array.isArray(rule.actions) || rule.actions.length === 0 || !rule.actions.every(action => ACTIONS.includes(action))) {
+    return { error: `actions must be a list of one or more of: ${ACTIONS.join(', ')}` };
+  }
+  // Switching the relay off drops power and current to 0, so the alert could never
+  // clear and the relay would be forced off again after every switch-on
+  if (rule.actions.includes('cutoff') && rule.condition === 'below' && rule.metric !== 'voltage') {
+    return { error: `cutoff can't be used on a below rule for ${rule.metric}, which the cutoff itself would keep breached` };
+  }
+
+  return {
+    rule: {
+      metric: rule.metric,
+      condition: rule.condition,
+      value: rule.value,
+      clearValue: rule.clearValue,
+      duration: rule.duration,
+      severity: rule.severity,
+      actions: [...new Set(rule.actions)],
+      enabled: Boolean(rule.enabled)
+    }
+  };
+}
+
+// Validate a node's threshold settings over its current ones. Returns { settings } or { error }.
+function validateNodeSettings(input, node) {
+  const settings = {
+    threshold: node.threshold ?? null,
+    clearThreshold: node.clearThreshold ?? null,
+    minDuration: node.minDuration ?? 0
+  };
+
+  for (const key of ['threshold', 'clearThreshold']) {
+    if (input[key] === undefined) continue;
+    const value = parseFloat(input[key]);
+    settings[key] = isNaN(value) ? null : value;
+  }
+  if (input.minDuration !== undefined) {
+    const value = Number(input.minDuration);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: 'minDuration must be a number of seconds, 0 or more' };
+    }
+    settings.minDuration = value;
+  }
+
+  if (settings.clearThreshold !== null && settings.threshold !== null && settings.clearThreshold > settings.threshold) {
+    return { error: 'clearThreshold must not be above threshold' };
+  }
+  return { settings };
+}
+
+// The node's threshold settings as a rule, or null when it has no threshold
+function thresholdRule(node) {
+  if (!node.threshold) return null;
+  return {
+    id: THRESHOLD_RULE_ID,
+    metric: 'power',
+    condition: 'above',
+    value: node.threshold,
+    clearValue: node.clearThreshold ?? null,
+    duration: node.minDuration || 0,
+    severity: node.autoCutoff ? 'critical' : 'warning',
+    actions: node.autoCutoff ? ['notify', 'cutoff'] : ['notify'],
+    enabled: true
+  };
+}
+
+// Enabled rules for a node, including its threshold
+function nodeRules(node) {
+  const threshold = thresholdRule(node);
+  return [...(threshold ? [threshold] : []), ...(node.rules || [])].filter(rule => rule.enabled);
+}
+
+// The reading a rule compares: the metric itself, or its change per second since
+// the previous reading for rate rules. null when it can't be measured yet.
+function measure(rule, reading, previous) {
+  const value = reading[rule.metric];
+  if (typeof value !== 'number' || isNaN(value)) return null;
+  if (rule.condition !== 'rate') return value;
+
+  if (!previous || typeof previous[rule.metric] !== 'number' || !(reading.timestamp > previous.timestamp)) return null;
+  return Math.abs(value - previous[rule.metric]) / ((reading.timestamp - previous.timestamp) / 1000);
+}
+
+function isBreached(rule, value) {
+  return rule.condition === 'below' ? value < rule.value : value > rule.value;
+}
+
+function isRecovered(rule, value) {
+  const clearValue = rule.clearValue ?? rule.value;
+  return rule.condition === 'below' ? value >= clearValue : value <= clearValue;
+}
+
+// Advance one rule by a measured value. pendingSince is when an ongoing breach
+// started, for rules that aren't raised yet. Returns { action, pendingSince }
+// where action is 'raise', 'clear' or null.
+function evaluateRule(rule, value, { active, pendingSince, now }) {
+  if (active) {
+    return { action: isRecovered(rule, value) ? 'clear' : null, pendingSince: null };
+  }
+  if (!isBreached(rule, value)) {
+    return { action: null, pendingSince: null };
+  }
+
+  const since = pendingSince ?? now;
+  if (now - since >= rule.duration * 1000) {
+    return { action: 'raise', pendingSince: null };
+  }
+  return { action: null, pendingSince: since };
+}
+
+function formatUnit(rule) {
+  return rule.condition === 'rate' ? `${METRICS[rule.metric]}/s` : METRICS[rule.metric];
+}
+
+function describeBreach(rule, value) {
+  const unit = formatUnit(rule);
+  const label = rule.metric[0].toUpperCase() + rule.metric.slice(1);
+  const reading = Math.round(value * 100) / 100;
+
+  if (rule.id === THRESHOLD_RULE_ID) {
+    return `Power threshold exceeded!\nPower: ${reading}W > Threshold: ${rule.value}W`;
+  }
+  if (rule.condition === 'rate') {
+    return `${label} changing too fast!\n${label}: ${reading}${unit} > Limit: ${rule.value}${unit}`;
+  }
+  return `${label} ${rule.condition === 'above' ? 'too high' : 'too low'}!\n` +
+    `${label}: ${reading}${unit} ${rule.condition === 'above' ? '>' : '<'} Limit: ${rule.value}${unit}`;
+}
+
+function describeRecovery(alert, value) {
+  return `${alert.metric[0].toUpperCase() + alert.metric.slice(1)} back to ${Math.round(value * 100) / 100}${alert.unit} ` +
+    `(clears at ${alert.clearThreshold}${alert.unit}).`;
+}
+
+function createAlert({ nodeId, rule, value, now }) {
+  return {
+    nodeId,
+    ruleId: rule.id,
+    metric: rule.metric,
+    condition: rule.condition,
+    unit: formatUnit(rule),
+    severity: rule.severity,
+    message: describeBreach(rule, value),
+    state: 'raised',
+    value,
+    peakValue: value,
+    threshold: rule.value,
+    clearThreshold: rule.clearValue ?? rule.value,
+    raisedAt: now,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    clearedAt: null,
+    clearValue: null
+  };
+}
+
+// Whether value is further past the limit than the alert's peak so far
+function isNewPeak(alert, value) {
+  return alert.condition === 'below' ? value < alert.peakValue : value > alert.peakValue;
+}
+
+function isActive(alert) {
+  return alert.state !== 'cleared';
+}
+
+function acknowledgeAlert(alert, username, now) {
+  if (alert.acknowledgedAt) return alert;
+  return {
+    ...alert,
+    state: isActive(alert) ? 'acknowledged' : alert.state,
+    acknowledgedAt: now,
+    acknowledgedBy: username
+  };
+}
+
+function clearAlert(alert, value, now) {
+  return { ...alert, state: 'cleared', clearedAt: now, clearValue: value };
+}
+
+// Alerts from an { id: alert } map, newest first. state is one of STATES or
+// 'active' for anything not yet cleared.
+function filterAlerts(alerts, { state, nodeId, limit = 100 } = {}) {
+  return Object.entries(alerts)
+    .map(([id, alert]) => ({ id, ...alert }))
+    .filter(alert => !nodeId || alert.nodeId === nodeId)
+    .filter(alert => !state || (state === 'active' ? isActive(alert) : alert.state === state))
+    .sort((a, b) => b.raisedAt - a.raisedAt)
+    .slice(0, limit);
+}
+
+// Ids of cleared alerts older than the retention period
+function expiredAlertIds(alerts, days, now = Date.now()) {
+  if (!days) return [];
+  const cutoff = now - days * 24 * 60 * 60 * 1000;
+  return Object.entries(alerts)
+    .filter(([, alert]) => !isActive(alert) && alert.clearedAt < cutoff)
+    .map(([id]) => id);
+}
+
+module.exports = {
+  STATES,
+  SEVERITIES,
+  METRICS,
+  CONDITIONS,
+  ACTIONS,
+  THRESHOLD_RULE_ID,
+  validateRule,
+  validateNodeSettings,
+  thresholdRule,
+  nodeRules,
+  measure,
+  evaluateRule,
+  describeRecovery,
+  createAlert,
+  isNewPeak,
+  isActive,
+  acknowledgeAlert,
+  clearAlert,
+  filterAlerts,
+  expiredAlertIds
+};
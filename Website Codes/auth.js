@@ -0,0 +1,315 @@
+// User accounts, password hashing, sessions, role checks and device keys
+
+const crypto = require('crypto');
+const fs = require('fs');
+const store = require('./store');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const SESSION_COOKIE = 'session';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const DEVICE_KEY_HEADER = 'x-device-key';
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [salt, hash] = (stored || '').split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Sessions are stored by a hash of their token so a leaked database can't be replayed
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function publicUser(username, user) {
+  return { username, role: user.role, createdAt: user.createdAt };
+}
+
+function validateUser({ username, password, role }, { requirePassword = true } = {}) {
+  if (username !== undefined && !USERNAME_PATTERN.test(username)) {
+    return 'Username must be 3-32 letters, numbers, dots, dashes or underscores';
+  }
+  if ((requirePassword || password !== undefined) &&
+      (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (role !== undefined && !ROLES.includes(role)) {
+    return `Role must be one of: ${ROLES.join(', ')}`;
+  }
+  return null;
+}
+
+function listUsers() {
+  return Object.entries(store.collections.users.all()).map(([username, user]) => publicUser(username, user));
+}
+
+function createUser(username, password, role) {
+  const user = {
+    passwordHash: hashPassword(password),
+    role,
+    createdAt: Date.now()
+  };
+  store.collections.users.set(username, user);
+  return publicUser(username, user);
+}
+
+// Change a user's role and/or password. Changing the password signs them out everywhere.
+function updateUser(username, { password, role }) {
+  const user = store.collections.users.update(username, (user) => {
+    if (!user) return undefined;
+    if (role !== undefined) user.role = role;
+    if (password !== undefined) user.passwordHash = hashPassword(password);
+    return user;
+  });
+  if (user && password !== undefined) destroyUserSessions(username);
+  return user ? publicUser(username, user) : null;
+}
+
+function deleteUser(username) {
+  destroyUserSessions(username);
+  return store.collections.users.delete(username);
+}
+
+function countAdmins() {
+  return Object.values(store.collections.users.all()).filter(user => user.role === 'admin').length;
+}
+
+// Returns the user if the password matches, otherwise null
+function checkCredentials(username, password) {
+  const user = typeof username === 'string' && store.collections.users.get(username);
+  if (!user || typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+    return null;
+  }
+  return publicUser(username, user);
+}
+
+function createSession(username) {
+  const token = crypto.randomBytes(32).toString('hex');
+  store.collections.sessions.set(hashToken(token), {
+    username,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + SESSION_TTL_MS
+  });
+  return token;
+}
+
+function destroySession(token) {
+  if (token) store.collections.sessions.delete(hashToken(token));
+}
+
+function destroyUserSessions(username) {
+  for (const [id, session] of Object.entries(store.collections.sessions.all())) {
+    if (session.username === username) store.collections.sessions.delete(id);
+  }
+}
+
+function purgeExpiredSessions() {
+  const now = Date.now();
+  for (const [id, session] of Object.entries(store.collections.sessions.all())) {
+    if (session.expiresAt <= now) store.collections.sessions.delete(id);
+  }
+}
+
+// Other apps on the same host can set cookies we can't decode (e.g. "foo=%E0%A4%A");
+// those keep their raw value rather than failing every request
+function decodeCookieValue(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    cookies[part.slice(0, index).trim()] = decodeCookieValue(part.slice(index + 1).trim());
+  }
+  return cookies;
+}
+
+function getSessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+// The signed-in user for an HTTP or WebSocket upgrade request, or null
+function authenticate(req) {
+  const token = getSessionToken(req);
+  if (!token) return null;
+
+  const session = store.collections.sessions.get(hashToken(token));
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    destroySession(token);
+    return null;
+  }
+
+  const user = store.collections.users.get(session.username);
+  return user ? publicUser(session.username, user) : null;
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Express middleware: 401 when signed out, 403 when the role is too low
+function requireRole(role) {
+  return (req, res, next) => {
+    const user = authenticate(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(user, role)) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    req.user = user;
+    next();
+  };
+}
+
+function sessionCookie(token, req) {
+  const secure = req.secure ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${token}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${SESSION_TTL_MS / 1000}${secure}`;
+}
+
+function clearedSessionCookie() {
+  return `${SESSION_COOKIE}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+}
+
+// Device keys. Each node has one secret that it sends in the X-Device-Key
+// header; only a hash is stored, so the key is shown once when issued.
+
+// Issue a new key for a node, replacing any previous one. Returns the key.
+function issueDeviceKey(nodeId) {
+  const key = crypto.randomBytes(24).toString('hex');
+  store.collections.deviceKeys.set(nodeId, {
+    hash: hashToken(key),
+    issuedAt: Date.now()
+  });
+  return key;
+}
+
+function revokeDeviceKey(nodeId) {
+  return store.collections.deviceKeys.delete(nodeId);
+}
+
+function getDeviceKeyStatus(nodeId) {
+  const record = store.collections.deviceKeys.get(nodeId);
+  return { active: Boolean(record), issuedAt: record ? record.issuedAt : null };
+}
+
+function checkDeviceKey(nodeId, key) {
+  const record = store.collections.deviceKeys.get(nodeId);
+  if (!record || typeof key !== 'string' || !key) return false;
+  return crypto.timingSafeEqual(Buffer.from(record.hash, 'hex'), Buffer.from(hashToken(key), 'hex'));
+}
+
+// Express middleware for routes called by the ESP nodes. The node comes from
+// the :nodeId route parameter, so a key only works for its own node.
+function requireDevice(req, res, next) {
+  if (!checkDeviceKey(req.params.nodeId, req.headers[DEVICE_KEY_HEADER])) {
+    return res.status(401).json({ error: 'Invalid or missing device key' });
+  }
+  req.device = req.params.nodeId;
+  next();
+}
+
+// Device key check for a node's WebSocket upgrade request, which carries the
+// key in the same header as its HTTP requests
+function authenticateDevice(req, nodeId) {
+  return checkDeviceKey(nodeId, req.headers[DEVICE_KEY_HEADER]);
+}
+
+// For routes shared by the ESP nodes and the dashboard: a valid device key or a signed-in user with the role
+function requireDeviceOrRole(role) {
+  const checkRole = requireRole(role);
+  return (req, res, next) => {
+    if (req.headers[DEVICE_KEY_HEADER] !== undefined) {
+      return requireDevice(req, res, next);
+    }
+    checkRole(req, res, next);
+  };
+}
+
+// Express middleware for machine clients such as Prometheus: a bearer token
+// matching token, or a signed-in user with the role. Without a configured token
+// only signed-in users get in.
+function requireTokenOrRole(token, role) {
+  const checkRole = requireRole(role);
+  return (req, res, next) => {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+      return checkRole(req, res, next);
+    }
+    if (!token || !crypto.timingSafeEqual(Buffer.from(hashToken(match[1]), 'hex'), Buffer.from(hashToken(token), 'hex'))) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+    next();
+  };
+}
+
+// Make sure there is always a way in: create an admin account when there are no users.
+// Uses ADMIN_USERNAME/ADMIN_PASSWORD if set. Otherwise the password is generated
+// and written to passwordFile, readable only by the server's user, so it never
+// ends up in the console logs.
+function ensureAdminUser(passwordFile) {
+  if (listUsers().length > 0) return null;
+
+  const username = process.env.ADMIN_USERNAME || 'admin';
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64url');
+  if (!process.env.ADMIN_PASSWORD) {
+    fs.writeFileSync(passwordFile, `${password}\n`, { mode: 0o600 });
+    // mode only applies when the file is created
+    fs.chmodSync(passwordFile, 0o600);
+  }
+  createUser(username, password, 'admin');
+
+  if (process.env.ADMIN_PASSWORD) {
+    console.log(`Created admin user "${username}" from ADMIN_PASSWORD`);
+  } else {
+    console.log(`Created admin user "${username}"; its password is in ${passwordFile}`);
+    console.log('Sign in, change this password from the dashboard and delete the file.');
+  }
+  return username;
+}
+
+module.exports = {
+  ROLES,
+  validateUser,
+  listUsers,
+  createUser,
+  updateUser,
+  deleteUser,
+  countAdmins,
+  checkCredentials,
+  createSession,
+  destroySession,
+  purgeExpiredSessions,
+  getSessionToken,
+  authenticate,
+  hasRole,
+  requireRole,
+  sessionCookie,
+  clearedSessionCookie,
+  issueDeviceKey,
+  revokeDeviceKey,
+  getDeviceKeyStatus,
+  requireDevice,
+  authenticateDevice,
+  requireDeviceOrRole,
+  requireTokenOrRole,
+  ensureAdminUser
+};
@@ -0,0 +1,379 @@
+// Automation rules across nodes: when a trigger fires and every condition holds,
+// run the actions, e.g. "when esp3's power stays below 5 W for 3 minutes, notify
+// and turn esp4 off"
+//
+// Rules are { name, enabled, trigger, conditions, actions, lastFired }, keyed by
+// rule ID. Triggers:
+//   reading   { nodeId, metric, condition: above | below, value, duration }
+//             fires once a reading has stayed past value for duration seconds, and
+//             again only after a reading has come back
+//   relay     { nodeId, state }     the relay is switched to state
+//   presence  { nodeId, state }     the node goes online or offline
+//   time      { time, days }        at HH:mm on days (0 = Sunday, empty for every
+//                                   day) in the schedule timezone
+// Conditions are checked when the trigger fires:
+//   reading   { nodeId, metric, condition, value }   the node's live reading
+//   relay     { nodeId, state }
+//   presence  { nodeId, state }
+//   time      { after, before, days }   between HH:mm times, wrapping past midnight
+//                                       when after is later than before
+// Actions:
+//   relay     { nodeId, state }
+//   timer     { nodeId, timer }   timer settings as for /api/timer
+//   notify    { message, severity }
+//
+// Relay changes made by a rule don't trigger rules, so two rules can't switch
+// each other back and forth forever.
+
+const scheduler = require('./schedule');
+const timers = require('./timer');
+
+const TRIGGERS = ['reading', 'relay', 'presence', 'time'];
+const CONDITIONS = ['reading', 'relay', 'presence', 'time'];
+const ACTIONS = ['relay', 'timer', 'notify'];
+const METRICS = { voltage: 'V', current: 'A', power: 'W' };
+const COMPARISONS = ['above', 'below'];
+const PRESENCE_STATES = ['online', 'offline'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const MAX_NAME_LENGTH = 64;
+const MAX_CONDITIONS = 10;
+const MAX_ACTIONS = 10;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isValidDays(days) {
+  return Array.isArray(days) && days.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+}
+
+function normalizeDays(days) {
+  return days.length === 7 ? [] : [...new Set(days)].sort();
+}
+
+// The checks shared by triggers and conditions. Returns the cleaned-up fields
+// for type, or { error }.
+function validateCheck(type, input, nodeIds, label) {
+  if (type !== 'time' && !nodeIds.includes(input.nodeId)) {
+    return { error: `${label}: unknown node ${input.nodeId}` };
+  }
+
+  if (type === 'reading') {
+    if (!(input.metric in METRICS)) {
+      return { error: `${label}: metric must be one of: ${Object.keys(METRICS).join(', ')}` };
+    }
+    if (!COMPARISONS.includes(input.condition)) {
+      return { error: `${label}: condition must be one of: ${COMPARISONS.join(', ')}` };
+    }
+    if (typeof input.value !== 'number' || !Number.isFinite(input.value)) {
+      return { error: `${label}: value must be a number` };
+    }
+    return { check: { type, nodeId: input.nodeId, metric: input.metric, condition: input.condition, value: input.value } };
+  }
+  if (type === 'relay') {
+    if (input.state !== 'on' && input.state !== 'off') {
+      return { error: `${label}: state must be on or off` };
+    }
+    return { check: { type, nodeId: input.nodeId, state: input.state } };
+  }
+  if (type === 'presence') {
+    if (!PRESENCE_STATES.includes(input.state)) {
+      return { error: `${label}: state must be one of: ${PRESENCE_STATES.join(', ')}` };
+    }
+    return { check: { type, nodeId: input.nodeId, state: input.state } };
+  }
+  return { check: { type } };
+}
+
+function validateTrigger(input, nodeIds) {
+  if (!isObject(input) || !TRIGGERS.includes(input.type)) {
+    return { error: `trigger type must be one of: ${TRIGGERS.join(', ')}` };
+  }
+
+  if (input.type === 'time') {
+    // Checked as a recurring schedule, which takes the same time and days
+    const { schedule, error } = scheduler.validateSchedule({ type: 'recurring', action: 'on', time: input.time, days: input.days || [] });
+    if (error) return { error: `trigger: ${error}` };
+    return { trigger: { type: 'time', time: schedule.time, days: schedule.days } };
+  }
+
+  const { check, error } = validateCheck(input.type, input, nodeIds, 'trigger');
+  if (error) return { error };
+  if (input.type !== 'reading') return { trigger: check };
+
+  const duration = input.duration === undefined ? 0 : input.duration;
+  if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0) {
+    return { error: 'trigger: duration must be a number of seconds, 0 or more' };
+  }
+  return { trigger: { ...check, duration } };
+}
+
+function validateCondition(input, nodeIds, label) {
+  if (!isObject(input) || !CONDITIONS.includes(input.type)) {
+    return { error: `${label}: type must be one of: ${CONDITIONS.join(', ')}` };
+  }
+
+  if (input.type === 'time') {
+    for (const key of ['after', 'before']) {
+      if (input[key] !== undefined && input[key] !== null && !scheduler.parseTime(input[key])) {
+        return { error: `${label}: ${key} must be HH:mm` };
+      }
+    }
+    const days = input.days || [];
+    if (!isValidDays(days)) {
+      return { error: `${label}: days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)` };
+    }
+    return { condition: { type: 'time', after: input.after || null, before: input.before || null, days: normalizeDays(days) } };
+  }
+
+  const { check, error } = validateCheck(input.type, input, nodeIds, label);
+  return error ? { error } : { condition: check };
+}
+
+function validateAction(input, nodeIds, label) {
+  if (!isObject(input) || !ACTIONS.includes(input.type)) {
+    return { error: `${label}: type must be one of: ${ACTIONS.join(', ')}` };
+  }
+
+  if (input.type === 'notify') {
+    const message = typeof input.message === 'string' ? input.message.trim() : '';
+    if (!message) {
+      return { error: `${label}: message is required` };
+    }
+    const severity = input.severity || 'info';
+    if (!SEVERITIES.includes(severity)) {
+      return { error: `${label}: severity must be one of: ${SEVERITIES.join(', ')}` };
+    }
+    return { action: { type: 'notify', message, severity } };
+  }
+
+  if (!nodeIds.includes(input.nodeId)) {
+    return { error: `${label}: unknown node ${input.nodeId}` };
+  }
+  if (input.type === 'relay') {
+    if (input.state !== 'on' && input.state !== 'off') {
+      return { error: `${label}: state must be on or off` };
+    }
+    return { action: { type: 'relay', nodeId: input.nodeId, state: input.state } };
+  }
+
+  const { timer, error } = timers.validateTimer(isObject(input.timer) ? input.timer : {});
+  if (error) return { error: `${label}: ${error}` };
+  return { action: { type: 'timer', nodeId: input.nodeId, timer } };
+}
+
+// Validate a rule from the API, merging it over the stored one when updating.
+// Every node a rule mentions must be in nodeIds. Returns { rule } or { error }.
+function validateRule(input, existing = {}, nodeIds = []) {
+  const rule = {
+    name: '',
+    enabled: true,
+    conditions: [],
+    actions: [],
+    ...existing,
+    ...input
+  };
+
+  const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+
+  const { trigger, error: triggerError } = validateTrigger(rule.trigger, nodeIds);
+  if (triggerError) return { error: triggerError };
+
+  if (!Array.isArray(rule.conditions) || rule.conditions.length > MAX_CONDITIONS) {
+    return { error: `conditions must be a list of up to ${MAX_CONDITIONS} conditions` };
+  }
+  const conditions = [];
+  for (const [i, input] of rule.conditions.entries()) {
+    const { condition, error } = validateCondition(input, nodeIds, `condition ${i + 1}`);
+    if (error) return { error };
+    conditions.push(condition);
+  }
+
+  if (!Array.isArray(rule.actions) || rule.actions.length === 0 || rule.actions.length > MAX_ACTIONS) {
+    return { error: `actions must be a list of 1 to ${MAX_ACTIONS} actions` };
+  }
+  const actions = [];
+  for (const [i, input] of rule.actions.entries()) {
+    const { action, error } = validateAction(input, nodeIds, `action ${i + 1}`);
+    if (error) return { error };
+    actions.push(action);
+  }
+
+  return {
+    rule: {
+      name,
+      enabled: Boolean(rule.enabled),
+      trigger,
+      conditions,
+      actions,
+      lastFired: existing.lastFired || null
+    }
+  };
+}
+
+// Every node a rule mentions, so rules can be kept in step when a node is removed
+function nodesOf(rule) {
+  return [rule.trigger, ...rule.conditions, ...rule.actions]
+    .map(part => part.nodeId)
+    .filter(nodeId => nodeId !== undefined);
+}
+
+function isPast(value, check) {
+  return check.condition === 'above' ? value > check.value : value < check.value;
+}
+
+function formatReading(value, metric) {
+  return `${metric} ${value} ${METRICS[metric]}`;
+}
+
+// What a rule tracks between events: when a reading trigger's reading went past
+// its value and whether it has fired since, or when a time trigger runs next
+function initialState(trigger, now, settings) {
+  if (trigger.type === 'time') {
+    return { nextRun: scheduler.nextRun({ type: 'recurring', ...trigger }, now, settings) };
+  }
+  return { since: null, fired: false };
+}
+
+// Step a rule's trigger on an event:
+//   { type: 'reading', nodeId, reading }
+//   { type: 'relay', nodeId, state, source }
+//   { type: 'presence', nodeId, online }
+//   { type: 'time', settings }
+// Returns null when the event has nothing to do with the trigger, or
+// { state, fire, reason } with state the trigger's new state and reason why it
+// did or didn't fire.
+function stepTrigger(trigger, state, event, now) {
+  if (trigger.type !== event.type) return null;
+
+  if (trigger.type === 'time') {
+    if (state.nextRun === null || state.nextRun > now) return null;
+    const nextRun = scheduler.nextRun({ type: 'recurring', ...trigger }, now, event.settings);
+    return { state: { nextRun }, fire: true, reason: `It is ${trigger.time}` };
+  }
+
+  if (trigger.nodeId !== event.nodeId) return null;
+
+  if (trigger.type === 'relay') {
+    if (event.source === 'rule') {
+      return { state, fire: false, reason: `Switched ${event.state} by a rule, which doesn't trigger rules` };
+    }
+    const fire = event.state === trigger.state;
+    return { state, fire, reason: `Relay switched ${event.state}${fire ? '' : `, not ${trigger.state}`}` };
+  }
+
+  if (trigger.type === 'presence') {
+    const status = event.online ? 'online' : 'offline';
+    const fire = status === trigger.state;
+    return { state, fire, reason: `Node went ${status}${fire ? '' : `, not ${trigger.state}`}` };
+  }
+
+  const value = event.reading[trigger.metric];
+  const reading = formatReading(value, trigger.metric);
+  const limit = `${trigger.condition} ${trigger.value} ${METRICS[trigger.metric]}`;
+  if (typeof value !== 'number' || !isPast(value, trigger)) {
+    return { state: { since: null, fired: false }, fire: false, reason: `${reading} is not ${limit}` };
+  }
+
+  const since = state.since === null ? now : state.since;
+  if (state.fired) {
+    return { state: { since, fired: true }, fire: false, reason: `${reading} is still ${limit}; already fired` };
+  }
+  const held = (now - since) / 1000;
+  if (held < trigger.duration) {
+    return { state: { since, fired: false }, fire: false, reason: `${reading} has been ${limit} for ${Math.floor(held)} of ${trigger.duration}s` };
+  }
+  return { state: { since, fired: true }, fire: true, reason: `${reading} has been ${limit} for ${Math.floor(held)}s` };
+}
+
+// Check a rule's conditions against context:
+//   reading(nodeId)  the node's live reading, or null when it's offline
+//   relay(nodeId)    the relay's desired state, or null
+//   online(nodeId)   whether the node is online
+//   localTime        { day, time } in the schedule timezone
+// Returns [{ condition, met, reason }], one per condition.
+function checkConditions(conditions, context) {
+  return conditions.map(condition => {
+    let met;
+    let reason;
+    if (condition.type === 'reading') {
+      const reading = context.reading(condition.nodeId);
+      const value = reading ? reading[condition.metric] : null;
+      met = typeof value === 'number' && isPast(value, condition);
+      reason = typeof value === 'number' ? `${condition.nodeId} ${formatReading(value, condition.metric)}` : `${condition.nodeId} has no live reading`;
+    } else if (condition.type === 'relay') {
+      const state = context.relay(condition.nodeId);
+      met = state === condition.state;
+      reason = `${condition.nodeId} relay is ${state || 'unknown'}`;
+    } else if (condition.type === 'presence') {
+      const online = context.online(condition.nodeId);
+      met = (online ? 'online' : 'offline') === condition.state;
+      reason = `${condition.nodeId} is ${online ? 'online' : 'offline'}`;
+    } else {
+      const { day, time } = context.localTime;
+      met = (condition.days.length === 0 || condition.days.includes(day)) && scheduler.inWindow(time, condition.after, condition.before);
+      reason = `It is ${DAY_NAMES[day]} ${time}`;
+    }
+    return { condition: describeCondition(condition), met, reason };
+  });
+}
+
+function describeDays(days) {
+  return days.length > 0 ? days.map(day => DAY_NAMES[day]).join(', ') : 'every day';
+}
+
+function describeLimit(check) {
+  return `${check.nodeId} ${check.metric} ${check.condition} ${check.value} ${METRICS[check.metric]}`;
+}
+
+// Short text for lists and logs, e.g. "esp3 power below 5 W for 180s"
+function describeTrigger(trigger) {
+  if (trigger.type === 'reading') {
+    return `${describeLimit(trigger)}${trigger.duration > 0 ? ` for ${trigger.duration}s` : ''}`;
+  }
+  if (trigger.type === 'relay') return `${trigger.nodeId} switches ${trigger.state}`;
+  if (trigger.type === 'presence') return `${trigger.nodeId} goes ${trigger.state}`;
+  return `${trigger.time} ${describeDays(trigger.days)}`;
+}
+
+function describeCondition(condition) {
+  if (condition.type === 'reading') return describeLimit(condition);
+  if (condition.type === 'relay') return `${condition.nodeId} is ${condition.state}`;
+  if (condition.type === 'presence') return `${condition.nodeId} is ${condition.state}`;
+  const window = [
+    condition.after ? `after ${condition.after}` : '',
+    condition.before ? `before ${condition.before}` : ''
+  ].filter(Boolean).join(' and ');
+  return `${window || 'any time'} ${describeDays(condition.days)}`;
+}
+
+function describeAction(action) {
+  if (action.type === 'relay') return `turn ${action.nodeId} ${action.state}`;
+  if (action.type === 'timer') return `start a ${action.timer.type} timer on ${action.nodeId}`;
+  return `notify "${action.message}"`;
+}
+
+// e.g. "When esp3 power below 5 W for 180s: notify "Washing done", turn esp4 off"
+function describeRule(rule) {
+  const conditions = rule.conditions.length > 0 ? ` if ${rule.conditions.map(describeCondition).join(' and ')}` : '';
+  return `When ${describeTrigger(rule.trigger)}${conditions}: ${rule.actions.map(describeAction).join(', ')}`;
+}
+
+module.exports = {
+  TRIGGERS,
+  CONDITIONS,
+  ACTIONS,
+  validateRule,
+  nodesOf,
+  initialState,
+  stepTrigger,
+  checkConditions,
+  describeTrigger,
+  describeAction,
+  describeRule
+};
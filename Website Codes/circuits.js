@@ -0,0 +1,159 @@
+// Circuits: nodes sharing one breaker, kept under a maximum total power by
+// switching off (shedding) the lowest-priority loads first
+//
+// Circuits are { name, maxPower, nodes, restore, restoreDelay, shed, lastActionAt,
+// events }, keyed by circuit ID:
+//   nodes         [{ nodeId, priority }]; higher priorities are kept on longer
+//   restore       switch shed nodes back on, highest priority first, once their
+//                 power from before they were shed fits under maxPower again
+//   restoreDelay  seconds to wait after the last shed or restore before restoring,
+//                 so a load that only just fits doesn't flap on and off
+//   shed          [{ nodeId, power, at }] for the nodes switched off and still off.
+//                 A node switched by anything else since (the dashboard, a schedule,
+//                 an auto-cutoff...) is no longer counted as shed.
+//   events        the most recent sheds and restores, newest first
+
+const MAX_NAME_LENGTH = 64;
+const MAX_EVENTS = 50;
+const DEFAULT_RESTORE_DELAY = 60; // seconds
+
+// Validate a circuit from the API over the stored one. nodeIds must all be known
+// nodes. Returns { circuit } with its settings, or { error }.
+function validateCircuit(input, existing = {}, knownNodeIds = []) {
+  const circuit = {
+    name: '',
+    nodes: [],
+    restore: true,
+    restoreDelay: DEFAULT_RESTORE_DELAY,
+    ...existing,
+    ...input
+  };
+
+  const name = typeof circuit.name === 'string' ? circuit.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+  if (typeof circuit.maxPower !== 'number' || !Number.isFinite(circuit.maxPower) || circuit.maxPower <= 0) {
+    return { error: 'maxPower must be a number of watts above 0' };
+  }
+  if (!Array.isArray(circuit.nodes) || circuit.nodes.length === 0) {
+    return { error: 'nodes must be a list of { nodeId, priority }' };
+  }
+  const seen = new Set();
+  for (const node of circuit.nodes) {
+    if (!node || !knownNodeIds.includes(node.nodeId)) {
+      return { error: `Unknown node: ${node && node.nodeId}` };
+    }
+    if (seen.has(node.nodeId)) {
+      return { error: `${node.nodeId} is listed twice` };
+    }
+    seen.add(node.nodeId);
+    if (!Number.isInteger(node.priority)) {
+      return { error: `priority for ${node.nodeId} must be a whole number` };
+    }
+  }
+  if (typeof circuit.restore !== 'boolean') {
+    return { error: 'restore must be true or false' };
+  }
+  if (typeof circuit.restoreDelay !== 'number' || !Number.isFinite(circuit.restoreDelay) || circuit.restoreDelay < 0) {
+    return { error: 'restoreDelay must be a number of seconds, 0 or more' };
+  }
+
+  return {
+    circuit: {
+      name,
+      maxPower: circuit.maxPower,
+      nodes: circuit.nodes.map(({ nodeId, priority }) => ({ nodeId, priority })),
+      restore: circuit.restore,
+      restoreDelay: circuit.restoreDelay
+    }
+  };
+}
+
+// A new circuit's state, or an edited one's kept from before. Shed nodes taken
+// out of the circuit are left off but forgotten.
+function withState(settings, existing = {}) {
+  const nodeIds = settings.nodes.map(node => node.nodeId);
+  return {
+    ...settings,
+    shed: (existing.shed || []).filter(entry => nodeIds.includes(entry.nodeId)),
+    lastActionAt: existing.lastActionAt || null,
+    events: existing.events || []
+  };
+}
+
+// Nodes count towards the total while they're live and their relay isn't off.
+// members are [{ nodeId, priority, power, live, relay, relaySource }] with relay
+// the desired state and relaySource what last set it.
+function isLoad(member) {
+  return member.live && member.relay !== 'off' && typeof member.power === 'number';
+}
+
+function totalPower(members) {
+  return members.filter(isLoad).reduce((sum, member) => sum + member.power, 0);
+}
+
+// Check a circuit against its members' latest readings. Sheds the lowest-priority
+// loads until the total fits (the biggest first between equal priorities), or
+// else restores the highest-priority shed node if it fits and restoreDelay has passed.
+// Returns { circuit, total, shed, restored, changed }: total is the power before
+// shedding, shed the entries switched off now, restored the entry to switch back
+// on or null, and changed whether the circuit needs saving.
+function evaluate(circuit, members, now) {
+  const byId = new Map(members.map(member => [member.nodeId, member]));
+  const kept = circuit.shed.filter(entry => {
+    const member = byId.get(entry.nodeId);
+    return member && member.relay === 'off' && member.relaySource === 'shed';
+  });
+  let changed = kept.length !== circuit.shed.length;
+
+  const total = totalPower(members);
+  let remaining = total;
+  const shed = [];
+  const candidates = members
+    .filter(member => isLoad(member) && member.power > 0)
+    .sort((a, b) => a.priority - b.priority || b.power - a.power);
+  for (const member of candidates) {
+    if (remaining <= circuit.maxPower) break;
+    shed.push({ nodeId: member.nodeId, power: member.power, at: now });
+    remaining -= member.power;
+  }
+
+  let restored = null;
+  const settled = circuit.lastActionAt === null || now - circuit.lastActionAt >= circuit.restoreDelay * 1000;
+  if (shed.length === 0 && circuit.restore && kept.length > 0 && settled) {
+    const next = kept.reduce((best, entry) =>
+      byId.get(entry.nodeId).priority > byId.get(best.nodeId).priority ? entry : best);
+    if (total + next.power <= circuit.maxPower) restored = next;
+  }
+
+  if (shed.length === 0 && !restored) {
+    return { circuit: changed ? { ...circuit, shed: kept } : circuit, total, shed, restored, changed };
+  }
+
+  const events = [
+    ...(restored ? [{ at: now, action: 'restore', nodeId: restored.nodeId, power: restored.power, total }] : []),
+    ...shed.map(entry => ({ at: now, action: 'shed', nodeId: entry.nodeId, power: entry.power, total })),
+    ...circuit.events
+  ].slice(0, MAX_EVENTS);
+  changed = true;
+  return {
+    circuit: {
+      ...circuit,
+      shed: [...kept.filter(entry => entry !== restored), ...shed],
+      lastActionAt: now,
+      events
+    },
+    total,
+    shed,
+    restored,
+    changed
+  };
+}
+
+module.exports = {
+  validateCircuit,
+  withState,
+  totalPower,
+  evaluate
+};
@@ -0,0 +1,167 @@
+// Appliance run cycles: splitting a node's power stream into runs with a start,
+// end, duration, peak power and energy, e.g. one load of washing
+//
+// A node's cycleDetection setting is { enabled, startPower, endPower, endAfter,
+// minDuration, notify }. A cycle starts when power reaches startPower and ends
+// once it has stayed below endPower for endAfter seconds, so the pauses in a
+// washing programme don't split it. The cycle ends at its last reading at or
+// above endPower. Cycles shorter than minDuration seconds are dropped. notify
+// sends a "cycle finished" notification.
+//
+// Cycle records are { current, cycles }, keyed by node ID: current is the cycle
+// in progress or null, cycles the finished ones, newest first, as
+// { start, end, duration, peakPower, energyWh }.
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  startPower: 10, // watts
+  endPower: null, // watts; null for the same as startPower
+  endAfter: 120, // seconds
+  minDuration: 60, // seconds
+  notify: false
+};
+
+const MAX_CYCLES = 500;
+
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// Validate cycle detection settings over the stored ones.
+// Returns { settings } or { error }.
+function validateSettings(input, existing = DEFAULT_SETTINGS) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'cycleDetection must be { enabled, startPower, endPower, endAfter, minDuration, notify }' };
+  }
+  const settings = { ...DEFAULT_SETTINGS, ...existing, ...input };
+
+  if (typeof settings.startPower !== 'number' || !Number.isFinite(settings.startPower) || settings.startPower <= 0) {
+    return { error: 'cycleDetection.startPower must be a number of watts above 0' };
+  }
+  if (settings.endPower !== null && (!isNonNegative(settings.endPower) || settings.endPower > settings.startPower)) {
+    return { error: 'cycleDetection.endPower must be a number of watts no higher than startPower, or null' };
+  }
+  for (const key of ['endAfter', 'minDuration']) {
+    if (!isNonNegative(settings[key])) {
+      return { error: `cycleDetection.${key} must be a number of seconds, 0 or more` };
+    }
+  }
+
+  return {
+    settings: {
+      enabled: Boolean(settings.enabled),
+      startPower: settings.startPower,
+      endPower: settings.endPower,
+      endAfter: settings.endAfter,
+      minDuration: settings.minDuration,
+      notify: Boolean(settings.notify)
+    }
+  };
+}
+
+// The node's settings with defaults for anything it hasn't set
+function nodeSettings(node) {
+  return { ...DEFAULT_SETTINGS, ...(node && node.cycleDetection) };
+}
+
+function createRecord() {
+  return { current: null, cycles: [] };
+}
+
+function endPower(settings) {
+  return settings.endPower === null ? settings.startPower : settings.endPower;
+}
+
+function finish(current, settings) {
+  const duration = (current.lastActiveAt - current.start) / 1000;
+  if (duration < settings.minDuration) return null;
+  return {
+    start: current.start,
+    end: current.lastActiveAt,
+    duration,
+    peakPower: current.peakPower,
+    energyWh: current.activeEnergyWh
+  };
+}
+
+// A cycle has ended once nothing has reached endPower for endAfter seconds. An
+// active reading only keeps it going if it follows on from the last one; after
+// a silence that long the cycle ended at its last active reading.
+function hasEnded(settings, current, reading, now) {
+  const endAfterMs = settings.endAfter * 1000;
+  if (now - current.lastActiveAt < endAfterMs) return false;
+  return !reading || reading.power < endPower(settings) || now - current.lastReadingAt >= endAfterMs;
+}
+
+// Step the cycle in progress on a reading ({ power, timestamp }), or with reading
+// null just on time passing, so a node that goes quiet still ends its cycle.
+// Returns { current, finished } with finished the cycle that just ended, or null.
+function step(settings, current, reading, now) {
+  if (!settings.enabled) return { current: null, finished: null };
+
+  if (current && hasEnded(settings, current, reading, now)) {
+    const finished = finish(current, settings);
+    // The reading that ended a cycle after a silence can start the next one
+    return { current: reading ? step(settings, null, reading, now).current : null, finished };
+  }
+  if (!reading || typeof reading.power !== 'number') return { current, finished: null };
+
+  const { power, timestamp } = reading;
+  if (!current) {
+    if (power < settings.startPower) return { current: null, finished: null };
+    return {
+      current: { start: timestamp, peakPower: power, energyWh: 0, activeEnergyWh: 0, lastPower: power, lastReadingAt: timestamp, lastActiveAt: timestamp },
+      finished: null
+    };
+  }
+
+  // Each reading's power counts until the next one
+  const energyWh = current.energyWh + current.lastPower * (timestamp - current.lastReadingAt) / (60 * 60 * 1000);
+  const active = power >= endPower(settings);
+  return {
+    current: {
+      ...current,
+      peakPower: Math.max(current.peakPower, power),
+      energyWh,
+      activeEnergyWh: active ? energyWh : current.activeEnergyWh,
+      lastPower: power,
+      lastReadingAt: timestamp,
+      lastActiveAt: active ? timestamp : current.lastActiveAt
+    },
+    finished: null
+  };
+}
+
+function addCycle(record, cycle) {
+  return { ...record, cycles: [cycle, ...record.cycles].slice(0, MAX_CYCLES) };
+}
+
+// The cycle in progress as returned by the API
+function currentStatus(current, now) {
+  if (!current) return null;
+  return {
+    start: current.start,
+    duration: (now - current.start) / 1000,
+    peakPower: current.peakPower,
+    energyWh: current.energyWh,
+    lastActiveAt: current.lastActiveAt
+  };
+}
+
+// e.g. "1h 12m, 850 Wh, peak 2100 W"
+function describeCycle(cycle) {
+  const minutes = Math.round(cycle.duration / 60);
+  const duration = minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+  return `${duration}, ${cycle.energyWh.toFixed(0)} Wh, peak ${cycle.peakPower.toFixed(0)} W`;
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  validateSettings,
+  nodeSettings,
+  createRecord,
+  step,
+  addCycle,
+  currentStatus,
+  describeCycle
+};
@@ -0,0 +1,198 @@
+// Energy accounting - integrates power samples into kWh totals and rollups
+
+// Gaps longer than this are treated as the node being offline and are not integrated
+const MAX_GAP_MS = 5 * 60 * 1000;
+
+// How many rollup buckets to keep for each resolution (monthly is kept forever)
+const HOURLY_KEEP = 24 * 31;
+const DAILY_KEEP = 400;
+
+// How many of the most recent unintegrated gaps to remember for backfilling
+const GAPS_KEEP = 50;
+
+function pad(value) {
+  return value.toString().padStart(2, '0');
+}
+
+// Rollup keys use server local time so "today" matches the dashboard clock
+function hourKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}`;
+}
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function monthKey(date) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}`;
+}
+
+// Monday of the week containing date
+function weekStart(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+function createRecord() {
+  return {
+    lifetimeWh: 0,
+    lastPower: null,
+    lastTimestamp: null,
+    gaps: [],
+    hourly: {},
+    daily: {},
+    monthly: {}
+  };
+}
+
+// Drop the oldest keys of a rollup so it holds at most `keep` buckets
+function pruneRollup(rollup, keep) {
+  const keys = Object.keys(rollup).sort();
+  keys.slice(0, Math.max(0, keys.length - keep)).forEach(key => delete rollup[key]);
+}
+
+// Energy in Wh between two samples by the trapezoid rule, or 0 across a gap
+function integrate(from, to) {
+  const elapsed = to.timestamp - from.timestamp;
+  if (elapsed <= 0 || elapsed > MAX_GAP_MS) return 0;
+  return ((from.power + to.power) / 2) * (elapsed / 3600000);
+}
+
+// Add energy to the totals and the rollups of the period containing timestamp
+function addEnergy(record, deltaWh, timestamp) {
+  if (deltaWh <= 0) return;
+  const date = new Date(timestamp);
+  const hour = hourKey(date);
+  const day = dayKey(date);
+  const month = monthKey(date);
+
+  record.lifetimeWh += deltaWh;
+  record.hourly[hour] = (record.hourly[hour] || 0) + deltaWh;
+  record.daily[day] = (record.daily[day] || 0) + deltaWh;
+  record.monthly[month] = (record.monthly[month] || 0) + deltaWh;
+
+  pruneRollup(record.hourly, HOURLY_KEEP);
+  pruneRollup(record.daily, DAILY_KEEP);
+}
+
+// Add a power sample (W) taken at timestamp (ms) to the record.
+// Uses the trapezoid rule between this sample and the previous one. A gap too
+// long to integrate is remembered so samples from it can be backfilled later.
+// Returns the energy added in Wh.
+function addSample(record, power, timestamp) {
+  // Ignore out-of-order samples rather than integrating backwards
+  if (record.lastTimestamp !== null && timestamp < record.lastTimestamp) {
+    return 0;
+  }
+
+  let deltaWh = 0;
+  if (record.lastTimestamp !== null && record.lastPower !== null) {
+    const last = { power: record.lastPower, timestamp: record.lastTimestamp };
+    deltaWh = integrate(last, { power, timestamp });
+    if (timestamp - last.timestamp > MAX_GAP_MS) {
+      record.gaps = [...(record.gaps || []), { from: last, to: { power, timestamp } }].slice(-GAPS_KEEP);
+    }
+  }
+
+  record.lastPower = power;
+  record.lastTimestamp = timestamp;
+  addEnergy(record, deltaWh, timestamp);
+
+  return deltaWh;
+}
+
+// Integrate samples ([{ power, timestamp }] in time order) that arrived late,
+// e.g. readings a node buffered while it was offline. Only samples inside a gap
+// the record skipped count; anything else was already integrated, so uploading
+// the same samples twice adds nothing. Whatever is still too long to integrate
+// stays a gap. Returns the energy added as [{ timestamp, deltaWh }].
+function backfillSamples(record, samples) {
+  const added = [];
+  const gaps = [];
+  for (const gap of record.gaps || []) {
+    const inside = samples.filter(sample => sample.timestamp > gap.from.timestamp && sample.timestamp < gap.to.timestamp);
+    if (inside.length === 0) {
+      gaps.push(gap);
+      continue;
+    }
+
+    const points = [gap.from, ...inside, gap.to];
+    for (let i = 1; i < points.length; i++) {
+      const deltaWh = integrate(points[i - 1], points[i]);
+      if (deltaWh > 0) {
+        addEnergy(record, deltaWh, points[i].timestamp);
+        added.push({ timestamp: points[i].timestamp, deltaWh });
+      }
+      if (points[i].timestamp - points[i - 1].timestamp > MAX_GAP_MS) {
+        gaps.push({ from: points[i - 1], to: points[i] });
+      }
+    }
+  }
+
+  record.gaps = gaps.slice(-GAPS_KEEP);
+  return added;
+}
+
+function toKwh(wh) {
+  return Math.round(wh * 10) / 10000;
+}
+
+// Totals for the current periods, in kWh
+function getTotals(record, now = new Date()) {
+  const monday = weekStart(now);
+  let weekWh = 0;
+  for (let i = 0; i < 7; i++) {
+    const day = new Date(monday.getFullYear(), monday.getMonth(), monday.getDate() + i);
+    weekWh += record.daily[dayKey(day)] || 0;
+  }
+
+  return {
+    lifetime: toKwh(record.lifetimeWh),
+    today: toKwh(record.daily[dayKey(now)] || 0),
+    week: toKwh(weekWh),
+    month: toKwh(record.monthly[monthKey(now)] || 0)
+  };
+}
+
+function rollupToList(rollup) {
+  return Object.keys(rollup).sort().map(period => ({
+    period,
+    kWh: toKwh(rollup[period])
+  }));
+}
+
+function getRollups(record) {
+  return {
+    hourly: rollupToList(record.hourly),
+    daily: rollupToList(record.daily),
+    monthly: rollupToList(record.monthly)
+  };
+}
+
+// Sum several records into one, used for the fleet-wide view
+function combineRecords(records) {
+  const combined = createRecord();
+  for (const record of records) {
+    combined.lifetimeWh += record.lifetimeWh || 0;
+    for (const resolution of ['hourly', 'daily', 'monthly']) {
+      for (const [period, wh] of Object.entries(record[resolution] || {})) {
+        combined[resolution][period] = (combined[resolution][period] || 0) + wh;
+      }
+    }
+  }
+  return combined;
+}
+
+module.exports = {
+  MAX_GAP_MS,
+  createRecord,
+  addSample,
+  backfillSamples,
+  getTotals,
+  getRollups,
+  combineRecords,
+  hourKey,
+  dayKey,
+  monthKey
+};
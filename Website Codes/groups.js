@@ -0,0 +1,52 @@
+// Node groups such as rooms ("Kitchen", "Office desk"), for switching, scheduling
+// and totals across several nodes
+//
+// Groups are { name, nodeIds }, keyed by group ID. A node can be in any number of
+// groups; removing a node takes it out of all of them.
+
+const energy = require('./energy');
+const tariffs = require('./tariff');
+
+const MAX_NAME_LENGTH = 64;
+
+// Validate a group from the API over the stored one. nodeIds must all be known
+// nodes. Returns { group } or { error }.
+function validateGroup(input, existing = {}, knownNodeIds = []) {
+  const group = { name: '', nodeIds: [], ...existing, ...input };
+
+  const name = typeof group.name === 'string' ? group.name.trim() : '';
+  if (!name || name.length > MAX_NAME_LENGTH) {
+    return { error: `name must be 1 to ${MAX_NAME_LENGTH} characters` };
+  }
+  if (!Array.isArray(group.nodeIds) || !group.nodeIds.every(nodeId => typeof nodeId === 'string')) {
+    return { error: 'nodeIds must be a list of node IDs' };
+  }
+  const unknown = group.nodeIds.find(nodeId => !knownNodeIds.includes(nodeId));
+  if (unknown !== undefined) {
+    return { error: `Unknown node: ${unknown}` };
+  }
+
+  return { group: { name, nodeIds: [...new Set(group.nodeIds)] } };
+}
+
+// Totals for a group from its members, [{ nodeId, power, current, live, relay, energy }]
+// with relay the desired state and energy the node's energy record. Readings only
+// count from live nodes, so an offline node's last power isn't added in.
+function summarize(members, tariff, now = new Date()) {
+  const live = members.filter(member => member.live);
+  const records = members.map(member => member.energy).filter(Boolean);
+  return {
+    nodes: members.length,
+    live: live.length,
+    relaysOn: members.filter(member => member.relay === 'on').length,
+    power: live.reduce((sum, member) => sum + (member.power || 0), 0),
+    current: live.reduce((sum, member) => sum + (member.current || 0), 0),
+    energy: energy.getTotals(energy.combineRecords(records), now),
+    cost: tariffs.getCostSummary(tariff, records, { now })
+  };
+}
+
+module.exports = {
+  validateGroup,
+  summarize
+};
@@ -0,0 +1,181 @@
+// History queries over the per-node CSV logs with server-side downsampling
+
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+
+const RESOLUTIONS = {
+  raw: 0,
+  '1m': 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Upper limit on returned points so a raw query can't produce megabytes of JSON
+const MAX_POINTS = 5000;
+
+const FIELDS = ['voltage', 'current', 'power'];
+
+// Accepts epoch milliseconds or anything Date can parse
+function parseTime(value, fallback) {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  const time = isNaN(number) ? Date.parse(value) : number;
+  return isNaN(time) ? null : time;
+}
+
+// Start of the bucket containing time. Days follow server local midnight.
+function bucketStart(time, resolution) {
+  if (resolution === '1d') {
+    const date = new Date(time);
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+  }
+  const size = RESOLUTIONS[resolution];
+  return size ? Math.floor(time / size) * size : time;
+}
+
+function parseLine(line) {
+  const [timestamp, voltage, current, power] = line.split(',');
+  const time = Date.parse(timestamp);
+  if (isNaN(time)) return null;
+  return {
+    time,
+    voltage: parseFloat(voltage),
+    current: parseFloat(current),
+    power: parseFloat(power)
+  };
+}
+
+// Rollup lines carry pre-aggregated min/avg/max for a 15 minute bucket
+function parseRollupLine(line) {
+  const [timestamp, count, ...values] = line.split(',');
+  const time = Date.parse(timestamp);
+  if (isNaN(time)) return null;
+
+  const sample = { time, count: parseInt(count, 10) || 0, rollup: true };
+  FIELDS.forEach((field, i) => {
+    const [min, avg, max] = values.slice(i * 3, i * 3 + 3).map(parseFloat);
+    sample[field] = isNaN(avg) ? null : { min, avg, max };
+  });
+  return sample;
+}
+
+function createBucket(time) {
+  const bucket = { time, count: 0 };
+  for (const field of FIELDS) {
+    bucket[field] = { min: Infinity, avg: 0, max: -Infinity, sum: 0, samples: 0 };
+  }
+  return bucket;
+}
+
+function addToBucket(bucket, sample) {
+  if (sample.rollup) {
+    bucket.count += sample.count;
+    for (const field of FIELDS) {
+      const value = sample[field];
+      if (!value) continue;
+      const stats = bucket[field];
+      stats.min = Math.min(stats.min, value.min);
+      stats.max = Math.max(stats.max, value.max);
+      stats.sum += value.avg * sample.count;
+      stats.samples += sample.count;
+    }
+    return;
+  }
+
+  bucket.count++;
+  for (const field of FIELDS) {
+    const value = sample[field];
+    if (isNaN(value)) continue;
+    const stats = bucket[field];
+    stats.min = Math.min(stats.min, value);
+    stats.max = Math.max(stats.max, value);
+    stats.sum += value;
+    stats.samples++;
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function finishBucket(bucket) {
+  const result = { time: new Date(bucket.time).toISOString(), count: bucket.count };
+  for (const field of FIELDS) {
+    const stats = bucket[field];
+    result[field] = stats.samples === 0
+      ? { min: null, avg: null, max: null }
+      : { min: round(stats.min), avg: round(stats.sum / stats.samples), max: round(stats.max) };
+  }
+  return result;
+}
+
+// Read samples between from and to (inclusive) out of time-ordered sources.
+// A source is { file, type } where type is 'raw' or 'rollup'; files ending in
+// .gz are decompressed on the fly. Calls onSample for each one and stops early
+// once past `to`.
+async function readSamples(sources, from, to, onSample) {
+  for (const { file, type } of sources) {
+    if (!fs.existsSync(file)) continue;
+
+    const stream = fs.createReadStream(file);
+    const input = file.endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream;
+    input.setEncoding('utf8');
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    const parse = type === 'rollup' ? parseRollupLine : parseLine;
+    let pastEnd = false;
+
+    for await (const line of lines) {
+      const sample = parse(line);
+      if (!sample || sample.time < from) continue;
+      if (sample.time > to) {
+        pastEnd = true;
+        break;
+      }
+      if (onSample(sample) === false) {
+        pastEnd = true;
+        break;
+      }
+    }
+
+    lines.close();
+    stream.destroy();
+    if (pastEnd) return;
+  }
+}
+
+// Query the given log sources and return buckets of min/avg/max per field
+async function queryHistory(sources, { from, to, resolution }) {
+  const buckets = [];
+  let current = null;
+  let truncated = false;
+
+  await readSamples(sources, from, to, (sample) => {
+    const start = bucketStart(sample.time, resolution);
+    if (!current || resolution === 'raw' || start !== current.time) {
+      if (current) buckets.push(finishBucket(current));
+      if (buckets.length >= MAX_POINTS) {
+        truncated = true;
+        current = null;
+        return false;
+      }
+      current = createBucket(start);
+    }
+    addToBucket(current, sample);
+    return true;
+  });
+
+  if (current) buckets.push(finishBucket(current));
+
+  return { buckets, truncated };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  MAX_POINTS,
+  parseTime,
+  parseLine,
+  readSamples,
+  queryHistory
+};
@@ -0,0 +1,112 @@
+// Standby auto-off: switch a node off once it has idled below a few watts for a
+// while, e.g. a monitor or coffee machine left in standby
+//
+// A node's idlePolicy setting is { belowPower, minutes, exemptFrom, exemptUntil },
+// or null for none. While the relay is on and power stays below belowPower for
+// minutes, the relay is switched off. Between exemptFrom and exemptUntil (HH:mm in
+// the schedule timezone, wrapping past midnight) the node is left alone.
+//
+// Idle records are { offSince, offPower, savedWh, events }, keyed by node ID.
+// While a node switched off for idling stays off, it saves about the standby
+// power it was drawing; savedWh adds up the savings of the switch-offs that have
+// ended. events are the most recent switch-offs, newest first:
+// { at, power, until, savedWh } with until null while the node is still off.
+
+const scheduler = require('./schedule');
+
+const MAX_EVENTS = 50;
+const MAX_MINUTES = 24 * 60;
+
+// Validate an idle policy from the node settings. null turns it off.
+// Returns { policy } or { error }.
+function validatePolicy(input) {
+  if (input === null) return { policy: null };
+  if (!input || typeof input !== 'object') {
+    return { error: 'idlePolicy must be { belowPower, minutes, exemptFrom, exemptUntil } or null' };
+  }
+
+  const { belowPower, minutes, exemptFrom = null, exemptUntil = null } = input;
+  if (typeof belowPower !== 'number' || !Number.isFinite(belowPower) || belowPower <= 0) {
+    return { error: 'idlePolicy.belowPower must be a number of watts above 0' };
+  }
+  if (typeof minutes !== 'number' || !Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_MINUTES) {
+    return { error: `idlePolicy.minutes must be a number of minutes from above 0 to ${MAX_MINUTES}` };
+  }
+  for (const [key, value] of [['exemptFrom', exemptFrom], ['exemptUntil', exemptUntil]]) {
+    if (value !== null && !scheduler.parseTime(value)) {
+      return { error: `idlePolicy.${key} must be HH:mm or null` };
+    }
+  }
+  if ((exemptFrom === null) !== (exemptUntil === null)) {
+    return { error: 'idlePolicy needs both exemptFrom and exemptUntil, or neither' };
+  }
+
+  return { policy: { belowPower, minutes, exemptFrom, exemptUntil } };
+}
+
+function isExempt(policy, time) {
+  return policy.exemptFrom !== null && scheduler.inWindow(time, policy.exemptFrom, policy.exemptUntil);
+}
+
+// Step a node's idle timer on a reading. since is when it went idle, or null.
+// time is the local HH:mm. Returns { since, switchOff }; idling only counts
+// outside the exempt hours, while the relay is on.
+function step(policy, since, { power, relay }, now, time) {
+  if (!policy || relay !== 'on' || typeof power !== 'number' || power >= policy.belowPower || isExempt(policy, time)) {
+    return { since: null, switchOff: false };
+  }
+  const start = since === null ? now : since;
+  if (now - start < policy.minutes * 60 * 1000) return { since: start, switchOff: false };
+  return { since: null, switchOff: true };
+}
+
+function createRecord() {
+  return { offSince: null, offPower: null, savedWh: 0, events: [] };
+}
+
+function energyWh(power, from, to) {
+  return power * (to - from) / (60 * 60 * 1000);
+}
+
+function recordSwitchOff(record, power, now) {
+  return {
+    ...record,
+    offSince: now,
+    offPower: power,
+    events: [{ at: now, power, until: null, savedWh: 0 }, ...record.events].slice(0, MAX_EVENTS)
+  };
+}
+
+// The relay was switched back on, ending the saving from the last switch-off
+function recordSwitchOn(record, now) {
+  if (record.offSince === null) return record;
+  const saved = energyWh(record.offPower, record.offSince, now);
+  const [latest, ...rest] = record.events;
+  return {
+    ...record,
+    offSince: null,
+    offPower: null,
+    savedWh: record.savedWh + saved,
+    events: latest && latest.until === null ? [{ ...latest, until: now, savedWh: saved }, ...rest] : record.events
+  };
+}
+
+// Estimated savings so far, counting a node that is still off up to now
+function summarize(record, now) {
+  const open = record.offSince === null ? 0 : energyWh(record.offPower, record.offSince, now);
+  return {
+    savedKWh: (record.savedWh + open) / 1000,
+    idleOff: record.offSince !== null,
+    offSince: record.offSince,
+    events: record.events.map(event => event.until === null ? { ...event, savedWh: open } : event)
+  };
+}
+
+module.exports = {
+  validatePolicy,
+  step,
+  createRecord,
+  recordSwitchOff,
+  recordSwitchOn,
+  summarize
+};
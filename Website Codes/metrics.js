@@ -0,0 +1,55 @@
+// Prometheus metrics in the text exposition format
+//
+// Counters here count since the server started; Prometheus handles the reset on
+// restart. Everything else is read from the store when /metrics is scraped.
+// A metric family is { name, help, type, samples: [{ labels, value }] }.
+
+function createCounter() {
+  return new Map();
+}
+
+function increment(counter, labels, by = 1) {
+  const key = JSON.stringify(labels);
+  const sample = counter.get(key) || { labels, value: 0 };
+  sample.value += by;
+  counter.set(key, sample);
+}
+
+function counterSamples(counter) {
+  return [...counter.values()];
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+function formatSample(name, { labels = {}, value }) {
+  const pairs = Object.entries(labels).map(([key, label]) => `${key}="${escapeLabel(label)}"`);
+  return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`;
+}
+
+// Samples without a numeric value (e.g. a node that hasn't reported yet) are left out
+function format(families) {
+  const lines = [];
+  for (const family of families) {
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    for (const sample of family.samples) {
+      if (typeof sample.value === 'number' && !isNaN(sample.value)) lines.push(formatSample(family.name, sample));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  createCounter,
+  increment,
+  counterSamples,
+  format
+};
@@ -0,0 +1,273 @@
+// MQTT bridge with Home Assistant discovery
+//
+// Each node publishes its readings and relay state under <baseTopic>/<node>/ and
+// is switched through <baseTopic>/<node>/relay/set, which goes through the same
+// relay logic as the dashboard. Discovery configs under <discoveryPrefix>/ make
+// every node show up in Home Assistant as one device with a switch and sensors.
+//
+// Topics (retained), with <node> the node ID reduced to letters, digits, _ and -:
+//   <baseTopic>/status                    online/offline for the bridge itself (last will)
+//   <baseTopic>/<node>/availability       online/offline for the node
+//   <baseTopic>/<node>/voltage|current|power|energy
+//   <baseTopic>/<node>/relay              ON/OFF: the reported state, or the desired one until the node reports
+//   <baseTopic>/<node>/relay/attributes   { desired, reported, status, source } as JSON
+//   <baseTopic>/<node>/relay/set          ON/OFF commands (subscribed)
+
+const mqtt = require('mqtt');
+const notify = require('./notify');
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  url: 'mqtt://localhost:1883',
+  username: '',
+  password: '',
+  baseTopic: 'smartplug',
+  discoveryPrefix: 'homeassistant'
+};
+
+const URL_PROTOCOLS = ['mqtt:', 'mqtts:', 'ws:', 'wss:'];
+
+const SENSORS = {
+  voltage: { name: 'Voltage', unit: 'V', deviceClass: 'voltage', stateClass: 'measurement' },
+  current: { name: 'Current', unit: 'A', deviceClass: 'current', stateClass: 'measurement' },
+  power: { name: 'Power', unit: 'W', deviceClass: 'power', stateClass: 'measurement' },
+  energy: { name: 'Energy', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' }
+};
+
+function isValidTopic(topic) {
+  return typeof topic === 'string' && topic.length > 0 && !/[+#]/.test(topic) &&
+    !topic.startsWith('/') && !topic.endsWith('/');
+}
+
+// Validate bridge settings from the API over the stored ones. A masked password
+// sent back unchanged keeps the stored one. Returns { settings } or { error }.
+function validateSettings(input, existing = DEFAULT_SETTINGS) {
+  const settings = { ...DEFAULT_SETTINGS, ...existing, ...input };
+  if (input.password === notify.SECRET_MASK) settings.password = existing.password;
+  settings.enabled = Boolean(settings.enabled);
+
+  let url;
+  try {
+    url = new URL(settings.url);
+  } catch (error) {
+    return { error: 'url must be a broker URL, e.g. mqtt://localhost:1883' };
+  }
+  if (!URL_PROTOCOLS.includes(url.protocol)) {
+    return { error: `url must start with one of: ${URL_PROTOCOLS.map(protocol => `${protocol}//`).join(', ')}` };
+  }
+  if (typeof settings.username !== 'string' || typeof settings.password !== 'string') {
+    return { error: 'username and password must be text' };
+  }
+  if (settings.password && !settings.username) {
+    return { error: 'A password needs a username' };
+  }
+  for (const key of ['baseTopic', 'discoveryPrefix']) {
+    if (!isValidTopic(settings[key])) {
+      return { error: `${key} must be a topic without +, # or leading/trailing slashes` };
+    }
+  }
+
+  return {
+    settings: {
+      enabled: settings.enabled,
+      url: settings.url,
+      username: settings.username,
+      password: settings.password,
+      baseTopic: settings.baseTopic,
+      discoveryPrefix: settings.discoveryPrefix
+    }
+  };
+}
+
+function maskSettings(settings) {
+  return { ...settings, password: settings.password ? notify.SECRET_MASK : '' };
+}
+
+// Node IDs can hold characters that aren't allowed in topics or discovery IDs
+function topicId(nodeId) {
+  return nodeId.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
+function nodeTopic(bridge, nodeId, suffix) {
+  return `${bridge.settings.baseTopic}/${topicId(nodeId)}/${suffix}`;
+}
+
+function publish(bridge, topic, payload) {
+  if (!bridge || !bridge.client.connected) return;
+  bridge.client.publish(topic, typeof payload === 'string' ? payload : JSON.stringify(payload), { retain: true }, (error) => {
+    if (error) console.error(`MQTT publish to ${topic} failed:`, error.message);
+  });
+}
+
+function discoveryConfigs(bridge, nodeId, name) {
+  const id = `smartplug_${topicId(nodeId)}`;
+  const { baseTopic, discoveryPrefix } = bridge.settings;
+  const shared = {
+    availability: [
+      { topic: `${baseTopic}/status` },
+      { topic: nodeTopic(bridge, nodeId, 'availability') }
+    ],
+    availability_mode: 'all',
+    device: { identifiers: [id], name, manufacturer: 'ESP Power Monitor', model: 'ESP32 smart plug' }
+  };
+
+  const configs = {
+    [`${discoveryPrefix}/switch/${id}/relay/config`]: {
+      ...shared,
+      name: 'Relay',
+      unique_id: `${id}_relay`,
+      state_topic: nodeTopic(bridge, nodeId, 'relay'),
+      command_topic: nodeTopic(bridge, nodeId, 'relay/set'),
+      json_attributes_topic: nodeTopic(bridge, nodeId, 'relay/attributes'),
+      payload_on: 'ON',
+      payload_off: 'OFF'
+    }
+  };
+  for (const [metric, sensor] of Object.entries(SENSORS)) {
+    configs[`${discoveryPrefix}/sensor/${id}/${metric}/config`] = {
+      ...shared,
+      name: sensor.name,
+      unique_id: `${id}_${metric}`,
+      state_topic: nodeTopic(bridge, nodeId, metric),
+      unit_of_measurement: sensor.unit,
+      device_class: sensor.deviceClass,
+      state_class: sensor.stateClass
+    };
+  }
+  return configs;
+}
+
+// Publish discovery configs for a node, added or renamed
+function publishDiscovery(bridge, nodeId, name) {
+  if (!bridge) return;
+  bridge.nodeIds.set(topicId(nodeId), nodeId);
+  for (const [topic, config] of Object.entries(discoveryConfigs(bridge, nodeId, name || nodeId))) {
+    publish(bridge, topic, config);
+  }
+}
+
+// Remove a deleted node from Home Assistant and clear its retained state
+function removeNode(bridge, nodeId) {
+  if (!bridge) return;
+  bridge.nodeIds.delete(topicId(nodeId));
+  const topics = [
+    ...Object.keys(discoveryConfigs(bridge, nodeId, nodeId)),
+    ...[...Object.keys(SENSORS), 'availability', 'relay', 'relay/attributes'].map(suffix => nodeTopic(bridge, nodeId, suffix))
+  ];
+  topics.forEach(topic => publish(bridge, topic, ''));
+}
+
+// reading is { voltage, current, power } plus energy (lifetime kWh) when known
+function publishReading(bridge, nodeId, reading) {
+  if (!bridge) return;
+  for (const metric of Object.keys(SENSORS)) {
+    if (typeof reading[metric] === 'number') publish(bridge, nodeTopic(bridge, nodeId, metric), String(reading[metric]));
+  }
+}
+
+function publishRelay(bridge, nodeId, record) {
+  if (!bridge || !record) return;
+  publish(bridge, nodeTopic(bridge, nodeId, 'relay'), (record.reported || record.state).toUpperCase());
+  publish(bridge, nodeTopic(bridge, nodeId, 'relay/attributes'), {
+    desired: record.state,
+    reported: record.reported ?? null,
+    status: record.status,
+    source: record.source
+  });
+}
+
+function publishAvailability(bridge, nodeId, online) {
+  if (!bridge) return;
+  publish(bridge, nodeTopic(bridge, nodeId, 'availability'), online ? 'online' : 'offline');
+}
+
+// Everything for every node: on connect, and when Home Assistant restarts
+function publishAll(bridge) {
+  for (const node of bridge.handlers.listNodes()) {
+    publishDiscovery(bridge, node.nodeId, node.name);
+    publishAvailability(bridge, node.nodeId, node.online);
+    publishReading(bridge, node.nodeId, node);
+    publishRelay(bridge, node.nodeId, node.relay);
+  }
+}
+
+// Connect to the broker. handlers supplies the server's data and actions:
+//   listNodes()              [{ nodeId, name, online, voltage, current, power, energy, relay }] with relay the relay record
+//   setRelay(nodeId, state)  same path as the dashboard's relay control
+function startBridge(settings, handlers) {
+  const statusTopic = `${settings.baseTopic}/status`;
+  const commandTopic = `${settings.baseTopic}/+/relay/set`;
+  const haStatusTopic = `${settings.discoveryPrefix}/status`;
+
+  const client = mqtt.connect(settings.url, {
+    username: settings.username || undefined,
+    password: settings.password || undefined,
+    will: { topic: statusTopic, payload: 'offline', retain: true }
+  });
+  const bridge = { client, settings, handlers, nodeIds: new Map() };
+
+  client.on('connect', () => {
+    console.log(`MQTT bridge connected to ${settings.url}`);
+    publish(bridge, statusTopic, 'online');
+    client.subscribe([commandTopic, haStatusTopic], (error) => {
+      if (error) console.error('MQTT subscribe failed:', error.message);
+    });
+    publishAll(bridge);
+  });
+
+  client.on('message', async (topic, payload) => {
+    const message = payload.toString().trim();
+    try {
+      if (topic === haStatusTopic) {
+        if (message === 'online') publishAll(bridge);
+        return;
+      }
+
+      const nodeId = bridge.nodeIds.get(topic.split('/').slice(-3)[0]);
+      const state = message.toLowerCase();
+      if (!nodeId || !['on', 'off'].includes(state)) {
+        console.log(`Ignoring MQTT command on ${topic}: ${message}`);
+        return;
+      }
+
+      console.log(`MQTT command for node ${nodeId}: ${state}`);
+      await handlers.setRelay(nodeId, state);
+    } catch (error) {
+      console.error(`Error handling MQTT message on ${topic}:`, error);
+    }
+  });
+
+  client.on('offline', () => {
+    console.log(`MQTT bridge lost its connection to ${settings.url}, retrying`);
+  });
+
+  client.on('error', (error) => {
+    console.error('MQTT error:', error.message);
+  });
+
+  return bridge;
+}
+
+// Mark the bridge offline and disconnect
+function stopBridge(bridge) {
+  return new Promise(resolve => {
+    bridge.client.removeAllListeners('offline');
+    if (bridge.client.connected) {
+      bridge.client.publish(`${bridge.settings.baseTopic}/status`, 'offline', { retain: true });
+    }
+    bridge.client.end(false, {}, () => resolve());
+  });
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  validateSettings,
+  maskSettings,
+  startBridge,
+  stopBridge,
+  publishDiscovery,
+  removeNode,
+  publishReading,
+  publishRelay,
+  publishAvailability
+};
@@ -0,0 +1,227 @@
+// Notification channels: Telegram, SMTP email, HTTP webhooks and ntfy/Gotify push
+//
+// A channel is { id, name, type, enabled, config, route } where config holds the
+// type's credentials and route decides which notifications it receives:
+//   route.nodes        node ids to forward (empty = all nodes)
+//   route.minSeverity  lowest severity to forward
+
+const nodemailer = require('nodemailer');
+const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// Shown instead of secrets when channels are listed. Sending it back on update keeps the stored value.
+const SECRET_MASK = '********';
+
+const SEND_TIMEOUT_MS = 10000;
+
+// Required and secret config fields by channel type
+const CHANNEL_TYPES = {
+  telegram: { required: ['botToken', 'chatId'], secrets: ['botToken'] },
+  email: { required: ['host', 'from', 'to'], secrets: ['pass'] },
+  webhook: { required: ['url'], secrets: ['headers'] },
+  ntfy: { required: ['topic'], secrets: ['token'] },
+  gotify: { required: ['url', 'token'], secrets: ['token'] }
+};
+
+// ntfy and Gotify priorities for each severity
+const PUSH_PRIORITY = {
+  ntfy: { info: 3, warning: 4, critical: 5 },
+  gotify: { info: 2, warning: 5, critical: 8 }
+};
+
+function isUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Validate a channel from the API, merging it over the stored one when updating.
+// Returns { channel } or { error }.
+function validateChannel(input, existing = null) {
+  const type = input.type || existing?.type;
+  const definition = CHANNEL_TYPES[type];
+  if (!definition) {
+    return { error: `Channel type must be one of: ${Object.keys(CHANNEL_TYPES).join(', ')}` };
+  }
+  if (existing && type !== existing.type) {
+    return { error: 'Channel type cannot be changed' };
+  }
+
+  const config = { ...(existing?.config || {}) };
+  for (const [key, value] of Object.entries(input.config || {})) {
+    if (definition.secrets.includes(key) && value === SECRET_MASK) continue;
+    config[key] = value;
+  }
+
+  for (const key of definition.required) {
+    if (config[key] === undefined || config[key] === null || config[key] === '') {
+      return { error: `${type} channels need config.${key}` };
+    }
+  }
+  if ((type === 'webhook' || type === 'gotify') && !isUrl(config.url)) {
+    return { error: 'config.url must be an http(s) URL' };
+  }
+  if (type === 'ntfy' && config.url !== undefined && !isUrl(config.url)) {
+    return { error: 'config.url must be an http(s) URL' };
+  }
+  if (type === 'webhook' && config.headers !== undefined &&
+      (typeof config.headers !== 'object' || Array.isArray(config.headers))) {
+    return { error: 'config.headers must be an object' };
+  }
+  if (type === 'email' && config.port !== undefined && !Number.isInteger(config.port)) {
+    return { error: 'config.port must be a whole number' };
+  }
+
+  const route = { nodes: [], minSeverity: 'warning', ...(existing?.route || {}), ...(input.route || {}) };
+  if (!Array.isArray(route.nodes) || !route.nodes.every(nodeId => typeof nodeId === 'string')) {
+    return { error: 'route.nodes must be a list of node ids' };
+  }
+  if (!SEVERITIES.includes(route.minSeverity)) {
+    return { error: `route.minSeverity must be one of: ${SEVERITIES.join(', ')}` };
+  }
+
+  const name = input.name !== undefined ? input.name : existing?.name;
+  return {
+    channel: {
+      name: typeof name === 'string' && name.trim() ? name.trim() : type,
+      type,
+      enabled: input.enabled !== undefined ? Boolean(input.enabled) : existing?.enabled ?? true,
+      config,
+      route: { nodes: route.nodes, minSeverity: route.minSeverity }
+    }
+  };
+}
+
+// Copy of a channel that is safe to return from the API
+function maskChannel(channel) {
+  const config = { ...channel.config };
+  for (const key of CHANNEL_TYPES[channel.type].secrets) {
+    if (config[key] !== undefined && config[key] !== '') config[key] = SECRET_MASK;
+  }
+  return { ...channel, config };
+}
+
+function matchesRoute(channel, notification) {
+  if (!channel.enabled) return false;
+  const { nodes, minSeverity } = channel.route;
+  if (notification.nodeId && nodes.length > 0 && !nodes.includes(notification.nodeId)) return false;
+  return SEVERITIES.indexOf(notification.severity) >= SEVERITIES.indexOf(minSeverity);
+}
+
+async function post(url, options) {
+  const response = await fetch(url, { method: 'POST', timeout: SEND_TIMEOUT_MS, ...options });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response;
+}
+
+const senders = {
+  async telegram(config, notification) {
+    await post(`https://api.telegram.org/bot${config.botToken}/sendMessage`, {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        chat_id: config.chatId,
+        text: `${notification.title}\n${notification.message}`
+      })
+    });
+  },
+
+  async email(config, notification) {
+    const transport = nodemailer.createTransport({
+      host: config.host,
+      port: config.port || (config.secure ? 465 : 587),
+      secure: Boolean(config.secure),
+      auth: config.user ? { user: config.user, pass: config.pass } : undefined,
+      connectionTimeout: SEND_TIMEOUT_MS
+    });
+    await transport.sendMail({
+      from: config.from,
+      to: config.to,
+      subject: notification.title,
+      text: notification.message
+    });
+  },
+
+  async webhook(config, notification) {
+    await post(config.url, {
+      headers: { 'Content-Type': 'application/json', ...(config.headers || {}) },
+      body: JSON.stringify(notification)
+    });
+  },
+
+  // JSON publishing, since titles with emoji aren't valid in ntfy's header form
+  async ntfy(config, notification) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.token) headers.Authorization = `Bearer ${config.token}`;
+
+    await post((config.url || 'https://ntfy.sh').replace(/\/+$/, ''), {
+      headers,
+      body: JSON.stringify({
+        topic: config.topic,
+        title: notification.title,
+        message: notification.message,
+        priority: PUSH_PRIORITY.ntfy[notification.severity],
+        tags: [notification.severity === 'info' ? 'information_source' : 'warning']
+      })
+    });
+  },
+
+  async gotify(config, notification) {
+    await post(`${config.url.replace(/\/+$/, '')}/message`, {
+      headers: { 'Content-Type': 'application/json', 'X-Gotify-Key': config.token },
+      body: JSON.stringify({
+        title: notification.title,
+        message: notification.message,
+        priority: PUSH_PRIORITY.gotify[notification.severity]
+      })
+    });
+  }
+};
+
+// Send one notification through one channel. Resolves to { ok, error }.
+async function sendToChannel(channel, notification) {
+  try {
+    await senders[channel.type](channel.config, notification);
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+// Send a notification to every channel whose route matches it.
+// notification is { title, message, severity, nodeId, type, timestamp }.
+// Resolves to a { channelId: { ok, error } } map; failures are logged, never thrown.
+async function dispatch(channels, notification) {
+  const event = { severity: 'warning', timestamp: Date.now(), ...notification };
+  const targets = Object.entries(channels).filter(([, channel]) => matchesRoute(channel, event));
+
+  if (targets.length === 0) {
+    console.log(`Notification (no matching channel): ${event.title} - ${event.message}`);
+    return {};
+  }
+
+  const results = {};
+  await Promise.all(targets.map(async ([id, channel]) => {
+    results[id] = await sendToChannel(channel, event);
+    if (results[id].ok) {
+      console.log(`Notification sent via ${channel.name} (${channel.type}): ${event.title}`);
+    } else {
+      console.error(`Failed to send notification via ${channel.name} (${channel.type}):`, results[id].error);
+    }
+  }));
+  return results;
+}
+
+module.exports = {
+  SECRET_MASK,
+  SEVERITIES,
+  CHANNEL_TYPES,
+  validateChannel,
+  maskChannel,
+  sendToChannel,
+  dispatch
+};
@@ -0,0 +1,97 @@
+// Node presence: last seen, online/offline and uptime
+//
+// A node is seen whenever it posts sensor data or polls its relay, and goes
+// offline once it has been silent for its offlineAfter setting. Outages within
+// the uptime window are kept so an uptime percentage can be reported.
+//
+// Records are { online, lastSeen, lastSensorAt, lastPollAt, trackedSince,
+// changedAt, outages: [{ start, end }] } where end is null for an ongoing outage.
+
+const DEFAULT_OFFLINE_AFTER = 30; // seconds
+const UPTIME_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// A node that has never been seen starts out offline
+function createRecord(now) {
+  return {
+    online: false,
+    lastSeen: null,
+    lastSensorAt: null,
+    lastPollAt: null,
+    trackedSince: now,
+    changedAt: now,
+    outages: [{ start: now, end: null }]
+  };
+}
+
+function offlineAfterMs(node) {
+  return (node.offlineAfter || DEFAULT_OFFLINE_AFTER) * 1000;
+}
+
+// Whether a reading taken at timestamp is too old to treat as live
+function isStale(timestamp, node, now) {
+  return !timestamp || now - timestamp > offlineAfterMs(node);
+}
+
+function pruneOutages(outages, now) {
+  return outages.filter(outage => outage.end === null || outage.end > now - UPTIME_WINDOW_MS);
+}
+
+// Record contact from a node. source is 'sensor' or 'poll'. Returns { record, cameOnline }.
+function markSeen(record, source, now) {
+  const next = { ...record, lastSeen: now, [source === 'sensor' ? 'lastSensorAt' : 'lastPollAt']: now };
+  if (record.online) return { record: next, cameOnline: false };
+
+  next.online = true;
+  next.changedAt = now;
+  next.outages = pruneOutages(record.outages.map(outage => outage.end === null ? { ...outage, end: now } : outage), now);
+  return { record: next, cameOnline: true };
+}
+
+// Mark an online node offline once it has been silent for offlineAfterMs. Silence
+// is counted from notBefore at the earliest, so a server restart doesn't mark
+// every node offline before it has had a chance to check in.
+// Returns { record, wentOffline }.
+function checkOffline(record, offlineAfter, now, notBefore = 0) {
+  if (!record.online) return { record, wentOffline: false };
+  if (now - Math.max(record.lastSeen || 0, notBefore) < offlineAfter) return { record, wentOffline: false };
+
+  return {
+    record: {
+      ...record,
+      online: false,
+      changedAt: now,
+      outages: pruneOutages([...record.outages, { start: record.lastSeen ?? now, end: null }], now)
+    },
+    wentOffline: true
+  };
+}
+
+// Percentage of the uptime window (or of the time since tracking began, if
+// shorter) that the node was online, to one decimal place
+function uptimePercent(record, now) {
+  const from = Math.max(now - UPTIME_WINDOW_MS, record.trackedSince);
+  if (now <= from) return record.online ? 100 : 0;
+
+  const down = record.outages.reduce((sum, outage) =>
+    sum + Math.max(0, (outage.end ?? now) - Math.max(outage.start, from)), 0);
+  return Math.round(Math.max(0, 1 - down / (now - from)) * 1000) / 10;
+}
+
+// The fields /api/nodes reports for a node
+function summarize(record, now) {
+  return {
+    online: record.online,
+    lastSeen: record.lastSeen,
+    uptime: uptimePercent(record, now)
+  };
+}
+
+module.exports = {
+  DEFAULT_OFFLINE_AFTER,
+  createRecord,
+  offlineAfterMs,
+  isStale,
+  markSeen,
+  checkOffline,
+  summarize
+};
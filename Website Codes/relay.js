@@ -0,0 +1,57 @@
+// Relay state: what the server asked for (desired) vs. what the node says it did (reported)
+//
+// Records are { state, timestamp, source, reported, reportedAt, status, pendingSince }.
+// state and timestamp are the desired state the ESP polls for; source says what
+// set it (user, schedule, timer, cutoff...). status is one of:
+//   pending    waiting for the node to report the desired state
+//   confirmed  the node reported the desired state
+//   failed     the node didn't report it within ACK_TIMEOUT_MS
+// Nodes report their relay in each sensor post and after switching.
+
+const STATES = ['on', 'off'];
+const ACK_TIMEOUT_MS = 10000;
+
+function setDesired(record, state, now, source = 'user') {
+  const reported = record?.reported ?? null;
+  const confirmed = reported === state;
+  return {
+    state,
+    timestamp: now,
+    source,
+    reported,
+    reportedAt: record?.reportedAt ?? null,
+    status: confirmed ? 'confirmed' : 'pending',
+    pendingSince: confirmed ? null : now
+  };
+}
+
+// Record the state a node reports. A confirmed relay that reports something else
+// (e.g. after a power cut reset it) goes back to pending while the node catches up.
+function applyReport(record, reported, now) {
+  const next = { ...record, reported, reportedAt: now };
+  if (reported === record.state) {
+    return { ...next, status: 'confirmed', pendingSince: null };
+  }
+  if (record.status === 'confirmed') {
+    return { ...next, status: 'pending', pendingSince: now };
+  }
+  return next;
+}
+
+// Mark a pending command failed once the timeout has passed. Nodes that have never
+// reported (not yet connected, or older firmware) stay pending instead.
+// Returns { record, failed }.
+function checkTimeout(record, now, timeoutMs = ACK_TIMEOUT_MS) {
+  if (record.status !== 'pending' || !record.reported || now - record.pendingSince < timeoutMs) {
+    return { record, failed: false };
+  }
+  return { record: { ...record, status: 'failed' }, failed: true };
+}
+
+module.exports = {
+  STATES,
+  ACK_TIMEOUT_MS,
+  setDesired,
+  applyReport,
+  checkTimeout
+};
@@ -0,0 +1,494 @@
+// Log rotation, compression and retention for the logs/ directory
+//
+// Layout:
+//   logs/node_<id>_data.csv                          today's raw samples (appended every second)
+//   logs/archive/node_<id>_data_<YYYY-MM-DD>.csv.gz  one gzipped raw file per past day
+//   logs/archive/node_<id>_rollup_<YYYY-MM>.csv      15 minute min/avg/max rollups per month
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const energy = require('./energy');
+const sensor = require('./sensor');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Raw lines may carry extended fields after power; rollups only cover V/I/P.
+// A header from before the extended fields is dropped with the other unparseable lines.
+const CSV_HEADER = sensor.CSV_HEADER;
+const ROLLUP_HEADER = 'Timestamp,Samples,Voltage Min,Voltage Avg,Voltage Max,Current Min,Current Avg,Current Max,Power Min,Power Avg,Power Max';
+const ROLLUP_BUCKET_MS = 15 * 60 * 1000;
+// How much of each end of the active log to read when checking where inserted lines go
+const EDGE_BYTES = 4096;
+const MAX_INSERT_ATTEMPTS = 5;
+
+const DEFAULT_POLICY = {
+  rawDays: 30, // gzipped raw daily files older than this are deleted
+  rollupMonths: null, // null keeps rollups forever
+  alertDays: 90 // cleared alerts older than this are deleted; null keeps them forever
+};
+
+const ACTIVE_PATTERN = /^node_(.+)_data\.csv$/;
+const DOWNLOAD_COPY_PATTERN = /^node_(.+)_data_\d{4}-\d{2}-\d{2}T[\d-]+Z\.csv$/;
+const RAW_ARCHIVE_PATTERN = /^node_(.+)_data_(\d{4}-\d{2}-\d{2})\.csv\.gz$/;
+const ROLLUP_PATTERN = /^node_(.+)_rollup_(\d{4}-\d{2})\.csv$/;
+
+// Inserts run one at a time per node. Rotations are counted per node so an
+// insert can tell when the files it read were rotated before it could write.
+const insertQueues = new Map();
+const rotations = new Map();
+
+function archiveDir(logsDir) {
+  return path.join(logsDir, 'archive');
+}
+
+function activeLogPath(logsDir, nodeId) {
+  return path.join(logsDir, `node_${nodeId}_data.csv`);
+}
+
+function rawArchivePath(logsDir, nodeId, day) {
+  return path.join(archiveDir(logsDir), `node_${nodeId}_data_${day}.csv.gz`);
+}
+
+function rollupPath(logsDir, nodeId, month) {
+  return path.join(archiveDir(logsDir), `node_${nodeId}_rollup_${month}.csv`);
+}
+
+// Node ids that have an active log file
+function listLoggedNodes(logsDir) {
+  if (!fs.existsSync(logsDir)) return [];
+  return fs.readdirSync(logsDir)
+    .map(file => ACTIVE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(match => match[1]);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Summarise raw CSV lines into 15 minute rollup lines
+function buildRollupLines(lines) {
+  const buckets = new Map();
+  for (const line of lines) {
+    const [timestamp, ...values] = line.split(',');
+    const time = Date.parse(timestamp);
+    if (isNaN(time)) continue;
+
+    const start = Math.floor(time / ROLLUP_BUCKET_MS) * ROLLUP_BUCKET_MS;
+    if (!buckets.has(start)) {
+      buckets.set(start, {
+        count: 0,
+        fields: [0, 1, 2].map(() => ({ min: Infinity, max: -Infinity, sum: 0, samples: 0 }))
+      });
+    }
+    const bucket = buckets.get(start);
+    bucket.count++;
+    bucket.fields.forEach((stats, i) => {
+      const value = parseFloat(values[i]);
+      if (isNaN(value)) return;
+      stats.min = Math.min(stats.min, value);
+      stats.max = Math.max(stats.max, value);
+      stats.sum += value;
+      stats.samples++;
+    });
+  }
+
+  return [...buckets.keys()].sort((a, b) => a - b).map(start => {
+    const bucket = buckets.get(start);
+    const columns = bucket.fields.map(stats => stats.samples === 0
+      ? ',,'
+      : `${round(stats.min)},${round(stats.sum / stats.samples)},${round(stats.max)}`);
+    return `${new Date(start).toISOString()},${bucket.count},${columns.join(',')}`;
+  });
+}
+
+// Move every line of the active log that isn't from today into the archive.
+// Runs synchronously so the 1 second logger can't append in the middle of it.
+function rotateNodeLog(logsDir, nodeId, now = new Date()) {
+  const activeFile = activeLogPath(logsDir, nodeId);
+  if (!fs.existsSync(activeFile)) return [];
+
+  const today = energy.dayKey(now);
+  const lines = fs.readFileSync(activeFile, 'utf8').split('\n').filter(line => line && line !== CSV_HEADER);
+
+  const keep = [];
+  const byDay = new Map();
+  for (const line of lines) {
+    const time = Date.parse(line.split(',')[0]);
+    if (isNaN(time)) continue;
+    const day = energy.dayKey(new Date(time));
+    if (day >= today) {
+      keep.push(line);
+    } else {
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(line);
+    }
+  }
+
+  if (byDay.size === 0) return [];
+
+  fs.mkdirSync(archiveDir(logsDir), { recursive: true });
+  rotations.set(nodeId, (rotations.get(nodeId) || 0) + 1);
+
+  for (const [day, dayLines] of byDay) {
+    // gzip members can be concatenated, so a day rotated twice still reads as one file
+    const rawFile = rawArchivePath(logsDir, nodeId, day);
+    const rawText = (fs.existsSync(rawFile) ? '' : `${CSV_HEADER}\n`) + dayLines.join('\n') + '\n';
+    fs.appendFileSync(rawFile, zlib.gzipSync(rawText));
+
+    const rollupFile = rollupPath(logsDir, nodeId, day.slice(0, 7));
+    if (!fs.existsSync(rollupFile)) {
+      fs.writeFileSync(rollupFile, `${ROLLUP_HEADER}\n`);
+    }
+    fs.appendFileSync(rollupFile, buildRollupLines(dayLines).join('\n') + '\n');
+  }
+
+  fs.writeFileSync(activeFile, `${CSV_HEADER}\n` + keep.map(line => `${line}\n`).join(''));
+
+  return [...byDay.keys()];
+}
+
+function lineTimestamp(line) {
+  return line.split(',')[0];
+}
+
+function lineTime(line) {
+  return Date.parse(lineTimestamp(line));
+}
+
+function joinLines(header, lines) {
+  return `${header}\n` + lines.map(line => `${line}\n`).join('');
+}
+
+// Merge lines into a file's lines in time order, leaving out any at a timestamp
+// that is already there. Returns { lines, added }.
+function mergeLines(existing, lines) {
+  const seen = new Set(existing.map(lineTimestamp));
+  const added = lines.filter(line => {
+    if (seen.has(lineTimestamp(line))) return false;
+    seen.add(lineTimestamp(line));
+    return true;
+  });
+  const merged = [...existing, ...added]
+    .map(line => ({ line, time: lineTime(line) }))
+    .filter(entry => !isNaN(entry.time))
+    .sort((a, b) => a.time - b.time)
+    .map(entry => entry.line);
+  return { lines: merged, added: added.length };
+}
+
+async function readLines(file, header) {
+  if (!fs.existsSync(file)) return [];
+  const data = await fs.promises.readFile(file);
+  const text = file.endsWith('.gz') ? (await gunzip(data)).toString('utf8') : data.toString('utf8');
+  return text.split('\n').filter(line => line && line !== header);
+}
+
+function readRange(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytes = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.toString('utf8', 0, bytes);
+}
+
+// The first and last timestamped lines of a log, reading only its ends.
+// Either is null when there are none.
+function readEdges(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const size = fs.fstatSync(fd).size;
+    const linesAt = (position) => {
+      const length = Math.min(EDGE_BYTES, size - position);
+      const lines = readRange(fd, position, length).split('\n');
+      // Leave out the lines cut off at either end
+      if (position > 0) lines.shift();
+      if (position + length < size) lines.pop();
+      return lines.filter(line => line && !isNaN(lineTime(line)));
+    };
+    return {
+      first: linesAt(0)[0] ?? null,
+      last: linesAt(Math.max(0, size - EDGE_BYTES)).at(-1) ?? null
+    };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Everything in a file from position on
+function readFrom(file, position) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    return readRange(fd, position, fs.fstatSync(fd).size - position);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function discard(...files) {
+  for (const file of files) fs.rmSync(file, { force: true });
+}
+
+// Split lines, in time order, between the active log (key null) and archived
+// days. Days from the active log's first line on haven't been rotated yet.
+function groupLines(logsDir, nodeId, lines, now) {
+  const activeFile = activeLogPath(logsDir, nodeId);
+  const { first } = fs.existsSync(activeFile) ? readEdges(activeFile) : { first: null };
+  const today = energy.dayKey(now);
+  const firstDay = first ? energy.dayKey(new Date(lineTime(first))) : today;
+  const activeFrom = firstDay < today ? firstDay : today;
+
+  const groups = new Map();
+  for (const line of lines) {
+    const day = energy.dayKey(new Date(lineTime(line)));
+    const key = day >= activeFrom ? null : day;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(line);
+  }
+  return groups;
+}
+
+// Lines newer than everything in the active log are appended. Anything else
+// means merging the whole log, which is read and written asynchronously to a
+// temporary file; lines the 1 second logger appended meanwhile are carried over
+// just before it replaces the log. Resolves to the number of lines added, or
+// null when the log changed under it and the insert needs to start again.
+async function insertIntoActive(logsDir, nodeId, lines, rotation) {
+  fs.mkdirSync(logsDir, { recursive: true });
+  const activeFile = activeLogPath(logsDir, nodeId);
+  if (!fs.existsSync(activeFile)) {
+    fs.writeFileSync(activeFile, joinLines(CSV_HEADER, lines));
+    return lines.length;
+  }
+  const { last } = readEdges(activeFile);
+  if (!last || lineTime(lines[0]) > lineTime(last)) {
+    fs.appendFileSync(activeFile, lines.map(line => `${line}\n`).join(''));
+    return lines.length;
+  }
+
+  const text = await fs.promises.readFile(activeFile, 'utf8');
+  // A line the logger was writing during the read is picked up with the ones after it
+  const complete = text.slice(0, text.lastIndexOf('\n') + 1);
+  const readBytes = Buffer.byteLength(complete);
+  const merged = mergeLines(complete.split('\n').filter(line => line && line !== CSV_HEADER), lines);
+  if (merged.added === 0) return 0;
+
+  const tempFile = `${activeFile}.tmp`;
+  await fs.promises.writeFile(tempFile, joinLines(CSV_HEADER, merged.lines));
+
+  // From here on nothing waits, so the logger can't append until the log is replaced
+  const size = fs.existsSync(activeFile) ? fs.statSync(activeFile).size : -1;
+  if ((rotations.get(nodeId) || 0) !== rotation || size < readBytes) {
+    discard(tempFile);
+    return null;
+  }
+  const appended = readFrom(activeFile, readBytes);
+  const lastTime = lineTime(merged.lines[merged.lines.length - 1]);
+  if (appended.split('\n').some(line => lineTime(line) <= lastTime)) {
+    // Out of order with what was inserted: merge again with them included
+    discard(tempFile);
+    return null;
+  }
+  fs.appendFileSync(tempFile, appended);
+  fs.renameSync(tempFile, activeFile);
+  return merged.added;
+}
+
+// Merge lines into an archived day and rebuild that day's rollups. Both files are
+// read and written asynchronously to temporary files, which then replace them.
+// Resolves to the number of lines added, or null when the node's logs were
+// rotated meanwhile and the insert needs to start again.
+async function insertIntoArchive(logsDir, nodeId, day, lines, rotation) {
+  fs.mkdirSync(archiveDir(logsDir), { recursive: true });
+  const rawFile = rawArchivePath(logsDir, nodeId, day);
+  const merged = mergeLines(await readLines(rawFile, CSV_HEADER), lines);
+  if (merged.added === 0) return 0;
+
+  const rollupFile = rollupPath(logsDir, nodeId, day.slice(0, 7));
+  const rebuilt = buildRollupLines(merged.lines);
+  const buckets = new Set(rebuilt.map(lineTimestamp));
+  const kept = (await readLines(rollupFile, ROLLUP_HEADER)).filter(line => !buckets.has(lineTimestamp(line)));
+
+  const [rawTemp, rollupTemp] = [`${rawFile}.tmp`, `${rollupFile}.tmp`];
+  await fs.promises.writeFile(rawTemp, await gzip(joinLines(CSV_HEADER, merged.lines)));
+  await fs.promises.writeFile(rollupTemp, joinLines(ROLLUP_HEADER, mergeLines(kept, rebuilt).lines));
+
+  if ((rotations.get(nodeId) || 0) !== rotation) {
+    discard(rawTemp, rollupTemp);
+    return null;
+  }
+  fs.renameSync(rawTemp, rawFile);
+  fs.renameSync(rollupTemp, rollupFile);
+  return merged.added;
+}
+
+async function insertNodeLines(logsDir, nodeId, lines, now) {
+  let pending = mergeLines([], lines).lines;
+  let added = 0;
+  for (let attempt = 1; pending.length > 0; attempt++) {
+    if (attempt > MAX_INSERT_ATTEMPTS) {
+      throw new Error(`Logs for node ${nodeId} kept changing while inserting lines`);
+    }
+    const rotation = rotations.get(nodeId) || 0;
+    for (const [day, dayLines] of groupLines(logsDir, nodeId, pending, now)) {
+      const result = day === null
+        ? await insertIntoActive(logsDir, nodeId, dayLines, rotation)
+        : await insertIntoArchive(logsDir, nodeId, day, dayLines, rotation);
+      if (result === null) break;
+
+      added += result;
+      const done = new Set(dayLines);
+      pending = pending.filter(line => !done.has(line));
+    }
+  }
+  return added;
+}
+
+// Insert raw lines that arrived late (e.g. readings a node buffered while it
+// was offline) into the active log or the archived days, in time order. Lines
+// at a timestamp already logged are skipped, so uploading them twice changes
+// nothing. Files are only rewritten asynchronously, so merging into a large log
+// doesn't hold up the server. Resolves to how many lines were added.
+function insertLines(logsDir, nodeId, lines, now = new Date()) {
+  const previous = insertQueues.get(nodeId) || Promise.resolve();
+  const run = previous.catch(() => {}).then(() => insertNodeLines(logsDir, nodeId, lines, now));
+  insertQueues.set(nodeId, run);
+  const finished = () => {
+    if (insertQueues.get(nodeId) === run) insertQueues.delete(nodeId);
+  };
+  run.then(finished, finished);
+  return run;
+}
+
+// Delete files that fall outside the retention policy. Returns the deleted file names.
+function applyRetention(logsDir, policy, now = new Date()) {
+  const deleted = [];
+  const remove = (file) => {
+    fs.unlinkSync(file);
+    deleted.push(path.relative(logsDir, file));
+  };
+
+  // Copies left behind by older versions of the log download endpoint
+  if (fs.existsSync(logsDir)) {
+    for (const file of fs.readdirSync(logsDir)) {
+      if (DOWNLOAD_COPY_PATTERN.test(file)) remove(path.join(logsDir, file));
+    }
+  }
+
+  const dir = archiveDir(logsDir);
+  if (!fs.existsSync(dir)) return deleted;
+
+  const rawCutoff = policy.rawDays
+    ? energy.dayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - policy.rawDays))
+    : null;
+  const rollupCutoff = policy.rollupMonths
+    ? energy.monthKey(new Date(now.getFullYear(), now.getMonth() - policy.rollupMonths, 1))
+    : null;
+
+  for (const file of fs.readdirSync(dir)) {
+    const raw = RAW_ARCHIVE_PATTERN.exec(file);
+    if (raw && rawCutoff && raw[2] < rawCutoff) {
+      remove(path.join(dir, file));
+      continue;
+    }
+    const rollup = ROLLUP_PATTERN.exec(file);
+    if (rollup && rollupCutoff && rollup[2] < rollupCutoff) {
+      remove(path.join(dir, file));
+    }
+  }
+
+  return deleted;
+}
+
+function fileSize(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+// Bytes used per node, split by kind of file
+function getDiskUsage(logsDir) {
+  const usage = {};
+  const add = (nodeId, kind, bytes) => {
+    if (!usage[nodeId]) {
+      usage[nodeId] = { active: 0, rawArchive: 0, rollups: 0, downloadCopies: 0, total: 0, files: 0 };
+    }
+    usage[nodeId][kind] += bytes;
+    usage[nodeId].total += bytes;
+    usage[nodeId].files++;
+  };
+
+  if (fs.existsSync(logsDir)) {
+    for (const file of fs.readdirSync(logsDir)) {
+      const active = ACTIVE_PATTERN.exec(file);
+      const copy = DOWNLOAD_COPY_PATTERN.exec(file);
+      if (copy) add(copy[1], 'downloadCopies', fileSize(path.join(logsDir, file)));
+      else if (active) add(active[1], 'active', fileSize(path.join(logsDir, file)));
+    }
+  }
+
+  const dir = archiveDir(logsDir);
+  if (fs.existsSync(dir)) {
+    for (const file of fs.readdirSync(dir)) {
+      const raw = RAW_ARCHIVE_PATTERN.exec(file);
+      const rollup = ROLLUP_PATTERN.exec(file);
+      if (raw) add(raw[1], 'rawArchive', fileSize(path.join(dir, file)));
+      else if (rollup) add(rollup[1], 'rollups', fileSize(path.join(dir, file)));
+    }
+  }
+
+  return usage;
+}
+
+// Files to read for a history query, oldest first. Raw archives are used while
+// they exist; days that have aged out fall back to the 15 minute rollups when
+// the requested resolution is coarse enough.
+function getHistorySources(logsDir, nodeId, from, to, resolution) {
+  const sources = [];
+  const useRollups = ['15m', '1h', '1d'].includes(resolution);
+  const today = energy.dayKey(new Date());
+
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+  const monthsWithRollups = new Set();
+
+  while (day.getTime() <= to) {
+    const dayKey = energy.dayKey(day);
+    if (dayKey >= today) break;
+
+    const rawFile = rawArchivePath(logsDir, nodeId, dayKey);
+    if (!useRollups && fs.existsSync(rawFile)) {
+      sources.push({ file: rawFile, type: 'raw' });
+    } else if (useRollups) {
+      const month = dayKey.slice(0, 7);
+      if (!monthsWithRollups.has(month)) {
+        monthsWithRollups.add(month);
+        const file = rollupPath(logsDir, nodeId, month);
+        if (fs.existsSync(file)) sources.push({ file, type: 'rollup' });
+      }
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  const activeFile = activeLogPath(logsDir, nodeId);
+  if (fs.existsSync(activeFile)) sources.push({ file: activeFile, type: 'raw' });
+
+  return sources;
+}
+
+module.exports = {
+  CSV_HEADER,
+  DEFAULT_POLICY,
+  archiveDir,
+  activeLogPath,
+  rawArchivePath,
+  listLoggedNodes,
+  rotateNodeLog,
+  insertLines,
+  applyRetention,
+  getDiskUsage,
+  getHistorySources
+};
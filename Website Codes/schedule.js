@@ -0,0 +1,350 @@
+// Relay schedules: recurring on chosen weekdays between optional dates, once, or
+// relative to sunrise/sunset
+//
+// Schedules are { id, type, action, enabled, time, days, startDate, endDate, at,
+// event, offset, lastRun, nextRun }:
+//   recurring  runs at time (HH:mm) on days (0 = Sunday, empty for every day),
+//              from startDate to endDate (YYYY-MM-DD, inclusive, both optional)
+//   once       runs at at (YYYY-MM-DDTHH:mm), then stays in the list as done
+//   solar      runs offset minutes after (or before, when negative) event, sunrise
+//              or sunset, with days, startDate and endDate as for recurring
+// Times are wall-clock times in the configured timezone, and sunrise/sunset is
+// worked out for the configured latitude/longitude. nextRun is the next run as a
+// timestamp (null when there are no more), lastRun when it last ran.
+//
+// Runs are due once nextRun has passed. A run found more than ON_TIME_MS late
+// (the server was down or busy) is caught up or skipped by the catch-up policy.
+
+const solar = require('./solar');
+
+const TYPES = ['recurring', 'once', 'solar'];
+const SOLAR_EVENTS = ['sunrise', 'sunset'];
+const MAX_SOLAR_OFFSET = 12 * 60; // minutes
+const CATCH_UP_POLICIES = ['latest', 'skip'];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ON_TIME_MS = 2 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_SETTINGS = {
+  timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+  catchUp: 'latest', // run the latest missed action per node, or skip missed runs
+  catchUpHours: 12, // missed runs older than this are skipped either way
+  latitude: null, // degrees, north positive; needed for solar schedules
+  longitude: null // degrees, east positive
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return typeof timeZone === 'string';
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseDate(text) {
+  const match = DATE_PATTERN.exec(text || '');
+  if (!match) return null;
+  const date = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+  const check = new Date(Date.UTC(date.year, date.month - 1, date.day));
+  return check.getUTCMonth() === date.month - 1 && check.getUTCDate() === date.day ? date : null;
+}
+
+function dateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+function weekday({ year, month, day }) {
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+const formatters = new Map();
+
+// Wall-clock date and time of a timestamp in timeZone
+function zonedParts(timestamp, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timeZone).formatToParts(timestamp)) {
+    parts[type] = Number(value);
+  }
+  return parts;
+}
+
+function offsetAt(timestamp, timeZone) {
+  const parts = zonedParts(timestamp, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(timestamp / 1000) * 1000;
+}
+
+// Timestamp of a wall-clock time on date in timeZone. Times skipped by a DST
+// change land just after it, and times it repeats run at the first of the two.
+function zonedTime(date, hour, minute, timeZone) {
+  const wallClock = Date.UTC(date.year, date.month - 1, date.day, hour, minute);
+  // The offsets either side of a DST change on the day (the same when there's none)
+  const before = offsetAt(wallClock - DAY_MS, timeZone);
+  const after = offsetAt(wallClock + DAY_MS, timeZone);
+  const matches = [before, after]
+    .map(offset => wallClock - offset)
+    .filter(timestamp => wallClock - offsetAt(timestamp, timeZone) === timestamp);
+  // No match means the time was skipped: read it with the offset from before the change
+  return matches.length > 0 ? Math.min(...matches) : wallClock - before;
+}
+
+function parseTime(text) {
+  const match = TIME_PATTERN.exec(text || '');
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+// Whether a time (HH:mm) is at or after from and before until, wrapping past
+// midnight when from is later than until. Either end can be left out.
+function inWindow(time, from, until) {
+  if (from && until && from > until) return time >= from || time < until;
+  return (!from || time >= from) && (!until || time < until);
+}
+
+// Weekday (0 = Sunday) and time as HH:mm of a timestamp in timeZone
+function localTime(timestamp, timeZone) {
+  const parts = zonedParts(timestamp, timeZone);
+  return {
+    day: weekday(parts),
+    time: `${String(parts.hour).padStart(2, '0')}:${String(parts.minute).padStart(2, '0')}`
+  };
+}
+
+// Validate a schedule from the API, merging it over the stored one when updating.
+// Returns { schedule } or { error }.
+function validateSchedule(input, existing = {}) {
+  const schedule = {
+    type: 'recurring',
+    enabled: true,
+    days: [],
+    startDate: null,
+    endDate: null,
+    at: null,
+    event: null,
+    offset: 0,
+    ...existing,
+    ...input
+  };
+
+  if (!TYPES.includes(schedule.type)) {
+    return { error: `type must be one of: ${TYPES.join(', ')}` };
+  }
+  if (schedule.action !== 'on' && schedule.action !== 'off') {
+    return { error: 'action must be on or off' };
+  }
+
+  const result = { type: schedule.type, action: schedule.action, enabled: Boolean(schedule.enabled) };
+
+  if (schedule.type === 'once') {
+    const [date, time] = String(schedule.at || '').split('T');
+    if (!parseDate(date) || !parseTime(time)) {
+      return { error: 'at must be a date and time, e.g. 2024-06-01T18:30' };
+    }
+    return { schedule: { ...result, at: `${date}T${time}` } };
+  }
+
+  if (schedule.type === 'solar') {
+    if (!SOLAR_EVENTS.includes(schedule.event)) {
+      return { error: `event must be one of: ${SOLAR_EVENTS.join(', ')}` };
+    }
+    if (!Number.isInteger(schedule.offset) || Math.abs(schedule.offset) > MAX_SOLAR_OFFSET) {
+      return { error: `offset must be a whole number of minutes from -${MAX_SOLAR_OFFSET} to ${MAX_SOLAR_OFFSET}` };
+    }
+  } else if (!parseTime(schedule.time)) {
+    return { error: 'time must be HH:mm' };
+  }
+  if (!Array.isArray(schedule.days) || !schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    return { error: 'days must be a list of weekdays from 0 (Sunday) to 6 (Saturday)' };
+  }
+  for (const key of ['startDate', 'endDate']) {
+    if (schedule[key] !== null && !parseDate(schedule[key])) {
+      return { error: `${key} must be a date (YYYY-MM-DD) or null` };
+    }
+  }
+  if (schedule.startDate && schedule.endDate && schedule.endDate < schedule.startDate) {
+    return { error: 'endDate must not be before startDate' };
+  }
+
+  const timing = schedule.type === 'solar'
+    ? { event: schedule.event, offset: schedule.offset }
+    : { time: schedule.time };
+  return {
+    schedule: {
+      ...result,
+      ...timing,
+      // Every day is stored as no days, so the schedule reads the same either way
+      days: schedule.days.length === 7 ? [] : [...new Set(schedule.days)].sort(),
+      startDate: schedule.startDate,
+      endDate: schedule.endDate
+    }
+  };
+}
+
+function hasLocation(settings) {
+  return typeof settings.latitude === 'number' && typeof settings.longitude === 'number';
+}
+
+// When a recurring or solar schedule runs on date, or null when it doesn't
+function runOn(schedule, date, settings) {
+  if (schedule.type !== 'solar') {
+    const { hour, minute } = parseTime(schedule.time);
+    return zonedTime(date, hour, minute, settings.timezone);
+  }
+  const event = solar.sunTimes(date, settings.latitude, settings.longitude)[schedule.event];
+  return event === null ? null : event + schedule.offset * 60 * 1000;
+}
+
+// The first run strictly after the timestamp after, or null when there are no more.
+// settings supplies the timezone, and the location for solar schedules, which
+// never run while it isn't set. Schedules from before types were added are
+// recurring every day.
+function nextRun(schedule, after, settings) {
+  if (schedule.type === 'once') {
+    const [date, time] = schedule.at.split('T');
+    const { hour, minute } = parseTime(time);
+    const run = zonedTime(parseDate(date), hour, minute, settings.timezone);
+    return run > after ? run : null;
+  }
+  if (schedule.type === 'solar' && !hasLocation(settings)) return null;
+
+  const days = schedule.days || [];
+  const today = zonedParts(after, settings.timezone);
+  let from = { year: today.year, month: today.month, day: today.day };
+  if (schedule.startDate && schedule.startDate > dateKey(from)) from = parseDate(schedule.startDate);
+
+  // A week and a day covers every weekday even when today's run has passed.
+  // Solar runs start a day back, as a large offset can push yesterday's run past
+  // midnight, and look up to a year ahead for the end of a polar night.
+  const [first, last] = schedule.type === 'solar' ? [-1, 367] : [0, 8];
+  for (let i = first; i < last; i++) {
+    const date = addDays(from, i);
+    if (schedule.startDate && dateKey(date) < schedule.startDate) continue;
+    if (schedule.endDate && dateKey(date) > schedule.endDate) return null;
+    if (days.length > 0 && !days.includes(weekday(date))) continue;
+
+    const run = runOn(schedule, date, settings);
+    if (run !== null && run > after) return run;
+  }
+  return null;
+}
+
+// The last run of a due schedule at or before now, skipping over any missed before it
+function latestDue(schedule, now, settings) {
+  let latest = schedule.nextRun;
+  for (let next = nextRun(schedule, latest, settings); next !== null && next <= now; next = nextRun(schedule, next, settings)) {
+    latest = next;
+  }
+  return latest;
+}
+
+// Pick what to run from { nodeId: schedules }. Only the latest due run per node
+// is applied, since an earlier one would be overridden straight away.
+// Returns { runs, skipped }, each a list of { nodeId, schedule, at, late }.
+function collectDue(schedulesByNode, now, settings) {
+  const runs = [];
+  const skipped = [];
+
+  for (const [nodeId, schedules] of Object.entries(schedulesByNode)) {
+    let chosen = null;
+    for (const schedule of schedules) {
+      if (!schedule.enabled || typeof schedule.nextRun !== 'number' || schedule.nextRun > now) continue;
+
+      const at = latestDue(schedule, now, settings);
+      const late = now - at > ON_TIME_MS;
+      if (late && (settings.catchUp === 'skip' || now - at > settings.catchUpHours * 60 * 60 * 1000)) {
+        skipped.push({ nodeId, schedule, at, late });
+        continue;
+      }
+      if (!chosen || at >= chosen.at) chosen = { nodeId, schedule, at, late };
+    }
+    if (chosen) runs.push(chosen);
+  }
+
+  return { runs, skipped };
+}
+
+// Validate schedule settings over the current ones. Returns { settings } or { error }.
+function validateSettings(input, existing = DEFAULT_SETTINGS) {
+  const settings = { ...DEFAULT_SETTINGS, ...existing, ...input };
+
+  if (!isValidTimeZone(settings.timezone)) {
+    return { error: 'timezone must be an IANA time zone, e.g. Europe/London' };
+  }
+  if (!CATCH_UP_POLICIES.includes(settings.catchUp)) {
+    return { error: `catchUp must be one of: ${CATCH_UP_POLICIES.join(', ')}` };
+  }
+  if (typeof settings.catchUpHours !== 'number' || !(settings.catchUpHours > 0)) {
+    return { error: 'catchUpHours must be a number of hours above 0' };
+  }
+  if ((settings.latitude === null) !== (settings.longitude === null)) {
+    return { error: 'Set both latitude and longitude, or neither' };
+  }
+  if (settings.latitude !== null && (typeof settings.latitude !== 'number' || !(Math.abs(settings.latitude) <= 90))) {
+    return { error: 'latitude must be a number of degrees from -90 to 90' };
+  }
+  if (settings.longitude !== null && (typeof settings.longitude !== 'number' || !(Math.abs(settings.longitude) <= 180))) {
+    return { error: 'longitude must be a number of degrees from -180 to 180' };
+  }
+
+  return {
+    settings: {
+      timezone: settings.timezone,
+      catchUp: settings.catchUp,
+      catchUpHours: settings.catchUpHours,
+      latitude: settings.latitude,
+      longitude: settings.longitude
+    }
+  };
+}
+
+// Short text for lists, e.g. "07:30 Mon, Wed from 2024-06-01", "sunset +15 min every day"
+// or "once at 2024-06-01 18:30"
+function describeSchedule(schedule) {
+  if (schedule.type === 'once') return `once at ${schedule.at.replace('T', ' ')}`;
+
+  const days = schedule.days && schedule.days.length > 0 ? schedule.days.map(day => DAY_NAMES[day]).join(', ') : 'every day';
+  const range = [
+    schedule.startDate ? `from ${schedule.startDate}` : '',
+    schedule.endDate ? `until ${schedule.endDate}` : ''
+  ].filter(Boolean).join(' ');
+  const when = schedule.type === 'solar'
+    ? `${schedule.event}${schedule.offset ? ` ${schedule.offset > 0 ? '+' : '-'}${Math.abs(schedule.offset)} min` : ''}`
+    : schedule.time;
+  return `${when} ${days}${range ? ` ${range}` : ''}`;
+}
+
+module.exports = {
+  TYPES,
+  SOLAR_EVENTS,
+  CATCH_UP_POLICIES,
+  DEFAULT_SETTINGS,
+  hasLocation,
+  parseTime,
+  localTime,
+  inWindow,
+  validateSchedule,
+  validateSettings,
+  nextRun,
+  collectDue,
+  describeSchedule
+};
@@ -0,0 +1,165 @@
+// Sensor payloads posted by the nodes, or sent as sensor frames on their device
+// connection
+//
+// Version 1 (no v field) is { voltage, current, power, relay }, as sent by the
+// original firmware; numeric strings are accepted for the readings. Version 2
+// ({ v: 2, ... }) adds optional extended fields from meters that report more
+// than V/I/P, such as the STPM33:
+//   powerFactor    -1 to 1
+//   frequency      Hz
+//   apparentPower  VA
+//   reactivePower  var, negative for capacitive loads
+//   meterEnergy    kWh, the meter's own counter
+//   rssi           dBm, the node's WiFi signal
+//   uptime         seconds since the node booted
+// Extended fields that are missing or null are left out of the reading.
+//
+// Batches are arrays of readings a node buffered while it couldn't reach the
+// server, each a payload of either version plus the timestamp it was taken at
+// (epoch milliseconds or an ISO 8601 string).
+
+const VERSIONS = [1, 2];
+
+const READING_FIELDS = ['voltage', 'current', 'power'];
+
+const EXTENDED_FIELDS = [
+  { key: 'powerFactor', title: 'Power Factor', min: -1, max: 1 },
+  { key: 'frequency', title: 'Frequency (Hz)', min: 0, max: 1000 },
+  { key: 'apparentPower', title: 'Apparent Power (VA)', min: 0 },
+  { key: 'reactivePower', title: 'Reactive Power (var)' },
+  { key: 'meterEnergy', title: 'Meter Energy (kWh)', min: 0 },
+  { key: 'rssi', title: 'RSSI (dBm)', min: -150, max: 0 },
+  { key: 'uptime', title: 'Uptime (s)', min: 0 }
+];
+
+// The raw log columns. Logs written before version 2 have only the first four;
+// readers go by position, so old and new lines can share a file.
+const CSV_COLUMNS = [
+  { key: 'timestamp', title: 'Timestamp' },
+  { key: 'voltage', title: 'Voltage (V)' },
+  { key: 'current', title: 'Current (A)' },
+  { key: 'power', title: 'Power (W)' },
+  ...EXTENDED_FIELDS.map(({ key, title }) => ({ key, title }))
+];
+
+const CSV_HEADER = CSV_COLUMNS.map(column => column.title).join(',');
+
+const MAX_BATCH_SIZE = 1000;
+const MAX_BATCH_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Allowance for a node's clock running ahead of the server's
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+function inRange(field, value) {
+  return (field.min === undefined || value >= field.min) && (field.max === undefined || value <= field.max);
+}
+
+function describeRange(field) {
+  if (field.min !== undefined && field.max !== undefined) return ` from ${field.min} to ${field.max}`;
+  if (field.min !== undefined) return `, ${field.min} or more`;
+  return '';
+}
+
+// Validate a sensor payload. Zero readings are valid, e.g. 0 A with the relay off.
+// Returns { reading } as { version, voltage, current, power, relay, extended },
+// or { error }.
+function validateReading(input) {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Missing sensor data' };
+  }
+
+  const version = input.v === undefined ? 1 : input.v;
+  if (!VERSIONS.includes(version)) {
+    return { error: `Unsupported sensor payload version: ${version}` };
+  }
+
+  const reading = { version, relay: input.relay, extended: {} };
+  for (const key of READING_FIELDS) {
+    if (input[key] === undefined || input[key] === null || input[key] === '') {
+      return { error: 'Missing sensor data' };
+    }
+    const value = version === 1 ? toNumber(input[key]) : input[key];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { error: `${key} must be a number` };
+    }
+    reading[key] = value;
+  }
+  if (reading.voltage < 0 || reading.current < 0) {
+    return { error: 'voltage and current must be 0 or more' };
+  }
+
+  if (version === 1) return { reading };
+
+  for (const field of EXTENDED_FIELDS) {
+    const value = input[field.key];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || !inRange(field, value)) {
+      return { error: `${field.key} must be a number${describeRange(field)}` };
+    }
+    reading.extended[field.key] = value;
+  }
+
+  return { reading };
+}
+
+function parseTimestamp(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value === 'string' && value.trim() !== '') return Date.parse(value);
+  return NaN;
+}
+
+// Validate a batch of timestamped readings. Readings repeated at the same
+// timestamp are kept once. Returns { readings } in time order, each with its
+// timestamp, or { error } for the first invalid one.
+function validateBatch(input, now) {
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'Expected an array of readings' };
+  }
+  if (input.length > MAX_BATCH_SIZE) {
+    return { error: `A batch can have at most ${MAX_BATCH_SIZE} readings` };
+  }
+
+  const byTimestamp = new Map();
+  for (let i = 0; i < input.length; i++) {
+    const { reading, error } = validateReading(input[i]);
+    if (error) return { error: `readings[${i}]: ${error}` };
+
+    const timestamp = parseTimestamp(input[i].timestamp);
+    if (isNaN(timestamp)) {
+      return { error: `readings[${i}]: timestamp must be epoch milliseconds or an ISO 8601 time` };
+    }
+    if (timestamp > now + MAX_CLOCK_SKEW_MS || timestamp < now - MAX_BATCH_AGE_MS) {
+      return { error: `readings[${i}]: timestamp must be within the last ${MAX_BATCH_AGE_MS / (24 * 60 * 60 * 1000)} days` };
+    }
+    byTimestamp.set(timestamp, { ...reading, timestamp });
+  }
+
+  return { readings: [...byTimestamp.values()].sort((a, b) => a.timestamp - b.timestamp) };
+}
+
+// A raw log line for a stored node; extended fields it doesn't have are left empty
+function csvLine(timestamp, node) {
+  const extended = node.extended || {};
+  return [
+    timestamp,
+    node.voltage,
+    node.current,
+    node.power,
+    ...EXTENDED_FIELDS.map(({ key }) => extended[key] ?? '')
+  ].join(',');
+}
+
+module.exports = {
+  VERSIONS,
+  EXTENDED_FIELDS,
+  CSV_HEADER,
+  MAX_BATCH_SIZE,
+  validateReading,
+  validateBatch,
+  csvLine
+};
@@ -2,20 +2,51 @@ const express = require('express');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
-const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
-const TelegramBot = require('node-telegram-bot-api');
+const zlib = require('zlib');
 const WebSocket = require('ws');
-const { createObjectCsvWriter } = require('csv-writer');
+const energy = require('./energy');
+const tariffs = require('./tariff');
+const history = require('./history');
+const retention = require('./retention');
+const store = require('./store');
+const auth = require('./auth');
+const notify = require('./notify');
+const alerts = require('./alerts');
+const presence = require('./presence');
+const relay = require('./relay');
+const telegram = require('./telegram');
+const mqttBridge = require('./mqttbridge');
+const scheduler = require('./schedule');
+const timers = require('./timer');
+const groups = require('./groups');
+const automation = require('./automation');
+const circuits = require('./circuits');
+const idle = require('./idle');
+const cycles = require('./cycles');
+const sensor = require('./sensor');
+const metrics = require('./metrics');
 
 // Constants
 const PORT = 3000;
-const NODES_FILE = path.join(__dirname, 'nodes.json');
-const RELAY_FILE = path.join(__dirname, 'relay_command.json');
-const SCHEDULE_FILE = path.join(__dirname, 'schedules.json');
-const TIMER_FILE = path.join(__dirname, 'timers.json');
+const DB_FILE = path.join(__dirname, 'smartplug.db');
+// Where a generated first admin password is written
+const ADMIN_PASSWORD_FILE = path.join(__dirname, 'admin-password.txt');
 const POWER_THRESHOLD = 100; // Watts
 const ALERT_COOLDOWN_MS = 300000; // 5 minutes in milliseconds
-const ALERT_COOLDOWN = 60000; // 1 minute cooldown in milliseconds
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000; // 15 minutes
+const DEVICE_PING_INTERVAL_MS = 15000; // Keepalive for device WebSocket connections
+const SCHEDULE_CHECK_MS = 10000;
+const RULE_LOG_SIZE = 100; // evaluations kept per automation rule
+
+// Bearer token Prometheus scrapes /metrics with. Without it only signed-in users can read /metrics.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+
+// Device WebSocket connections are made to /ws/device/<nodeId>
+const DEVICE_WS_PATH = /^\/ws\/device\/([^/]+)$/;
+
+// Origins allowed to call the API from another site, comma separated. Empty means same-origin only.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
 
 // Create logs directory if it doesn't exist
 const LOGS_DIR = path.join(__dirname, 'logs');
@@ -30,161 +61,471 @@ try {
 
 // Initialize Express app
 const app = express();
-app.use(cors());
+if (CORS_ORIGINS.length > 0) {
+  app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+}
+// Batches of buffered readings are bigger than the default 100kb limit allows
+app.use('/api/sensor/:nodeId/batch', express.json({ limit: '1mb' }));
 app.use(express.json());
-app.use(express.static(__dirname));
 
 // Create HTTP server
 const server = require('http').createServer(app);
 
-// Initialize WebSocket server
-const wss = new WebSocket.Server({ server });
+// WebSocket servers: the dashboard on any path, and the ESP nodes on DEVICE_WS_PATH
+const wss = new WebSocket.Server({ noServer: true });
+const deviceWss = new WebSocket.Server({ noServer: true });
 
-// Initialize Telegram bot with hardcoded values
-const TELEGRAM_TOKEN = "<TOKEN>";
-const TELEGRAM_CHAT_ID = "<ID>";
-const bot = new TelegramBot(TELEGRAM_TOKEN);
+// Device connections by node id
+const deviceSockets = new Map();
 
-// CSV writers cache
-const csvWriters = new Map();
-
-// Active timers
-const activeTimers = new Map();
-
-// Timer management
-const timers = new Map();
+// Pending timeouts for running relay timers
+const timerHandles = new Map();
 
 // Store active logging intervals
 const loggingIntervals = new Map();
 
-// Alert cooldowns
-const alertCooldowns = new Map();
-
-// Helper function to get CSV writer
-function getCsvWriter(nodeId) {
-  if (!csvWriters.has(nodeId)) {
-    const csvWriter = createObjectCsvWriter({
-      path: path.join(LOGS_DIR, `node_${nodeId}_data.csv`),
-      header: [
-        { id: 'timestamp', title: 'Timestamp' },
-        { id: 'voltage', title: 'Voltage (V)' },
-        { id: 'current', title: 'Current (A)' },
-        { id: 'power', title: 'Power (W)' }
-      ],
-      append: true
+// Active alert ids, and when breaches that haven't lasted their minimum duration
+// yet started, keyed by "nodeId:ruleId"
+const activeAlerts = new Map();
+const pendingAlerts = new Map();
+
+// When nodes with an idle policy started idling, keyed by node ID
+const idleSince = new Map();
+
+// Nodes aren't marked offline for silence from before the server started
+const startedAt = Date.now();
+
+// Automation rule trigger state and recent evaluations, keyed by rule ID
+const ruleStates = new Map();
+const ruleLogs = new Map();
+
+// Failed login attempts by client address
+const loginFailures = new Map();
+
+// Counters for /metrics, labelled by node
+const sensorReadingsCounter = metrics.createCounter();
+const alertsRaisedCounter = metrics.createCounter();
+const autoCutoffsCounter = metrics.createCounter();
+
+// Open the database. On first run this imports nodes.json, relay_command.json,
+// schedules.json, timers.json and the other JSON state files.
+const db = store.open(DB_FILE, __dirname);
+
+// Create the first admin account if there are no users yet
+auth.ensureAdminUser(ADMIN_PASSWORD_FILE);
+
+// Alerts still open from before a restart stay open instead of being raised again
+for (const [id, alert] of Object.entries(db.alerts.all())) {
+  if (alerts.isActive(alert)) activeAlerts.set(`${alert.nodeId}:${alert.ruleId}`, id);
+}
+
+// Role checks for routes. Roles are cumulative: operators can do everything viewers can.
+const requireViewer = auth.requireRole('viewer');
+const requireOperator = auth.requireRole('operator');
+const requireAdmin = auth.requireRole('admin');
+
+// WebSocket broadcast function
+function broadcast(data) {
+  wss.clients.forEach(client => {
+    if (client.readyState === WebSocket.OPEN) {
+      client.send(JSON.stringify(data));
+    }
+  });
+}
+
+// Send a notification through every channel whose routing matches it
+function sendNotification(notification) {
+  return notify.dispatch(db.channels.all(), notification);
+}
+
+function newAlertId() {
+  let id = Date.now();
+  while (db.alerts.has(String(id))) id++;
+  return String(id);
+}
+
+function raiseAlert(nodeId, rule, value, now) {
+  const id = newAlertId();
+  const alert = db.alerts.set(id, alerts.createAlert({ nodeId, rule, value, now }));
+  activeAlerts.set(`${nodeId}:${rule.id}`, id);
+  metrics.increment(alertsRaisedCounter, { node: nodeId, severity: alert.severity });
+  console.log(`ALERT RAISED: Node ${nodeId} - ${alert.message.replace(/\n/g, ' ')}`);
+
+  broadcast({ type: 'alert_raised', alert: { id, ...alert } });
+  if (rule.actions.includes('notify')) {
+    const cutoff = rule.actions.includes('cutoff') ? '\nAuto-cutoff is turning the relay off.' : '';
+    sendNotification({ type: 'threshold', nodeId, severity: alert.severity, title: `⚠️ ALERT: Node ${nodeId}`, message: alert.message + cutoff });
+  }
+}
+
+// Clear an active alert. value is null when its rule or node went away.
+function clearActiveAlert(key, value, now, rule = null) {
+  const id = activeAlerts.get(key);
+  activeAlerts.delete(key);
+  const alert = db.alerts.update(id, (alert) => alert && alerts.clearAlert(alert, value, now));
+  if (!alert) return;
+  console.log(`ALERT CLEARED: Node ${alert.nodeId} (${alert.ruleId})`);
+
+  broadcast({ type: 'alert_cleared', alert: { id, ...alert } });
+  // Same severity as the raise, so it reaches the channels that got the alert
+  if (!rule || rule.actions.includes('notify')) {
+    sendNotification({
+      type: 'threshold_cleared',
+      nodeId: alert.nodeId,
+      severity: alert.severity,
+      title: `✅ CLEARED: Node ${alert.nodeId}`,
+      message: value === null ? 'Alert closed: its rule or node was removed.' : alerts.describeRecovery(alert, value)
     });
-    csvWriters.set(nodeId, csvWriter);
   }
-  return csvWriters.get(nodeId);
 }
 
-// Helper function to read JSON file
-function readJsonFile(filePath) {
-  try {
-    if (!fs.existsSync(filePath)) {
-      return {};
-    }
-    const data = fs.readFileSync(filePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.error(`Error reading ${filePath}:`, error);
-    return {};
+function clearNodeAlerts(nodeId, now = Date.now()) {
+  for (const key of [...activeAlerts.keys()]) {
+    if (key.startsWith(`${nodeId}:`)) clearActiveAlert(key, null, now);
   }
 }
 
-// Helper function to write JSON file
-function writeJsonFile(filePath, data) {
-  try {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    return true;
-  } catch (error) {
-    console.error(`Error writing ${filePath}:`, error);
-    return false;
+// Announce a node coming online or going offline on the dashboard and the notification channels
+function announcePresence(nodeId, online, record) {
+  console.log(`Node ${nodeId} is ${online ? 'online' : 'offline'}`);
+  broadcast({ type: online ? 'node_online' : 'node_offline', nodeId, lastSeen: record.lastSeen });
+  mqttBridge.publishAvailability(bridge, nodeId, online);
+  runAutomations({ type: 'presence', nodeId, online });
+
+  const lastSeen = record.lastSeen ? new Date(record.lastSeen).toLocaleString() : 'never';
+  // Both at the same severity, so whoever hears about an outage also hears it ended
+  sendNotification({
+    type: online ? 'node_online' : 'node_offline',
+    nodeId,
+    severity: 'warning',
+    title: online ? `✅ ONLINE: Node ${nodeId}` : `📴 OFFLINE: Node ${nodeId}`,
+    message: online ? 'The node is reporting again.' : `No sensor data or relay polls since ${lastSeen}.`
+  });
+}
+
+// Record contact from a node. source is 'sensor' for readings, or 'poll' for relay
+// polls, relay reports and device connection keepalives.
+function markNodeSeen(nodeId, source) {
+  const now = Date.now();
+  let cameOnline = false;
+  const record = db.presence.update(nodeId, (record) => {
+    const result = presence.markSeen(record || presence.createRecord(now), source, now);
+    cameOnline = result.cameOnline;
+    return result.record;
+  });
+  if (cameOnline) announcePresence(nodeId, true, record);
+}
+
+// Mark nodes offline once they've been silent for their offlineAfter setting
+function checkNodePresence(nodes, now) {
+  for (const [nodeId, node] of Object.entries(nodes)) {
+    let wentOffline = false;
+    const record = db.presence.update(nodeId, (record) => {
+      const result = presence.checkOffline(record || presence.createRecord(now), presence.offlineAfterMs(node), now, startedAt);
+      wentOffline = result.wentOffline;
+      return result.record;
+    });
+    if (wentOffline) announcePresence(nodeId, false, record);
   }
 }
 
-// Initialize files with default values if they don't exist
-function initializeFiles() {
-  try {
-    // Initialize nodes.json
-    if (!fs.existsSync(NODES_FILE)) {
-      writeJsonFile(NODES_FILE, { nodes: {} });
-    }
+function presenceSummary(nodeId, now = Date.now()) {
+  return presence.summarize(db.presence.get(nodeId) || presence.createRecord(now), now);
+}
 
-    // Initialize relay_command.json
-    if (!fs.existsSync(RELAY_FILE)) {
-      writeJsonFile(RELAY_FILE, {
-        nodes: {}
+// Step every rule of a node on its latest reading: raise once a breach has lasted
+// the rule's duration, clear at its clear value, and keep the relay off while a
+// cutoff rule's alert is active. previous is the reading before this one, for
+// rate rules; without it they keep their current state. Stale readings from a
+// silent node are not evaluated, so open alerts stay as they were until it reports again.
+function evaluateNodeAlerts(nodeId, node, now = Date.now(), previous = null) {
+  const rules = alerts.nodeRules(node);
+  const stale = presence.isStale(node.timestamp, node, now);
+  let cutoff = false;
+
+  for (const rule of rules) {
+    const key = `${nodeId}:${rule.id}`;
+    const activeId = activeAlerts.get(key);
+    const value = stale ? null : alerts.measure(rule, node, previous);
+    if (stale) pendingAlerts.delete(key);
+
+    if (value !== null) {
+      const { action, pendingSince } = alerts.evaluateRule(rule, value, {
+        active: Boolean(activeId),
+        pendingSince: pendingAlerts.get(key),
+        now
       });
-    }
 
-    // Initialize schedules.json
-    if (!fs.existsSync(SCHEDULE_FILE)) {
-      writeJsonFile(SCHEDULE_FILE, {
-        nodes: {}
-      });
-    }
+      if (pendingSince) {
+        pendingAlerts.set(key, pendingSince);
+      } else {
+        pendingAlerts.delete(key);
+      }
 
-    // Initialize timers.json
-    if (!fs.existsSync(TIMER_FILE)) {
-      writeJsonFile(TIMER_FILE, {
-        nodes: {}
-      });
+      if (action === 'raise') {
+        raiseAlert(nodeId, rule, value, now);
+      } else if (action === 'clear') {
+        clearActiveAlert(key, value, now, rule);
+      } else if (activeId) {
+        const alert = db.alerts.get(activeId);
+        if (alert && alerts.isNewPeak(alert, value)) {
+          db.alerts.set(activeId, { ...alert, peakValue: value });
+        }
+      }
     }
-  } catch (error) {
-    console.error('Error initializing files:', error);
+
+    if (rule.actions.includes('cutoff') && activeAlerts.has(key)) cutoff = true;
+  }
+
+  // Alerts whose rule was deleted, disabled or (for the threshold) unset
+  const ruleKeys = new Set(rules.map(rule => `${nodeId}:${rule.id}`));
+  for (const key of [...activeAlerts.keys(), ...pendingAlerts.keys()]) {
+    if (!key.startsWith(`${nodeId}:`) || ruleKeys.has(key)) continue;
+    pendingAlerts.delete(key);
+    if (activeAlerts.has(key)) clearActiveAlert(key, null, now);
+  }
+
+  // Only update the relay if it's not already off
+  if (cutoff && db.relays.get(nodeId)?.state !== 'off') {
+    setRelayState(nodeId, 'off', 'cutoff');
+    metrics.increment(autoCutoffsCounter, { node: nodeId });
+    console.log(`AUTO-CUTOFF: Relay state for ${nodeId} set to OFF by an active alert`);
   }
 }
 
-// Initialize files on startup
-initializeFiles();
+// Switch a node off once it has idled under its idle policy's power for long enough
+function checkIdle(nodeId, node, now = Date.now()) {
+  const { since, switchOff } = idle.step(
+    node.idlePolicy,
+    idleSince.get(nodeId) ?? null,
+    { power: node.power, relay: db.relays.get(nodeId)?.state },
+    now,
+    scheduler.localTime(now, readScheduleSettings().timezone).time
+  );
+  if (since === null) idleSince.delete(nodeId);
+  else idleSince.set(nodeId, since);
+  if (!switchOff) return;
+
+  db.idle.update(nodeId, (record) => idle.recordSwitchOff(record || idle.createRecord(), node.power, now));
+  setRelayState(nodeId, 'off', 'idle');
+  console.log(`IDLE OFF: Node ${nodeId} drew under ${node.idlePolicy.belowPower} W for ${node.idlePolicy.minutes} min, relay set to OFF`);
+  broadcast({ type: 'idle_off', nodeId, power: node.power });
+}
 
-// WebSocket broadcast function
-function broadcast(data) {
-  wss.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify(data));
-    }
+// Split a node's power into run cycles, storing each one as it finishes. reading
+// is the node's latest { power, timestamp }, or null when only time has passed.
+function checkCycles(nodeId, node, now = Date.now(), reading = null) {
+  let finished = null;
+  db.cycles.update(nodeId, (record = cycles.createRecord()) => {
+    const result = cycles.step(cycles.nodeSettings(node), record.current, reading, now);
+    finished = result.finished;
+    const next = { ...record, current: result.current };
+    return finished ? cycles.addCycle(next, finished) : next;
   });
+  if (!finished) return;
+
+  const name = node.name || nodeId;
+  console.log(`CYCLE FINISHED: Node ${nodeId} ran ${cycles.describeCycle(finished)}`);
+  broadcast({ type: 'cycle_finished', nodeId, cycle: finished });
+  if (cycles.nodeSettings(node).notify) {
+    sendNotification({
+      type: 'cycle_finished',
+      nodeId,
+      severity: 'info',
+      title: `✅ CYCLE FINISHED: ${name}`,
+      message: `${name} finished a cycle at ${new Date(finished.end).toLocaleTimeString()}: ${cycles.describeCycle(finished)}.`
+    });
+  }
+}
+
+// Telegram settings from the environment become the first channel, so older setups keep alerting
+function seedChannelsFromEnv() {
+  const { TELEGRAM_TOKEN, TELEGRAM_CHAT_ID } = process.env;
+  if (!TELEGRAM_TOKEN || !TELEGRAM_CHAT_ID || Object.keys(db.channels.all()).length > 0) return;
+
+  const { channel } = notify.validateChannel({
+    name: 'Telegram',
+    type: 'telegram',
+    config: { botToken: TELEGRAM_TOKEN, chatId: TELEGRAM_CHAT_ID }
+  });
+  db.channels.set('telegram', channel);
+  console.log('Created Telegram notification channel from TELEGRAM_TOKEN/TELEGRAM_CHAT_ID');
+}
+
+seedChannelsFromEnv();
+
+// Telegram bot commands. Restarted whenever its settings or its channel change.
+let telegramBot = null;
+
+function readTelegramBotSettings() {
+  return { ...telegram.DEFAULT_SETTINGS, ...db.settings.get('telegramBot') };
 }
 
-// Send Telegram alert
-// Add logging to sendTelegramAlert to confirm its execution
-async function sendTelegramAlert(nodeId, message) {
-  if (!bot || !TELEGRAM_CHAT_ID) {
-    console.log('Telegram alert (not sent - bot not configured):', message);
+async function restartTelegramBot() {
+  if (telegramBot) {
+    await telegram.stopBot(telegramBot);
+    telegramBot = null;
+  }
+
+  const settings = readTelegramBotSettings();
+  if (!settings.enabled) return;
+
+  const channel = db.channels.get(settings.channelId);
+  if (!channel || channel.type !== 'telegram') {
+    console.log('Telegram bot not started: its notification channel is missing');
     return;
   }
 
-  console.log(`Sending Telegram alert for node ${nodeId}: ${message}`);
-  try {
-    await bot.sendMessage(TELEGRAM_CHAT_ID, message);
-    console.log(`Telegram alert sent successfully for node ${nodeId}`);
-  } catch (error) {
-    console.error('Failed to send Telegram alert:', error);
+  telegramBot = telegram.startBot(channel.config.botToken, {
+    getChatRole: (chatId) => {
+      const chat = readTelegramBotSettings().chats.find(chat => chat.chatId === chatId);
+      return chat ? chat.role : null;
+    },
+    listNodes: () => {
+      const relays = db.relays.all();
+      return Object.entries(db.nodes.all()).map(([nodeId, node]) => ({
+        nodeId,
+        name: node.name || nodeId,
+        power: node.power,
+        online: presenceSummary(nodeId).online,
+        relay: relays[nodeId]?.state
+      }));
+    },
+    setRelay: (nodeId, state) => controlRelay(nodeId, state, 'telegram'),
+    startTimer: async (nodeId, seconds, action) => {
+      const { timer, error } = timers.validateTimer({ duration: seconds, action });
+      if (error) return error;
+      try {
+        await startTimer(nodeId, timer);
+        return null;
+      } catch (error) {
+        console.error('Error starting timer from Telegram:', error);
+        return 'Failed to start the timer.';
+      }
+    },
+    getSchedules: (nodeId) => db.schedules.get(nodeId),
+    getEnergyToday: () => {
+      const records = db.energy.all();
+      const cost = tariffs.getCostSummary(readTariff(), Object.values(records), { includeFixed: true });
+      return {
+        totalKwh: energy.getTotals(energy.combineRecords(Object.values(records))).today,
+        cost: cost.today,
+        currency: cost.currency,
+        nodes: Object.entries(records).map(([nodeId, record]) => ({ nodeId, kwh: energy.getTotals(record).today }))
+      };
+    }
+  });
+  console.log(`Telegram bot started using channel ${channel.name}`);
+}
+
+// MQTT bridge to Home Assistant. Restarted whenever its settings change.
+let bridge = null;
+
+function readMqttSettings() {
+  return { ...mqttBridge.DEFAULT_SETTINGS, ...db.settings.get('mqtt') };
+}
+
+async function restartMqttBridge() {
+  if (bridge) {
+    await mqttBridge.stopBridge(bridge);
+    bridge = null;
+  }
+
+  const settings = readMqttSettings();
+  if (!settings.enabled) return;
+
+  bridge = mqttBridge.startBridge(settings, {
+    listNodes: () => {
+      const now = Date.now();
+      const relays = db.relays.all();
+      const records = db.energy.all();
+      return Object.entries(db.nodes.all()).map(([nodeId, node]) => ({
+        nodeId,
+        name: node.name || nodeId,
+        online: presenceSummary(nodeId, now).online,
+        voltage: node.voltage,
+        current: node.current,
+        power: node.power,
+        energy: records[nodeId] ? energy.getTotals(records[nodeId]).lifetime : undefined,
+        relay: relays[nodeId]
+      }));
+    },
+    setRelay: (nodeId, state) => controlRelay(nodeId, state, 'mqtt')
+  });
+  console.log(`MQTT bridge connecting to ${settings.url}`);
+}
+
+// Send a node its relay command over its device connection, if it has one.
+// Nodes without one pick the command up on their next poll.
+function pushRelayCommand(nodeId, record) {
+  const ws = deviceSockets.get(nodeId);
+  if (!ws || ws.readyState !== WebSocket.OPEN || !record) return false;
+  ws.send(JSON.stringify({ type: 'relay', state: record.state, timestamp: record.timestamp, source: record.source }));
+  return true;
+}
+
+// Set the desired relay state. It stays pending until the node reports it.
+function setRelayState(nodeId, state, source = 'user') {
+  const before = db.relays.get(nodeId);
+  const record = db.relays.update(nodeId, (record) => relay.setDesired(record, state, Date.now(), source));
+  pushRelayCommand(nodeId, record);
+  mqttBridge.publishRelay(bridge, nodeId, record);
+  if (record.state === 'on' && db.idle.get(nodeId)?.offSince) {
+    db.idle.update(nodeId, (idleRecord) => idle.recordSwitchOn(idleRecord, record.timestamp));
+  }
+  if (!before || before.state !== record.state) {
+    runAutomations({ type: 'relay', nodeId, state: record.state, source });
+  }
+  return record;
+}
+
+// Record the relay state a node reports having applied
+function reportRelayState(nodeId, reported) {
+  const now = Date.now();
+  const before = db.relays.get(nodeId);
+  const record = db.relays.update(nodeId, (record) =>
+    relay.applyReport(record || relay.setDesired(null, reported, now, 'node'), reported, now));
+  mqttBridge.publishRelay(bridge, nodeId, record);
+
+  if (before && before.status !== 'confirmed' && record.status === 'confirmed') {
+    broadcast({ type: 'relay_status', nodeId, ...record });
   }
 }
 
-// Function to control relay - updates relay state for ESP to poll
+// Fail relay commands the node hasn't acknowledged in time. A cutoff that never
+// happened is critical: the load is still powered.
+function checkRelayAcks(now) {
+  for (const [nodeId, current] of Object.entries(db.relays.all())) {
+    const { record, failed } = relay.checkTimeout(current, now);
+    if (!failed) continue;
+    db.relays.set(nodeId, record);
+
+    const reported = record.reported ? record.reported.toUpperCase() : 'nothing';
+    console.log(`RELAY NOT APPLIED: Node ${nodeId} was told ${record.state.toUpperCase()} (${record.source}) but reports ${reported}`);
+    broadcast({ type: 'relay_status', nodeId, ...record });
+    mqttBridge.publishRelay(bridge, nodeId, record);
+    sendNotification({
+      type: 'relay_failed',
+      nodeId,
+      severity: record.source === 'cutoff' ? 'critical' : 'warning',
+      title: `⚠️ RELAY NOT APPLIED: Node ${nodeId}`,
+      message: `The relay was switched ${record.state.toUpperCase()} (${record.source}) but the node reports ${reported} ` +
+        `after ${relay.ACK_TIMEOUT_MS / 1000}s.` + (record.source === 'cutoff' ? '\nThe auto-cutoff did not happen: the load is still powered.' : '')
+    });
+  }
+}
+
+// Function to control relay - updates relay state, pushed to connected ESPs and polled by the rest
 // Add logging to controlRelay to confirm relay state updates
-async function controlRelay(nodeId, state) {
+// source records what asked for the change: user, schedule, timer, telegram, mqtt, rule, shed, idle or cutoff
+async function controlRelay(nodeId, state, source = 'user') {
   try {
     const relayState = (state === true || state === 'on') ? 'on' : 'off';
 
     console.log(`Setting relay state for node ${nodeId}: ${relayState.toUpperCase()}`);
     
-    // Update relay state in file - ESP will poll this
-    const relayData = readJsonFile(RELAY_FILE);
-    if (!relayData.nodes) relayData.nodes = {};
-
-    relayData.nodes[nodeId] = {
-      state: relayState,
-      timestamp: Date.now()
-    };
-
-    if (!writeJsonFile(RELAY_FILE, relayData)) {
-      throw new Error('Failed to write relay state to file');
-    }
+    // Update relay state in the store - pushed to the ESP, or picked up on its next poll
+    setRelayState(nodeId, relayState, source);
 
     console.log(`Relay state updated for node ${nodeId}: ${relayState.toUpperCase()}`);
     return true;
@@ -194,9 +535,83 @@ async function controlRelay(nodeId, state) {
   }
 }
 
-// WebSocket connection handler
-wss.on('connection', (ws) => {
-  console.log('Client connected');
+// Read the configured tariff, falling back to defaults for missing fields
+function readTariff() {
+  return { ...tariffs.DEFAULT_TARIFF, ...db.settings.get('tariff') };
+}
+
+// Integrate a power reading into the node's energy totals and accrue its cost
+function recordEnergy(nodeId, power, timestamp) {
+  try {
+    return store.transaction(() => {
+      const record = db.energy.get(nodeId) || energy.createRecord();
+      const deltaWh = energy.addSample(record, power, timestamp);
+
+      if (deltaWh > 0) accrueEnergyCost(nodeId, record, deltaWh, timestamp, readTariff());
+
+      return db.energy.set(nodeId, record);
+    });
+  } catch (error) {
+    console.error(`Error recording energy for node ${nodeId}:`, error);
+    return null;
+  }
+}
+
+function accrueEnergyCost(nodeId, record, deltaWh, timestamp, tariff) {
+  // Slabs are priced on the whole meter's usage, not each node's
+  const cycleKwh = tariff.type === 'tiered'
+    ? tariffs.getCycleKwh(tariff, Object.values({ ...db.energy.all(), [nodeId]: record }), new Date(timestamp))
+    : 0;
+  tariffs.accrueCost(record, deltaWh, timestamp, tariff, cycleKwh);
+}
+
+// Integrate a batch of late readings (in time order). Readings after the last
+// one integrated are added as usual; earlier ones only fill gaps the record
+// skipped. Returns { record, addedWh }.
+function recordBatchEnergy(nodeId, readings) {
+  return store.transaction(() => {
+    const record = db.energy.get(nodeId) || energy.createRecord();
+    const tariff = readTariff();
+    const late = [];
+    const added = [];
+    for (const { power, timestamp } of readings) {
+      if (record.lastTimestamp !== null && timestamp < record.lastTimestamp) {
+        late.push({ power, timestamp });
+      } else {
+        added.push({ timestamp, deltaWh: energy.addSample(record, power, timestamp) });
+      }
+    }
+    added.push(...energy.backfillSamples(record, late));
+
+    let addedWh = 0;
+    for (const { timestamp, deltaWh } of added) {
+      if (deltaWh <= 0) continue;
+      accrueEnergyCost(nodeId, record, deltaWh, timestamp, tariff);
+      addedWh += deltaWh;
+    }
+
+    return { record: db.energy.set(nodeId, record), addedWh };
+  });
+}
+
+// Close the WebSocket connections of a user whose access was changed or removed
+function disconnectUser(username) {
+  wss.clients.forEach(client => {
+    if (client.user && client.user.username === username) {
+      client.close(1008, 'Session ended');
+    }
+  });
+}
+
+// WebSocket connection handler - only signed-in users receive live data
+wss.on('connection', (ws, req) => {
+  const user = auth.authenticate(req);
+  if (!user) {
+    ws.close(1008, 'Authentication required');
+    return;
+  }
+  ws.user = user;
+  console.log(`Client connected: ${user.username}`);
 
   ws.on('message', async (message) => {
     try {
@@ -214,576 +629,2299 @@ wss.on('connection', (ws) => {
   });
 });
 
-// API Routes
-
-// Get all nodes
-app.get('/api/nodes', (req, res) => {
+// Route WebSocket upgrades: device connections need the node's device key,
+// everything else goes to the dashboard server, which checks the session itself
+server.on('upgrade', (req, socket, head) => {
   try {
-    const data = readJsonFile(NODES_FILE);
-    res.json(data.nodes || {});
+    const match = DEVICE_WS_PATH.exec(new URL(req.url, 'http://localhost').pathname);
+    if (!match) {
+      wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+      return;
+    }
+
+    const nodeId = decodeURIComponent(match[1]);
+    if (!auth.authenticateDevice(req, nodeId)) {
+      console.log(`Device connection for node ${nodeId} refused: invalid or missing device key`);
+      socket.write('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    deviceWss.handleUpgrade(req, socket, head, (ws) => deviceWss.emit('connection', ws, req, nodeId));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get nodes' });
+    console.error('Error handling WebSocket upgrade:', error);
+    socket.destroy();
   }
 });
 
-// Add new node
-app.post('/api/nodes', (req, res) => {
+function sendToDevice(ws, data) {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(data));
+  }
+}
+
+// Frames from a node: { type: 'sensor', voltage, current, power, relay, ... } readings,
+// the same payload as sensor posts, and { type: 'relay_report', state } after switching
+function handleDeviceMessage(ws, nodeId, message) {
+  let data;
   try {
-    const { nodeId, name } = req.body;
-    if (!nodeId) {
-      return res.status(400).json({ message: 'Node ID is required' });
+    data = JSON.parse(message);
+  } catch (error) {
+    sendToDevice(ws, { type: 'error', error: 'Invalid JSON' });
+    return;
+  }
+
+  if (data.type === 'sensor') {
+    const result = ingestSensorReading(nodeId, data);
+    if (result.error) sendToDevice(ws, { type: 'error', error: result.error });
+  } else if (data.type === 'relay_report') {
+    if (!relay.STATES.includes(data.state)) {
+      sendToDevice(ws, { type: 'error', error: 'Invalid relay state. Use "on" or "off"' });
+      return;
     }
+    markNodeSeen(nodeId, 'poll');
+    reportRelayState(nodeId, data.state);
+  } else {
+    sendToDevice(ws, { type: 'error', error: 'Unknown message type' });
+  }
+}
 
-    const data = readJsonFile(NODES_FILE);
-    if (!data.nodes) data.nodes = {};
-    
-    if(data.nodes[nodeId]){
-      return res.status(409).json({ message: 'Node with this ID already exists' });
+// Device connection handler - relay commands are pushed as soon as they're set
+deviceWss.on('connection', (ws, req, nodeId) => {
+  // One connection per node: a reconnecting node replaces its old one
+  const existing = deviceSockets.get(nodeId);
+  if (existing) existing.close(1000, 'Replaced by a new connection');
+
+  deviceSockets.set(nodeId, ws);
+  ws.nodeId = nodeId;
+  ws.isAlive = true;
+  console.log(`Device connected: ${nodeId}`);
+
+  markNodeSeen(nodeId, 'poll');
+  // Start the node on the current command, as its first poll would
+  if (!pushRelayCommand(nodeId, db.relays.get(nodeId))) {
+    sendToDevice(ws, { type: 'relay', state: 'off', timestamp: Date.now() });
+  }
+
+  ws.on('pong', () => {
+    ws.isAlive = true;
+    markNodeSeen(nodeId, 'poll');
+  });
+
+  ws.on('message', (message) => {
+    try {
+      handleDeviceMessage(ws, nodeId, message);
+    } catch (error) {
+      console.error(`Error processing message from node ${nodeId}:`, error);
     }
+  });
 
-    // Initialize node data with name
-    data.nodes[nodeId] = {
-      name: name || nodeId, // Use provided name or nodeId as default
-      voltage: 0,
-      current: 0,
-      power: 0,
-      timestamp: Date.now(),
-      threshold: null,
-      autoCutoff: false
-    };
+  ws.on('close', () => {
+    if (deviceSockets.get(nodeId) === ws) deviceSockets.delete(nodeId);
+    console.log(`Device disconnected: ${nodeId}`);
+  });
+});
 
-    if (writeJsonFile(NODES_FILE, data)) {
-      // Initialize relay state for the node
-      const relayData = readJsonFile(RELAY_FILE);
-      if (!relayData.nodes) relayData.nodes = {};
-      relayData.nodes[nodeId] = { state: 'off', timestamp: Date.now() };
-      writeJsonFile(RELAY_FILE, relayData);
-
-      // Initialize other configs
-      const scheduleData = readJsonFile(SCHEDULE_FILE);
-      if (!scheduleData.nodes) scheduleData.nodes = {};
-      scheduleData.nodes[nodeId] = [];
-      writeJsonFile(SCHEDULE_FILE, scheduleData);
-
-      const timerData = readJsonFile(TIMER_FILE);
-      if (!timerData.nodes) timerData.nodes = {};
-      timerData.nodes[nodeId] = {};
-      writeJsonFile(TIMER_FILE, timerData);
-
-      res.status(201).json({ message: 'Node added successfully', nodeId });
-    } else {
-      res.status(500).json({ error: 'Failed to write node data' });
+// Close a node's device connection when its key is rotated or revoked, or the node is removed
+function disconnectDevice(nodeId, reason) {
+  const ws = deviceSockets.get(nodeId);
+  if (ws) ws.close(1008, reason);
+}
+
+// Ping device connections and drop the ones that stopped answering, so a node
+// that lost power without closing its connection falls back to being offline
+setInterval(() => {
+  deviceWss.clients.forEach(ws => {
+    if (!ws.isAlive) {
+      console.log(`Device connection for node ${ws.nodeId} timed out`);
+      ws.terminate();
+      return;
     }
-  } catch (error) {
-    console.error('Error adding node:', error);
-    res.status(500).json({ error: 'Failed to add node' });
+    ws.isAlive = false;
+    ws.ping();
+  });
+}, DEVICE_PING_INTERVAL_MS);
+
+// Pages. Only the dashboard and login page are served; the rest of this
+// directory holds the database and logs.
+app.get(['/', '/index.html'], (req, res) => {
+  if (!auth.authenticate(req)) {
+    return res.redirect('/login.html');
   }
+  res.sendFile(path.join(__dirname, 'index.html'));
 });
 
-// Update node settings (threshold and auto-cutoff)
-app.post('/api/nodes/:nodeId/settings', (req, res) => {
+app.get('/login.html', (req, res) => {
+  res.sendFile(path.join(__dirname, 'login.html'));
+});
+
+// Authentication Routes
+
+// A client's failed logins are forgotten once its lockout has run out, or
+// LOGIN_LOCKOUT_MS after its last failure if it wasn't locked out
+function loginFailuresExpired(failures, now) {
+  return failures.lockedUntil ? failures.lockedUntil <= now : failures.lastFailureAt + LOGIN_LOCKOUT_MS <= now;
+}
+
+function purgeLoginFailures(now = Date.now()) {
+  for (const [ip, failures] of loginFailures) {
+    if (loginFailuresExpired(failures, now)) loginFailures.delete(ip);
+  }
+}
+
+app.post('/api/auth/login', (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const { threshold, autoCutoff } = req.body;
+    const { username, password } = req.body || {};
+    const now = Date.now();
+    const failures = loginFailures.get(req.ip);
 
-    const nodesData = readJsonFile(NODES_FILE);
-    if (!nodesData.nodes || !nodesData.nodes[nodeId]) {
-      return res.status(404).json({ error: 'Node not found' });
+    if (failures && failures.lockedUntil > now) {
+      const retryAfter = Math.ceil((failures.lockedUntil - now) / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({ error: `Too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s).` });
     }
 
-    if (threshold !== undefined) {
-      const parsedThreshold = parseFloat(threshold);
-      nodesData.nodes[nodeId].threshold = isNaN(parsedThreshold) ? null : parsedThreshold;
-    }
-    if (autoCutoff !== undefined) {
-      nodesData.nodes[nodeId].autoCutoff = Boolean(autoCutoff);
+    const user = auth.checkCredentials(username, password);
+    if (!user) {
+      // Count restarts once the earlier failures have expired
+      const count = failures && !loginFailuresExpired(failures, now) ? failures.count + 1 : 1;
+      loginFailures.set(req.ip, {
+        count,
+        lastFailureAt: now,
+        lockedUntil: count >= LOGIN_MAX_FAILURES ? now + LOGIN_LOCKOUT_MS : 0
+      });
+      console.log(`Failed login for "${username}" from ${req.ip}`);
+      return res.status(401).json({ error: 'Invalid username or password' });
     }
 
-    if (writeJsonFile(NODES_FILE, nodesData)) {
-      res.json({ success: true, message: 'Settings updated' });
-    } else {
-      res.status(500).json({ error: 'Failed to update settings' });
-    }
+    loginFailures.delete(req.ip);
+    const token = auth.createSession(user.username);
+    res.setHeader('Set-Cookie', auth.sessionCookie(token, req));
+    console.log(`User ${user.username} signed in`);
+    res.json({ success: true, user });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to update settings' });
+    console.error('Error signing in:', error);
+    res.status(500).json({ error: 'Failed to sign in' });
   }
 });
 
-// Delete node
-app.delete('/api/nodes/:nodeId', (req, res) => {
+app.post('/api/auth/logout', (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const nodesData = readJsonFile(NODES_FILE);
+    auth.destroySession(auth.getSessionToken(req));
+    res.setHeader('Set-Cookie', auth.clearedSessionCookie());
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error signing out:', error);
+    res.status(500).json({ error: 'Failed to sign out' });
+  }
+});
 
-    if (nodesData.nodes && nodesData.nodes[nodeId]) {
-      delete nodesData.nodes[nodeId];
-      writeJsonFile(NODES_FILE, nodesData);
-      
-      // Also remove from other files
-      const relayData = readJsonFile(RELAY_FILE);
-      if (relayData.nodes && relayData.nodes[nodeId]) {
-        delete relayData.nodes[nodeId];
-        writeJsonFile(RELAY_FILE, relayData);
-      }
-      
-      const scheduleData = readJsonFile(SCHEDULE_FILE);
-      if (scheduleData.nodes && scheduleData.nodes[nodeId]) {
-        delete scheduleData.nodes[nodeId];
-        writeJsonFile(SCHEDULE_FILE, scheduleData);
-      }
-      
-      const timerData = readJsonFile(TIMER_FILE);
-      if (timerData.nodes && timerData.nodes[nodeId]) {
-        delete timerData.nodes[nodeId];
-        writeJsonFile(TIMER_FILE, timerData);
-      }
+// The signed-in user, used by the dashboard to decide which controls to show
+app.get('/api/auth/me', requireViewer, (req, res) => {
+  res.json({ user: req.user });
+});
 
-      res.status(200).json({ message: 'Node removed successfully' });
-    } else {
-      res.status(404).json({ error: 'Node not found' });
+// Change your own password. Other sessions are signed out.
+app.post('/api/auth/password', requireViewer, (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    if (!auth.checkCredentials(req.user.username, currentPassword)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+
+    const error = auth.validateUser({ password: newPassword });
+    if (error) {
+      return res.status(400).json({ error });
     }
+
+    auth.updateUser(req.user.username, { password: newPassword });
+    disconnectUser(req.user.username);
+    res.setHeader('Set-Cookie', auth.sessionCookie(auth.createSession(req.user.username), req));
+    res.json({ success: true });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to remove node' });
+    console.error('Error changing password:', error);
+    res.status(500).json({ error: 'Failed to change password' });
   }
 });
 
-// Get single sensor data
-app.get('/api/sensor/:nodeId', (req, res) => {
+// User Management Routes (admin)
+
+app.get('/api/users', requireAdmin, (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const nodesData = readJsonFile(NODES_FILE);
-    
-    if (nodesData.nodes && nodesData.nodes[nodeId]) {
-      res.json(nodesData.nodes[nodeId]);
-    } else {
-      res.status(404).json({ error: 'Node data not found' });
+    res.json(auth.listUsers());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get users' });
+  }
+});
+
+app.post('/api/users', requireAdmin, (req, res) => {
+  try {
+    const { username, password, role = 'viewer' } = req.body || {};
+    const error = auth.validateUser({ username: username || '', password, role });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (auth.listUsers().some(user => user.username === username)) {
+      return res.status(409).json({ error: 'A user with this name already exists' });
     }
+
+    const user = auth.createUser(username, password, role);
+    console.log(`User ${username} (${role}) created by ${req.user.username}`);
+    res.status(201).json({ success: true, user });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get sensor data' });
+    console.error('Error creating user:', error);
+    res.status(500).json({ error: 'Failed to create user' });
   }
 });
 
-// Update sensor data - simple threshold check
-app.post('/api/sensor/:nodeId', async (req, res) => {
+// Change a user's role and/or reset their password
+app.post('/api/users/:username', requireAdmin, (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const { voltage, current, power } = req.body;
-    
-    // Basic validation
-    if (!voltage || !current || !power) {
-      return res.status(400).json({ error: 'Missing sensor data' });
+    const { username } = req.params;
+    const { password, role } = req.body || {};
+    const error = auth.validateUser({ password, role }, { requirePassword: false });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // Parse values to ensure they're numbers
-    const parsedPower = parseFloat(power);
-    
-    // Read current node data
-    const nodesData = readJsonFile(NODES_FILE);
-    if (!nodesData.nodes) {
-      nodesData.nodes = {};
+    const existing = auth.listUsers().find(user => user.username === username);
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
     }
-    
-    // Get node or initialize
-    const node = nodesData.nodes[nodeId] || {};
-    
-    // Update with new readings
-    node.voltage = parseFloat(voltage);
-    node.current = parseFloat(current);
-    node.power = parsedPower;
-    node.timestamp = Date.now();
-    
-    // Save back to nodes.json
-    nodesData.nodes[nodeId] = node;
-    writeJsonFile(NODES_FILE, nodesData);
-    
-    // SIMPLE THRESHOLD CHECK
-    console.log(`Node ${nodeId}: Power=${parsedPower}W, Threshold=${node.threshold}W, AutoCutoff=${node.autoCutoff}`);
-    
-    if (node.threshold && parsedPower > node.threshold) {
-      console.log(`THRESHOLD EXCEEDED: Node ${nodeId} - ${parsedPower}W > ${node.threshold}W`);
-      
-      // 1. Send WebSocket alert
-      broadcast({
-        type: 'threshold_alert',
-        nodeId,
-        power: parsedPower,
-        threshold: node.threshold
+    if (existing.role === 'admin' && role && role !== 'admin' && auth.countAdmins() === 1) {
+      return res.status(400).json({ error: 'Cannot demote the last admin' });
+    }
+
+    const user = auth.updateUser(username, { password, role });
+    disconnectUser(username);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+app.delete('/api/users/:username', requireAdmin, (req, res) => {
+  try {
+    const { username } = req.params;
+    const existing = auth.listUsers().find(user => user.username === username);
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (existing.role === 'admin' && auth.countAdmins() === 1) {
+      return res.status(400).json({ error: 'Cannot remove the last admin' });
+    }
+
+    auth.deleteUser(username);
+    disconnectUser(username);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing user:', error);
+    res.status(500).json({ error: 'Failed to remove user' });
+  }
+});
+
+// API Routes
+
+// Get all nodes
+// Each node includes online, lastSeen, uptime (percent over the last 24 hours)
+// and connected (whether it has a device connection open rather than polling)
+app.get('/api/nodes', requireViewer, (req, res) => {
+  try {
+    const now = Date.now();
+    const nodes = {};
+    for (const [nodeId, node] of Object.entries(db.nodes.all())) {
+      nodes[nodeId] = { ...node, ...presenceSummary(nodeId, now), connected: deviceSockets.has(nodeId) };
+    }
+    res.json(nodes);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get nodes' });
+  }
+});
+
+// Add new node
+app.post('/api/nodes', requireAdmin, (req, res) => {
+  try {
+    const { nodeId, name } = req.body;
+    if (!nodeId) {
+      return res.status(400).json({ message: 'Node ID is required' });
+    }
+
+    if (db.nodes.has(nodeId)) {
+      return res.status(409).json({ message: 'Node with this ID already exists' });
+    }
+
+    const deviceKey = store.transaction(() => {
+      // Initialize node data with name
+      db.nodes.set(nodeId, {
+        name: name || nodeId, // Use provided name or nodeId as default
+        voltage: 0,
+        current: 0,
+        power: 0,
+        timestamp: Date.now(),
+        threshold: null,
+        autoCutoff: false,
+        idlePolicy: null
+      });
+
+      // Initialize relay state, schedules and presence for the node
+      setRelayState(nodeId, 'off');
+      db.schedules.set(nodeId, []);
+      db.presence.set(nodeId, presence.createRecord(Date.now()));
+
+      // The node authenticates its sensor posts and relay polls with this key
+      return auth.issueDeviceKey(nodeId);
+    });
+
+    startLogging(nodeId);
+    mqttBridge.publishDiscovery(bridge, nodeId, name || nodeId);
+    mqttBridge.publishAvailability(bridge, nodeId, false);
+    mqttBridge.publishRelay(bridge, nodeId, db.relays.get(nodeId));
+
+    // The key is only stored hashed, so this is the one chance to copy it into the firmware
+    res.status(201).json({ message: 'Node added successfully', nodeId, deviceKey });
+  } catch (error) {
+    console.error('Error adding node:', error);
+    res.status(500).json({ error: 'Failed to add node' });
+  }
+});
+
+// Update node settings: threshold, clearThreshold (alerts clear at or below it),
+// minDuration (seconds over the threshold before raising), autoCutoff,
+// offlineAfter (seconds of silence before the node is marked offline),
+// idlePolicy (switch off after idling in standby, or null) and cycleDetection
+app.post('/api/nodes/:nodeId/settings', requireAdmin, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const { autoCutoff, offlineAfter, idlePolicy, cycleDetection } = req.body;
+
+    let error = null;
+    const node = db.nodes.update(nodeId, (node) => {
+      if (!node) return undefined;
+
+      const result = alerts.validateNodeSettings(req.body, node);
+      if (result.error) {
+        error = result.error;
+        return node;
+      }
+      if (offlineAfter !== undefined && offlineAfter !== null && (!Number.isFinite(offlineAfter) || offlineAfter < 5)) {
+        error = 'offlineAfter must be at least 5 seconds, or null for the default';
+        return node;
+      }
+      const policy = idlePolicy === undefined ? { policy: node.idlePolicy ?? null } : idle.validatePolicy(idlePolicy);
+      if (policy.error) {
+        error = policy.error;
+        return node;
+      }
+      const detection = cycleDetection === undefined ? {} : cycles.validateSettings(cycleDetection, cycles.nodeSettings(node));
+      if (detection.error) {
+        error = detection.error;
+        return node;
+      }
+
+      Object.assign(node, result.settings);
+      if (autoCutoff !== undefined) {
+        node.autoCutoff = Boolean(autoCutoff);
+      }
+      if (offlineAfter !== undefined) {
+        node.offlineAfter = offlineAfter;
+      }
+      node.idlePolicy = policy.policy;
+      if (detection.settings) {
+        node.cycleDetection = detection.settings;
+      }
+      return node;
+    });
+
+    if (!node) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    // A changed policy starts timing idling afresh
+    if (idlePolicy !== undefined) idleSince.delete(nodeId);
+
+    res.json({ success: true, message: 'Settings updated' });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to update settings' });
+  }
+});
+
+// Idle Savings Routes
+
+// Estimated energy saved by idle switch-offs for every node with a policy or past savings
+app.get('/api/idle', requireViewer, (req, res) => {
+  try {
+    const now = Date.now();
+    const records = db.idle.all();
+    const result = {};
+    for (const [nodeId, node] of Object.entries(db.nodes.all())) {
+      if (!node.idlePolicy && !records[nodeId]) continue;
+      const { events, ...summary } = idle.summarize(records[nodeId] || idle.createRecord(), now);
+      result[nodeId] = { policy: node.idlePolicy ?? null, ...summary };
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting idle savings:', error);
+    res.status(500).json({ error: 'Failed to get idle savings' });
+  }
+});
+
+// A node's idle policy, estimated savings and recent idle switch-offs
+app.get('/api/nodes/:nodeId/idle', requireViewer, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const node = db.nodes.get(nodeId);
+    if (!node) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+    res.json({ policy: node.idlePolicy ?? null, ...idle.summarize(db.idle.get(nodeId) || idle.createRecord(), Date.now()) });
+  } catch (error) {
+    console.error('Error getting idle savings:', error);
+    res.status(500).json({ error: 'Failed to get idle savings' });
+  }
+});
+
+// Cycle Routes
+
+// A node's run cycles, newest first, e.g. /api/nodes/esp1/cycles?from=...&to=...&limit=50.
+// current is the cycle in progress, if any.
+app.get('/api/nodes/:nodeId/cycles', requireViewer, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const node = db.nodes.get(nodeId);
+    if (!node) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
+    const from = history.parseTime(req.query.from, 0);
+    const to = history.parseTime(req.query.to, Infinity);
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+    if (from === null || to === null || from > to) {
+      return res.status(400).json({ error: 'Invalid time range' });
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'limit must be a whole number from 1 to 1000' });
+    }
+
+    const record = db.cycles.get(nodeId) || cycles.createRecord();
+    res.json({
+      settings: cycles.nodeSettings(node),
+      current: cycles.currentStatus(record.current, Date.now()),
+      cycles: record.cycles.filter(cycle => cycle.end >= from && cycle.start <= to).slice(0, limit)
+    });
+  } catch (error) {
+    console.error('Error getting cycles:', error);
+    res.status(500).json({ error: 'Failed to get cycles' });
+  }
+});
+
+// Alert Rule Routes
+
+// A node's rules plus the options for building new ones. The node's threshold
+// settings are listed too, as the built-in "threshold" rule.
+app.get('/api/nodes/:nodeId/rules', requireViewer, (req, res) => {
+  try {
+    const node = db.nodes.get(req.params.nodeId);
+    if (!node) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
+    res.json({
+      metrics: alerts.METRICS,
+      conditions: alerts.CONDITIONS,
+      severities: alerts.SEVERITIES,
+      actions: alerts.ACTIONS,
+      threshold: alerts.thresholdRule(node),
+      rules: node.rules || []
+    });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get alert rules' });
+  }
+});
+
+// Add a rule, e.g. { "metric": "voltage", "condition": "below", "value": 200, "clearValue": 210,
+// "duration": 5, "severity": "critical", "actions": ["notify", "cutoff"] }
+app.post('/api/nodes/:nodeId/rules', requireAdmin, (req, res) => {
+  try {
+    const { rule, error } = alerts.validateRule(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const ruleWithId = { id: Date.now().toString(), ...rule };
+    const node = db.nodes.update(req.params.nodeId, (node) => node && { ...node, rules: [...(node.rules || []), ruleWithId] });
+    if (!node) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
+    res.status(201).json({ success: true, rule: ruleWithId });
+  } catch (error) {
+    console.error('Error adding alert rule:', error);
+    res.status(500).json({ error: 'Failed to add alert rule' });
+  }
+});
+
+app.post('/api/nodes/:nodeId/rules/:ruleId', requireAdmin, (req, res) => {
+  try {
+    const { nodeId, ruleId } = req.params;
+
+    let notFound = null;
+    let error = null;
+    let updated = null;
+    db.nodes.update(nodeId, (node) => {
+      if (!node) {
+        notFound = 'Node not found';
+        return node;
+      }
+      const rules = node.rules || [];
+      const index = rules.findIndex(rule => rule.id === ruleId);
+      if (index === -1) {
+        notFound = 'Rule not found';
+        return node;
+      }
+
+      const result = alerts.validateRule(req.body || {}, rules[index]);
+      if (result.error) {
+        error = result.error;
+        return node;
+      }
+      updated = { id: ruleId, ...result.rule };
+      return { ...node, rules: rules.map((rule, i) => i === index ? updated : rule) };
+    });
+
+    if (notFound) {
+      return res.status(404).json({ error: notFound });
+    }
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ success: true, rule: updated });
+  } catch (error) {
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({ error: 'Failed to update alert rule' });
+  }
+});
+
+app.delete('/api/nodes/:nodeId/rules/:ruleId', requireAdmin, (req, res) => {
+  try {
+    const { nodeId, ruleId } = req.params;
+    let removed = false;
+    db.nodes.update(nodeId, (node) => {
+      if (!node) return node;
+      const rules = (node.rules || []).filter(rule => rule.id !== ruleId);
+      removed = rules.length !== (node.rules || []).length;
+      return { ...node, rules };
+    });
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing alert rule:', error);
+    res.status(500).json({ error: 'Failed to remove alert rule' });
+  }
+});
+
+// Delete node
+app.delete('/api/nodes/:nodeId', requireAdmin, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const removed = store.transaction(() => {
+      if (!db.nodes.delete(nodeId)) return false;
+
+      // Also remove the node's other state
+      db.relays.delete(nodeId);
+      db.schedules.delete(nodeId);
+      db.timers.delete(nodeId);
+      db.energy.delete(nodeId);
+      db.presence.delete(nodeId);
+      db.idle.delete(nodeId);
+      db.cycles.delete(nodeId);
+      for (const [groupId, group] of Object.entries(db.groups.all())) {
+        if (group.nodeIds.includes(nodeId)) {
+          db.groups.set(groupId, { ...group, nodeIds: group.nodeIds.filter(id => id !== nodeId) });
+        }
+      }
+      for (const [circuitId, circuit] of Object.entries(db.circuits.all())) {
+        if (circuit.nodes.some(node => node.nodeId === nodeId)) {
+          const nodes = circuit.nodes.filter(node => node.nodeId !== nodeId);
+          if (nodes.length === 0) db.circuits.delete(circuitId);
+          else db.circuits.set(circuitId, circuits.withState({ ...circuit, nodes }, circuit));
+        }
+      }
+      // Rules can't work without the node, so they're turned off until they're edited
+      for (const [ruleId, rule] of Object.entries(db.automations.all())) {
+        if (rule.enabled && automation.nodesOf(rule).includes(nodeId)) {
+          db.automations.set(ruleId, { ...rule, enabled: false });
+        }
+      }
+      auth.revokeDeviceKey(nodeId);
+      return true;
+    });
+
+    if (removed) {
+      clearTimers(nodeId);
+      idleSince.delete(nodeId);
+      stopLogging(nodeId);
+      clearNodeAlerts(nodeId);
+      disconnectDevice(nodeId, 'Node removed');
+      mqttBridge.removeNode(bridge, nodeId);
+      res.status(200).json({ message: 'Node removed successfully' });
+    } else {
+      res.status(404).json({ error: 'Node not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to remove node' });
+  }
+});
+
+// Device key status for a node
+app.get('/api/nodes/:nodeId/key', requireAdmin, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    if (!db.nodes.has(nodeId)) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+    res.json({ nodeId, ...auth.getDeviceKeyStatus(nodeId) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get device key status' });
+  }
+});
+
+// Rotate a node's device key. The old key stops working immediately.
+app.post('/api/nodes/:nodeId/key', requireAdmin, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    if (!db.nodes.has(nodeId)) {
+      return res.status(404).json({ error: 'Node not found' });
+    }
+
+    const deviceKey = auth.issueDeviceKey(nodeId);
+    disconnectDevice(nodeId, 'Device key rotated');
+    console.log(`Device key for node ${nodeId} rotated by ${req.user.username}`);
+    res.json({ success: true, nodeId, deviceKey });
+  } catch (error) {
+    console.error('Error rotating device key:', error);
+    res.status(500).json({ error: 'Failed to rotate device key' });
+  }
+});
+
+// Revoke a node's device key so it can no longer post data or poll its relay
+app.delete('/api/nodes/:nodeId/key', requireAdmin, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    if (!auth.revokeDeviceKey(nodeId)) {
+      return res.status(404).json({ error: 'Node has no device key' });
+    }
+
+    disconnectDevice(nodeId, 'Device key revoked');
+    console.log(`Device key for node ${nodeId} revoked by ${req.user.username}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking device key:', error);
+    res.status(500).json({ error: 'Failed to revoke device key' });
+  }
+});
+
+// Get single sensor data
+app.get('/api/sensor/:nodeId', requireViewer, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const node = db.nodes.get(nodeId);
+
+    if (node) {
+      res.json({ ...node, ...presenceSummary(nodeId) });
+    } else {
+      res.status(404).json({ error: 'Node data not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get sensor data' });
+  }
+});
+
+// Store a reading from a node and check its alerts. Readings arrive as sensor
+// posts or as sensor frames on the node's device connection, in either version
+// of the sensor payload (see sensor.js). Returns { error } if the reading is invalid.
+function ingestSensorReading(nodeId, payload) {
+  const { reading, error } = sensor.validateReading(payload);
+  if (error) return { error };
+
+  const { voltage, current, power: parsedPower, relay: reportedRelay, extended } = reading;
+  metrics.increment(sensorReadingsCounter, { node: nodeId });
+  markNodeSeen(nodeId, 'sensor');
+  if (relay.STATES.includes(reportedRelay)) reportRelayState(nodeId, reportedRelay);
+
+  // Update the stored node with the new readings (initializing it if needed),
+  // keeping the previous reading for rate-of-change rules
+  let previous = null;
+  const node = db.nodes.update(nodeId, (node = {}) => {
+    previous = { voltage: node.voltage, current: node.current, power: node.power, timestamp: node.timestamp };
+    node.voltage = voltage;
+    node.current = current;
+    node.power = parsedPower;
+    node.extended = extended;
+    node.timestamp = Date.now();
+    return node;
+  });
+
+  // Accumulate energy from this reading
+  const energyRecord = recordEnergy(nodeId, parsedPower, node.timestamp);
+
+  // Alert rules and auto-cutoff
+  console.log(`Node ${nodeId}: Power=${parsedPower}W, Threshold=${node.threshold}W, AutoCutoff=${node.autoCutoff}`);
+  evaluateNodeAlerts(nodeId, node, node.timestamp, previous);
+  checkCircuits(nodeId, node.timestamp);
+  checkIdle(nodeId, node, node.timestamp);
+  checkCycles(nodeId, node, node.timestamp, { power: node.power, timestamp: node.timestamp });
+  runAutomations({ type: 'reading', nodeId, reading: node });
+
+  // Broadcast updated sensor data
+  broadcast({
+    type: 'sensor_data',
+    nodeId,
+    voltage,
+    current,
+    power: parsedPower,
+    extended,
+    energy: energyRecord ? energy.getTotals(energyRecord) : null,
+    cost: energyRecord ? tariffs.getCostSummary(readTariff(), [energyRecord]) : null
+  });
+  mqttBridge.publishReading(bridge, nodeId, {
+    voltage: node.voltage,
+    current: node.current,
+    power: node.power,
+    energy: energyRecord ? energy.getTotals(energyRecord).lifetime : undefined
+  });
+
+  return { success: true };
+}
+
+// Store a batch of readings a node buffered while it couldn't reach the server
+// (see sensor.js). They go into the logs and energy totals only: the node's
+// latest reading, alerts, auto-cutoff, circuits, idle policies, run cycles and
+// automation rules are left to live readings, so old samples can't switch
+// anything. Resolves to { accepted, logged, energyWh } or { error }.
+async function ingestSensorBatch(nodeId, payload) {
+  const { readings, error } = sensor.validateBatch(payload, Date.now());
+  if (error) return { error };
+
+  metrics.increment(sensorReadingsCounter, { node: nodeId }, readings.length);
+  markNodeSeen(nodeId, 'sensor');
+
+  const logged = await retention.insertLines(LOGS_DIR, nodeId,
+    readings.map(reading => sensor.csvLine(new Date(reading.timestamp).toISOString(), reading)));
+  const { record, addedWh } = recordBatchEnergy(nodeId, readings);
+
+  broadcast({
+    type: 'sensor_batch',
+    nodeId,
+    count: readings.length,
+    energy: energy.getTotals(record),
+    cost: tariffs.getCostSummary(readTariff(), [record])
+  });
+
+  return { accepted: readings.length, logged, energyWh: addedWh };
+}
+
+// Update sensor data and check the node's alerts
+// Posted by the ESP nodes with their device key
+app.post('/api/sensor/:nodeId', auth.requireDevice, async (req, res) => {
+  try {
+    const result = ingestSensorReading(req.params.nodeId, req.body || {});
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error saving sensor data:', error);
+    res.status(500).json({ error: 'Failed to save sensor data' });
+  }
+});
+
+// Upload readings buffered while offline, as an array of timestamped readings
+app.post('/api/sensor/:nodeId/batch', auth.requireDevice, async (req, res) => {
+  try {
+    const result = await ingestSensorBatch(req.params.nodeId, req.body);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error saving sensor batch:', error);
+    res.status(500).json({ error: 'Failed to save sensor batch' });
+  }
+});
+
+// Get relay status
+// Polled by ESP nodes without a device connection (older firmware, or while
+// reconnecting) with their device key, and by the dashboard
+app.get('/api/relay/:nodeId', auth.requireDeviceOrRole('viewer'), (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    if (req.device) markNodeSeen(nodeId, 'poll');
+    const nodeState = db.relays.get(nodeId) || { state: 'off', timestamp: Date.now() };
+    res.json(nodeState);
+  } catch (error) {
+    res.json({ state: 'off', timestamp: Date.now() });
+  }
+});
+
+// Update relay state
+app.post('/api/relay/:nodeId', requireOperator, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const { state } = req.body;
+    
+    if (!state || (state !== 'on' && state !== 'off')) {
+      return res.status(400).json({
+        error: 'Invalid relay state. Use "on" or "off"'
+      });
+    }
+
+    setRelayState(nodeId, state, 'user');
+
+    res.json({
+      success: true,
+      message: `Relay ${state} for node ${nodeId}`
+    });
+  } catch (error) {
+    console.error('Relay control error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Posted by the ESP nodes with their device key right after switching the relay
+app.post('/api/relay/:nodeId/report', auth.requireDevice, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const { state } = req.body;
+
+    if (!relay.STATES.includes(state)) {
+      return res.status(400).json({ error: 'Invalid relay state. Use "on" or "off"' });
+    }
+
+    markNodeSeen(nodeId, 'poll');
+    reportRelayState(nodeId, state);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error recording relay report:', error);
+    res.status(500).json({ error: 'Failed to record relay report' });
+  }
+});
+
+// Download logs endpoint - today's log, or an archived day with ?date=YYYY-MM-DD
+app.get('/api/logs/:nodeId', requireViewer, (req, res) => {
+  const { nodeId } = req.params;
+  try {
+    const { date } = req.query;
+    if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const logFile = date
+      ? retention.rawArchivePath(LOGS_DIR, nodeId, date)
+      : retention.activeLogPath(LOGS_DIR, nodeId);
+
+    console.log(`Attempting to download log file: ${logFile}`);
+
+    if (!fs.existsSync(logFile)) {
+      console.log(`Log file not found: ${logFile}`);
+      return res.status(404).json({ error: 'No logs found for this node' });
+    }
+
+    const label = date || new Date().toISOString().replace(/[:.]/g, '-');
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename=node_${nodeId}_data_${label}.csv`);
+
+    // Stream straight from the log instead of leaving a copy behind in logs/
+    const fileStream = fs.createReadStream(logFile);
+    fileStream.on('error', (error) => {
+      console.error('Error streaming log file:', error);
+      res.destroy(error);
+    });
+    (date ? fileStream.pipe(zlib.createGunzip()) : fileStream).pipe(res);
+  } catch (error) {
+    console.error('Error downloading logs:', error);
+    console.error('Error details:', {
+      nodeId,
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({ error: 'Failed to download logs' });
+  }
+});
+
+// History query with downsampling, e.g. /api/history/esp1?from=...&to=...&resolution=15m
+app.get('/api/history/:nodeId', requireViewer, async (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const resolution = req.query.resolution || '1m';
+    const to = history.parseTime(req.query.to, Date.now());
+    const from = history.parseTime(req.query.from, to - 24 * 60 * 60 * 1000);
+
+    if (!(resolution in history.RESOLUTIONS)) {
+      return res.status(400).json({
+        error: `Invalid resolution. Use one of: ${Object.keys(history.RESOLUTIONS).join(', ')}`
+      });
+    }
+    if (from === null || to === null || from > to) {
+      return res.status(400).json({ error: 'Invalid time range' });
+    }
+
+    const sources = retention.getHistorySources(LOGS_DIR, nodeId, from, to, resolution);
+    if (sources.length === 0) {
+      return res.status(404).json({ error: 'No logs found for this node' });
+    }
+
+    const { buckets, truncated } = await history.queryHistory(sources, { from, to, resolution });
+    res.json({
+      nodeId,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      resolution,
+      truncated,
+      buckets
+    });
+  } catch (error) {
+    console.error('Error querying history:', error);
+    res.status(500).json({ error: 'Failed to query history' });
+  }
+});
+
+// Metrics Route
+
+// Prometheus scrape endpoint. Node metrics are labelled with the node ID and name;
+// ingest rate is rate(smartplug_sensor_readings_total[1m]).
+app.get('/metrics', auth.requireTokenOrRole(METRICS_TOKEN, 'viewer'), (req, res) => {
+  try {
+    const now = Date.now();
+    const nodes = db.nodes.all();
+    const relays = db.relays.all();
+    const records = db.energy.all();
+
+    const nodeLabels = (nodeId) => ({ node: nodeId, name: nodes[nodeId]?.name || nodeId });
+    const nodeSamples = (read) => Object.entries(nodes).map(([nodeId, node]) => ({ labels: nodeLabels(nodeId), value: read(nodeId, node) }));
+    const counterSamples = (counter) => metrics.counterSamples(counter)
+      .map(sample => ({ ...sample, labels: { ...nodeLabels(sample.labels.node), ...sample.labels } }));
+    const relayValue = (nodeId, read) => relays[nodeId] ? Number(read(relays[nodeId])) : undefined;
+
+    res.type('text/plain; version=0.0.4');
+    res.send(metrics.format([
+      { name: 'smartplug_voltage_volts', help: 'Latest voltage reading', type: 'gauge', samples: nodeSamples((nodeId, node) => node.voltage) },
+      { name: 'smartplug_current_amperes', help: 'Latest current reading', type: 'gauge', samples: nodeSamples((nodeId, node) => node.current) },
+      { name: 'smartplug_power_watts', help: 'Latest power reading', type: 'gauge', samples: nodeSamples((nodeId, node) => node.power) },
+      { name: 'smartplug_relay_on', help: 'Desired relay state (1 = on)', type: 'gauge', samples: nodeSamples(nodeId => relayValue(nodeId, record => record.state === 'on')) },
+      { name: 'smartplug_relay_confirmed', help: 'Whether the node has reported the desired relay state', type: 'gauge', samples: nodeSamples(nodeId => relayValue(nodeId, record => record.status === 'confirmed')) },
+      { name: 'smartplug_node_online', help: 'Whether the node is online', type: 'gauge', samples: nodeSamples(nodeId => Number(presenceSummary(nodeId, now).online)) },
+      { name: 'smartplug_last_ingest_age_seconds', help: 'Seconds since the node last sent a reading', type: 'gauge', samples: nodeSamples((nodeId, node) => node.timestamp ? (now - node.timestamp) / 1000 : undefined) },
+      { name: 'smartplug_energy_kwh_total', help: 'Energy used since the node was added', type: 'counter', samples: nodeSamples(nodeId => records[nodeId] ? energy.getTotals(records[nodeId]).lifetime : undefined) },
+      { name: 'smartplug_sensor_readings_total', help: 'Sensor readings received since the server started', type: 'counter', samples: counterSamples(sensorReadingsCounter) },
+      { name: 'smartplug_alerts_raised_total', help: 'Alerts raised since the server started', type: 'counter', samples: counterSamples(alertsRaisedCounter) },
+      { name: 'smartplug_auto_cutoffs_total', help: 'Relays turned off by auto-cutoff since the server started', type: 'counter', samples: counterSamples(autoCutoffsCounter) },
+      {
+        name: 'smartplug_websocket_clients',
+        help: 'Open WebSocket connections',
+        type: 'gauge',
+        samples: [{ labels: { kind: 'dashboard' }, value: wss.clients.size }, { labels: { kind: 'device' }, value: deviceWss.clients.size }]
+      },
+      { name: 'smartplug_start_time_seconds', help: 'When the server started, in seconds since the epoch', type: 'gauge', samples: [{ value: startedAt / 1000 }] }
+    ]));
+  } catch (error) {
+    console.error('Error collecting metrics:', error);
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
+// Log Administration Routes
+
+function readRetentionPolicy() {
+  return { ...retention.DEFAULT_POLICY, ...db.settings.get('retention') };
+}
+
+// Disk usage of logs/ per node
+app.get('/api/admin/disk-usage', requireAdmin, (req, res) => {
+  try {
+    const nodes = retention.getDiskUsage(LOGS_DIR);
+    const total = Object.values(nodes).reduce((sum, usage) => sum + usage.total, 0);
+
+    let filesystem = null;
+    if (fs.statfsSync) {
+      const stats = fs.statfsSync(LOGS_DIR);
+      filesystem = {
+        size: stats.blocks * stats.bsize,
+        free: stats.bavail * stats.bsize
+      };
+    }
+
+    res.json({ unit: 'bytes', total, nodes, filesystem, policy: readRetentionPolicy() });
+  } catch (error) {
+    console.error('Error getting disk usage:', error);
+    res.status(500).json({ error: 'Failed to get disk usage' });
+  }
+});
+
+app.get('/api/admin/retention', requireAdmin, (req, res) => {
+  try {
+    res.json(readRetentionPolicy());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get retention policy' });
+  }
+});
+
+// Update retention policy, e.g. { "rawDays": 30, "rollupMonths": null }
+app.post('/api/admin/retention', requireAdmin, (req, res) => {
+  try {
+    const policy = readRetentionPolicy();
+    for (const key of ['rawDays', 'rollupMonths', 'alertDays']) {
+      if (req.body[key] === undefined) continue;
+      const value = req.body[key];
+      if (value !== null && (!Number.isInteger(value) || value < 1)) {
+        return res.status(400).json({ error: `${key} must be a positive whole number or null to keep forever` });
+      }
+      policy[key] = value;
+    }
+
+    db.settings.set('retention', policy);
+    res.json({ success: true, policy });
+  } catch (error) {
+    console.error('Error saving retention policy:', error);
+    res.status(500).json({ error: 'Failed to save retention policy' });
+  }
+});
+
+// Rotate and apply retention now instead of waiting for the next day
+app.post('/api/admin/logs/maintenance', requireAdmin, (req, res) => {
+  try {
+    res.json({ success: true, ...runLogMaintenance() });
+  } catch (error) {
+    console.error('Error running log maintenance:', error);
+    res.status(500).json({ error: 'Failed to run log maintenance' });
+  }
+});
+
+// Group Routes
+
+// A group's members with their latest readings, for groups.summarize
+function groupMembers(group, now = Date.now()) {
+  const relays = db.relays.all();
+  return group.nodeIds.map(nodeId => {
+    const node = db.nodes.get(nodeId) || {};
+    return {
+      nodeId,
+      power: node.power,
+      current: node.current,
+      live: presenceSummary(nodeId, now).online && !presence.isStale(node.timestamp, node, now),
+      relay: relays[nodeId]?.state,
+      energy: db.energy.get(nodeId)
+    };
+  });
+}
+
+function groupResponse(groupId, group) {
+  return { id: groupId, ...group, summary: groups.summarize(groupMembers(group), readTariff()) };
+}
+
+// Every group with its totals: live power and current, energy and cost
+app.get('/api/groups', requireViewer, (req, res) => {
+  try {
+    res.json(Object.entries(db.groups.all()).map(([groupId, group]) => groupResponse(groupId, group)));
+  } catch (error) {
+    console.error('Error getting groups:', error);
+    res.status(500).json({ error: 'Failed to get groups' });
+  }
+});
+
+app.get('/api/groups/:groupId', requireViewer, (req, res) => {
+  try {
+    const group = db.groups.get(req.params.groupId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    res.json(groupResponse(req.params.groupId, group));
+  } catch (error) {
+    console.error('Error getting group:', error);
+    res.status(500).json({ error: 'Failed to get group' });
+  }
+});
+
+// Add a group, e.g. { "name": "Kitchen", "nodeIds": ["esp1", "esp2"] }
+app.post('/api/groups', requireAdmin, (req, res) => {
+  try {
+    const { group, error } = groups.validateGroup(req.body || {}, {}, Object.keys(db.nodes.all()));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const groupId = Date.now().toString();
+    db.groups.set(groupId, group);
+    res.json({ success: true, group: { id: groupId, ...group } });
+  } catch (error) {
+    console.error('Error adding group:', error);
+    res.status(500).json({ error: 'Failed to add group' });
+  }
+});
+
+// Rename a group or change its nodes, e.g. { "nodeIds": ["esp1", "esp3"] }
+app.patch('/api/groups/:groupId', requireAdmin, (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const knownNodeIds = Object.keys(db.nodes.all());
+
+    let error = null;
+    const group = db.groups.update(groupId, (existing) => {
+      if (!existing) return existing;
+      const result = groups.validateGroup(req.body || {}, existing, knownNodeIds);
+      error = result.error;
+      return result.group || existing;
+    });
+
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json({ success: true, group: { id: groupId, ...group } });
+  } catch (error) {
+    console.error('Error updating group:', error);
+    res.status(500).json({ error: 'Failed to update group' });
+  }
+});
+
+app.delete('/api/groups/:groupId', requireAdmin, (req, res) => {
+  try {
+    if (!db.groups.delete(req.params.groupId)) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting group:', error);
+    res.status(500).json({ error: 'Failed to delete group' });
+  }
+});
+
+// Switch every relay in the group, e.g. { "state": "off" }
+app.post('/api/groups/:groupId/relay', requireOperator, (req, res) => {
+  try {
+    const group = db.groups.get(req.params.groupId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    const { state } = req.body || {};
+    if (state !== 'on' && state !== 'off') {
+      return res.status(400).json({ error: 'Invalid relay state. Use "on" or "off"' });
+    }
+
+    group.nodeIds.forEach(nodeId => setRelayState(nodeId, state, 'user'));
+    res.json({ success: true, message: `Relay ${state} for ${group.nodeIds.length} node(s) in ${group.name}` });
+  } catch (error) {
+    console.error('Group relay control error:', error);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Add the same schedule to every node in the group (body as for /api/schedules/:nodeId).
+// Each copy keeps the group's ID in groupId and can be edited or removed on its own.
+app.post('/api/groups/:groupId/schedules', requireOperator, (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const group = db.groups.get(groupId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    const { schedule, error } = createSchedule(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const groupSchedule = { ...schedule, groupId };
+    store.transaction(() => {
+      group.nodeIds.forEach(nodeId => db.schedules.update(nodeId, (schedules = []) => [...schedules, groupSchedule]));
+    });
+    res.json({ success: true, schedule: groupSchedule, nodeIds: group.nodeIds });
+  } catch (error) {
+    console.error('Error adding group schedule:', error);
+    res.status(500).json({ error: 'Failed to add group schedule' });
+  }
+});
+
+// Start the same timer on every node in the group (body as for /api/timer/:nodeId)
+app.post('/api/groups/:groupId/timers', requireOperator, async (req, res) => {
+  try {
+    const group = db.groups.get(req.params.groupId);
+    if (!group) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+    const { timer: settings, error } = timers.validateTimer(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const now = Date.now();
+    const started = {};
+    for (const nodeId of group.nodeIds) {
+      started[nodeId] = timers.timerStatus(await startTimer(nodeId, settings), now);
+    }
+    res.json({ success: true, timers: started });
+  } catch (error) {
+    console.error('Error starting group timer:', error);
+    res.status(500).json({ error: 'Failed to start group timer' });
+  }
+});
+
+// Circuit Routes
+
+// A circuit's nodes with their latest readings and relay states, for circuits.evaluate
+function circuitMembers(circuit, now = Date.now()) {
+  return circuit.nodes.map(({ nodeId, priority }) => {
+    const node = db.nodes.get(nodeId);
+    const relayRecord = db.relays.get(nodeId);
+    return {
+      nodeId,
+      priority,
+      power: node ? node.power : null,
+      live: Boolean(node) && !presence.isStale(node.timestamp, node, now),
+      relay: relayRecord ? relayRecord.state : null,
+      relaySource: relayRecord ? relayRecord.source : null
+    };
+  });
+}
+
+// Keep every circuit the node is on under its maximum power: shed the
+// lowest-priority loads when it's over, and restore them once there's room
+function checkCircuits(nodeId, now = Date.now()) {
+  for (const [circuitId, circuit] of Object.entries(db.circuits.all())) {
+    if (!circuit.nodes.some(node => node.nodeId === nodeId)) continue;
+
+    const result = circuits.evaluate(circuit, circuitMembers(circuit, now), now);
+    if (!result.changed) continue;
+    db.circuits.set(circuitId, result.circuit);
+
+    const total = `${result.total.toFixed(1)} W of ${circuit.maxPower} W`;
+    for (const entry of result.shed) {
+      console.log(`LOAD SHED: Circuit ${circuit.name} at ${total}, turning node ${entry.nodeId} OFF (${entry.power.toFixed(1)} W)`);
+      setRelayState(entry.nodeId, 'off', 'shed');
+      broadcast({ type: 'load_shed', circuitId, name: circuit.name, nodeId: entry.nodeId, total: result.total });
+      sendNotification({
+        type: 'load_shed',
+        nodeId: entry.nodeId,
+        severity: 'warning',
+        title: `⚡ LOAD SHED: Node ${entry.nodeId}`,
+        message: `Circuit ${circuit.name} was at ${total}. Node ${entry.nodeId} (${entry.power.toFixed(1)} W) was turned off.`
       });
-      
-      // 2. Send Telegram alert (direct API call for reliability)
-      const alertMessage = `⚠️ ALERT: Node ${nodeId}\nPower threshold exceeded!\nPower: ${parsedPower}W > Threshold: ${node.threshold}W`;
-      
-      fetch('https://api.telegram.org/bot7816437987:AAHgvClRcNCXGNU96g2aKvgTgRytN0aJHoE/sendMessage', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          chat_id: "1602500087",
-          text: alertMessage
-        })
-      })
-      .then(response => console.log(`Telegram alert sent: ${response.ok ? 'Success' : 'Failed'}`))
-      .catch(error => console.error('Telegram error:', error));
-      
-      // 3. If auto-cutoff enabled, turn off relay
-      if (node.autoCutoff) {
-        console.log(`AUTO-CUTOFF: Turning off relay for Node ${nodeId}`);
-        
-        // Update relay command file
-        const relayData = readJsonFile(RELAY_FILE);
-        if (!relayData.nodes) relayData.nodes = {};
-        
-        relayData.nodes[nodeId] = {
-          state: 'off',
-          timestamp: Date.now()
-        };
-        
-        writeJsonFile(RELAY_FILE, relayData);
+    }
+    if (result.restored) {
+      const { nodeId: restoredId, power } = result.restored;
+      console.log(`LOAD RESTORED: Circuit ${circuit.name} at ${total}, turning node ${restoredId} back ON (${power.toFixed(1)} W before it was shed)`);
+      setRelayState(restoredId, 'on', 'shed');
+      broadcast({ type: 'load_restored', circuitId, name: circuit.name, nodeId: restoredId, total: result.total });
+      sendNotification({
+        type: 'load_restored',
+        nodeId: restoredId,
+        severity: 'info',
+        title: `🔌 LOAD RESTORED: Node ${restoredId}`,
+        message: `Circuit ${circuit.name} is at ${total}, leaving room for node ${restoredId} (${power.toFixed(1)} W), so it was turned back on.`
+      });
+    }
+  }
+}
+
+function circuitResponse(circuitId, circuit, now = Date.now()) {
+  return { id: circuitId, ...circuit, power: circuits.totalPower(circuitMembers(circuit, now)) };
+}
+
+// Every circuit with its live total power and shed nodes
+app.get('/api/circuits', requireViewer, (req, res) => {
+  try {
+    res.json(Object.entries(db.circuits.all()).map(([circuitId, circuit]) => circuitResponse(circuitId, circuit)));
+  } catch (error) {
+    console.error('Error getting circuits:', error);
+    res.status(500).json({ error: 'Failed to get circuits' });
+  }
+});
+
+// Add a circuit, e.g. { "name": "Kitchen ring", "maxPower": 3000, "nodes": [{ "nodeId": "esp1", "priority": 1 },
+// { "nodeId": "esp2", "priority": 5 }], "restore": true, "restoreDelay": 60 }
+app.post('/api/circuits', requireAdmin, (req, res) => {
+  try {
+    const { circuit: settings, error } = circuits.validateCircuit(req.body || {}, {}, Object.keys(db.nodes.all()));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let circuitId = Date.now().toString();
+    while (db.circuits.has(circuitId)) circuitId = (Number(circuitId) + 1).toString();
+    const circuit = db.circuits.set(circuitId, circuits.withState(settings));
+    res.json({ success: true, circuit: circuitResponse(circuitId, circuit) });
+  } catch (error) {
+    console.error('Error adding circuit:', error);
+    res.status(500).json({ error: 'Failed to add circuit' });
+  }
+});
+
+// Change a circuit's limit, nodes or priorities, e.g. { "maxPower": 2500 }
+app.patch('/api/circuits/:circuitId', requireAdmin, (req, res) => {
+  try {
+    const { circuitId } = req.params;
+    const existing = db.circuits.get(circuitId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Circuit not found' });
+    }
+
+    const { circuit: settings, error } = circuits.validateCircuit(req.body || {}, existing, Object.keys(db.nodes.all()));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const circuit = db.circuits.set(circuitId, circuits.withState(settings, existing));
+    res.json({ success: true, circuit: circuitResponse(circuitId, circuit) });
+  } catch (error) {
+    console.error('Error updating circuit:', error);
+    res.status(500).json({ error: 'Failed to update circuit' });
+  }
+});
+
+// Remove a circuit. Nodes it shed stay off.
+app.delete('/api/circuits/:circuitId', requireAdmin, (req, res) => {
+  try {
+    if (!db.circuits.delete(req.params.circuitId)) {
+      return res.status(404).json({ error: 'Circuit not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing circuit:', error);
+    res.status(500).json({ error: 'Failed to remove circuit' });
+  }
+});
+
+// Automation Rule Routes
+
+// Start a rule's trigger afresh, e.g. after it was edited or turned back on
+function resetRuleState(ruleId, rule, now = Date.now()) {
+  ruleStates.set(ruleId, automation.initialState(rule.trigger, now, readScheduleSettings()));
+}
+
+function resetRuleStates() {
+  ruleStates.clear();
+  for (const [ruleId, rule] of Object.entries(db.automations.all())) {
+    resetRuleState(ruleId, rule);
+  }
+}
+
+function logRuleEvaluation(ruleId, entry) {
+  const log = ruleLogs.get(ruleId) || [];
+  log.unshift(entry);
+  ruleLogs.set(ruleId, log.slice(0, RULE_LOG_SIZE));
+}
+
+// What rule conditions can see: live readings, desired relay states, presence and the local time
+function ruleContext(now) {
+  return {
+    reading: (nodeId) => {
+      const node = db.nodes.get(nodeId);
+      return node && !presence.isStale(node.timestamp, node, now) ? node : null;
+    },
+    relay: (nodeId) => db.relays.get(nodeId)?.state ?? null,
+    online: (nodeId) => presenceSummary(nodeId, now).online,
+    localTime: scheduler.localTime(now, readScheduleSettings().timezone)
+  };
+}
+
+// Run a fired rule's actions in order, recording how each went on its log entry
+async function runRuleActions(rule, entry) {
+  for (const action of rule.actions) {
+    const result = { action: automation.describeAction(action), ok: true };
+    entry.actions.push(result);
+    try {
+      if (action.type !== 'notify' && !db.nodes.has(action.nodeId)) {
+        throw new Error('Node not found');
+      }
+      if (action.type === 'relay') {
+        setRelayState(action.nodeId, action.state, 'rule');
+      } else if (action.type === 'timer') {
+        await startTimer(action.nodeId, action.timer);
+      } else {
+        await sendNotification({
+          type: 'rule',
+          nodeId: rule.trigger.nodeId,
+          severity: action.severity,
+          title: `🤖 RULE: ${rule.name}`,
+          message: action.message
+        });
+      }
+    } catch (error) {
+      result.ok = false;
+      result.error = error.message;
+      console.error(`Rule "${rule.name}" failed to ${result.action}:`, error);
+    }
+  }
+}
+
+// Step every enabled rule's trigger on an event and run the rules that fire and
+// whose conditions hold. Every evaluation is logged with why it did or didn't
+// fire; events a rule's trigger doesn't watch aren't evaluations.
+function runAutomations(event) {
+  const now = Date.now();
+  for (const [ruleId, rule] of Object.entries(db.automations.all())) {
+    if (!rule.enabled) continue;
+    if (!ruleStates.has(ruleId)) resetRuleState(ruleId, rule, now);
+
+    const step = automation.stepTrigger(rule.trigger, ruleStates.get(ruleId), event, now);
+    if (!step) continue;
+    ruleStates.set(ruleId, step.state);
+
+    const entry = { at: now, event: event.type, nodeId: event.nodeId || null, fired: false, reason: step.reason, conditions: [], actions: [] };
+    if (step.fire) {
+      entry.conditions = automation.checkConditions(rule.conditions, ruleContext(now));
+      const unmet = entry.conditions.filter(result => !result.met);
+      if (unmet.length > 0) {
+        entry.reason += `; not run: ${unmet.map(result => `${result.condition} (${result.reason})`).join(', ')}`;
+        console.log(`Rule "${rule.name}" triggered but didn't run: ${entry.reason}`);
+      } else {
+        entry.fired = true;
+        console.log(`Rule "${rule.name}" fired: ${entry.reason}`);
+        db.automations.update(ruleId, (stored) => stored && { ...stored, lastFired: now });
+        broadcast({ type: 'rule_fired', ruleId, name: rule.name, at: now });
+        runRuleActions(rule, entry).catch(error => console.error(`Error running rule "${rule.name}":`, error));
+      }
+    }
+    logRuleEvaluation(ruleId, entry);
+  }
+}
+
+function ruleResponse(ruleId, rule) {
+  return { id: ruleId, ...rule, description: automation.describeRule(rule) };
+}
+
+// Every rule with a short description, plus the options for building new ones
+app.get('/api/rules', requireViewer, (req, res) => {
+  try {
+    const rules = Object.entries(db.automations.all()).map(([ruleId, rule]) => ruleResponse(ruleId, rule));
+    res.json({ rules, triggers: automation.TRIGGERS, conditions: automation.CONDITIONS, actions: automation.ACTIONS });
+  } catch (error) {
+    console.error('Error getting automation rules:', error);
+    res.status(500).json({ error: 'Failed to get automation rules' });
+  }
+});
+
+// Add a rule, e.g. { "name": "Washing done", "trigger": { "type": "reading", "nodeId": "esp3", "metric": "power",
+// "condition": "below", "value": 5, "duration": 180 }, "conditions": [], "actions": [{ "type": "notify",
+// "message": "The washing is done" }, { "type": "relay", "nodeId": "esp4", "state": "off" }] }
+app.post('/api/rules', requireAdmin, (req, res) => {
+  try {
+    const { rule, error } = automation.validateRule(req.body || {}, {}, Object.keys(db.nodes.all()));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let ruleId = Date.now().toString();
+    while (db.automations.has(ruleId)) ruleId = (Number(ruleId) + 1).toString();
+    db.automations.set(ruleId, rule);
+    resetRuleState(ruleId, rule);
+    res.json({ success: true, rule: ruleResponse(ruleId, rule) });
+  } catch (error) {
+    console.error('Error adding automation rule:', error);
+    res.status(500).json({ error: 'Failed to add automation rule' });
+  }
+});
+
+// Edit a rule or turn it on or off, e.g. { "enabled": false }. Its trigger starts afresh.
+app.patch('/api/rules/:ruleId', requireAdmin, (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const existing = db.automations.get(ruleId);
+    if (!existing) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    const { rule, error } = automation.validateRule(req.body || {}, existing, Object.keys(db.nodes.all()));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.automations.set(ruleId, rule);
+    resetRuleState(ruleId, rule);
+    res.json({ success: true, rule: ruleResponse(ruleId, rule) });
+  } catch (error) {
+    console.error('Error updating automation rule:', error);
+    res.status(500).json({ error: 'Failed to update automation rule' });
+  }
+});
+
+app.delete('/api/rules/:ruleId', requireAdmin, (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    if (!db.automations.delete(ruleId)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    ruleStates.delete(ruleId);
+    ruleLogs.delete(ruleId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error removing automation rule:', error);
+    res.status(500).json({ error: 'Failed to remove automation rule' });
+  }
+});
+
+// A rule's recent evaluations, newest first: what happened, whether it fired and why
+// or why not. Kept in memory for the last RULE_LOG_SIZE evaluations since the server started.
+app.get('/api/rules/:ruleId/log', requireViewer, (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    if (!db.automations.has(ruleId)) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json(ruleLogs.get(ruleId) || []);
+  } catch (error) {
+    console.error('Error getting automation rule log:', error);
+    res.status(500).json({ error: 'Failed to get automation rule log' });
+  }
+});
+
+// Energy Routes
+
+// Fleet-wide energy totals and rollups
+app.get('/api/energy', requireViewer, (req, res) => {
+  try {
+    const records = db.energy.all();
+
+    const nodes = {};
+    for (const [nodeId, record] of Object.entries(records)) {
+      nodes[nodeId] = energy.getTotals(record);
+    }
+
+    const combined = energy.combineRecords(Object.values(records));
+    res.json({
+      unit: 'kWh',
+      totals: energy.getTotals(combined),
+      rollups: energy.getRollups(combined),
+      nodes
+    });
+  } catch (error) {
+    console.error('Error getting fleet energy:', error);
+    res.status(500).json({ error: 'Failed to get energy data' });
+  }
+});
+
+// Energy totals and rollups for a single node
+app.get('/api/energy/:nodeId', requireViewer, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const record = db.energy.get(nodeId);
+
+    if (!record) {
+      return res.status(404).json({ error: 'No energy data for this node' });
+    }
+
+    res.json({
+      nodeId,
+      unit: 'kWh',
+      totals: energy.getTotals(record),
+      rollups: energy.getRollups(record)
+    });
+  } catch (error) {
+    console.error('Error getting energy data:', error);
+    res.status(500).json({ error: 'Failed to get energy data' });
+  }
+});
+
+// Tariff and Cost Routes
+
+// Get tariff configuration
+app.get('/api/tariff', requireViewer, (req, res) => {
+  try {
+    res.json(readTariff());
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get tariff' });
+  }
+});
+
+// Update tariff configuration
+app.post('/api/tariff', requireAdmin, (req, res) => {
+  try {
+    const { tariff, error } = tariffs.validateTariff(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.settings.set('tariff', tariff);
+    res.json({ success: true, tariff });
+  } catch (error) {
+    console.error('Error saving tariff:', error);
+    res.status(500).json({ error: 'Failed to save tariff' });
+  }
+});
+
+// Fleet-wide cost including fixed charges
+app.get('/api/cost', requireViewer, (req, res) => {
+  try {
+    const tariff = readTariff();
+    const records = db.energy.all();
+
+    const nodes = {};
+    for (const [nodeId, record] of Object.entries(records)) {
+      nodes[nodeId] = tariffs.getCostSummary(tariff, [record]);
+    }
+
+    res.json({
+      ...tariffs.getCostSummary(tariff, Object.values(records), { includeFixed: true }),
+      nodes
+    });
+  } catch (error) {
+    console.error('Error getting fleet cost:', error);
+    res.status(500).json({ error: 'Failed to get cost data' });
+  }
+});
+
+// Cost for a single node (energy charges only)
+app.get('/api/cost/:nodeId', requireViewer, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const record = db.energy.get(nodeId);
+
+    if (!record) {
+      return res.status(404).json({ error: 'No energy data for this node' });
+    }
+
+    res.json({ nodeId, ...tariffs.getCostSummary(readTariff(), [record]) });
+  } catch (error) {
+    console.error('Error getting cost data:', error);
+    res.status(500).json({ error: 'Failed to get cost data' });
+  }
+});
+
+// Schedule Management Routes
+app.get('/api/schedules/:nodeId', requireViewer, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const schedules = db.schedules.get(nodeId) || [];
+    res.json(schedules);
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get schedules' });
+  }
+});
+
+// Add a schedule, e.g. { "time": "07:30", "action": "on", "days": [1, 2, 3, 4, 5], "startDate": "2024-06-01",
+// "endDate": null }, { "type": "once", "at": "2024-06-01T18:30", "action": "off" } or
+// { "type": "solar", "event": "sunset", "offset": 15, "action": "on" }
+app.post('/api/schedules/:nodeId', requireOperator, (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const { schedule, error } = createSchedule(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    db.schedules.update(nodeId, (schedules = []) => [...schedules, schedule]);
+    res.json({ success: true, schedule });
+  } catch (error) {
+    console.error('Error adding schedule:', error);
+    res.status(500).json({ error: 'Failed to add schedule' });
+  }
+});
+
+app.delete('/api/schedules/:nodeId/:scheduleId', requireOperator, (req, res) => {
+  try {
+    const { nodeId, scheduleId } = req.params;
+    const schedules = db.schedules.update(nodeId, (schedules) => schedules && schedules.filter(s => s.id !== scheduleId));
+
+    if (schedules) {
+      res.json({ success: true });
+    } else {
+      res.status(404).json({ error: 'Schedule not found' });
+    }
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({ error: 'Failed to delete schedule' });
+  }
+});
+
+// Toggle or edit a schedule, e.g. { "enabled": false } or { "days": [0, 6] }
+app.patch('/api/schedules/:nodeId/:scheduleId', requireOperator, (req, res) => {
+  try {
+    const { nodeId, scheduleId } = req.params;
+    const settings = readScheduleSettings();
+
+    let notFound = null;
+    let error = null;
+    let schedule = null;
+    db.schedules.update(nodeId, (schedules) => {
+      if (!schedules) {
+        notFound = 'Node not found';
+        return schedules;
+      }
+      const existing = schedules.find(s => s.id === scheduleId);
+      if (!existing) {
+        notFound = 'Schedule not found';
+        return schedules;
+      }
+
+      const result = scheduler.validateSchedule(req.body || {}, existing);
+      if (result.error) {
+        error = result.error;
+        return schedules;
       }
+      if (result.schedule.type === 'solar' && result.schedule.enabled && !scheduler.hasLocation(settings)) {
+        error = 'Set a latitude and longitude in the schedule settings first';
+        return schedules;
+      }
+      const nextRun = scheduler.nextRun(result.schedule, Date.now(), settings);
+      if (result.schedule.enabled && nextRun === null) {
+        error = 'This schedule has no runs in the future';
+        return schedules;
+      }
+
+      schedule = {
+        id: scheduleId,
+        ...result.schedule,
+        ...(existing.groupId ? { groupId: existing.groupId } : {}),
+        lastRun: existing.lastRun ?? null,
+        nextRun: result.schedule.enabled ? nextRun : null
+      };
+      return schedules.map(s => s.id === scheduleId ? schedule : s);
+    });
+
+    if (notFound) {
+      return res.status(404).json({ error: notFound });
     }
-    
-    // Broadcast updated sensor data
-    broadcast({
-      type: 'sensor_data',
-      nodeId,
-      voltage: parseFloat(voltage),
-      current: parseFloat(current),
-      power: parsedPower
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({ 
+      success: true, 
+      schedule
     });
-    
-    res.json({ success: true });
   } catch (error) {
-    console.error('Error saving sensor data:', error);
-    res.status(500).json({ error: 'Failed to save sensor data' });
+    console.error('Error updating schedule:', error);
+    res.status(500).json({ error: 'Failed to update schedule' });
   }
 });
 
-// Get relay status
-app.get('/api/relay/:nodeId', (req, res) => {
+// Timezone, catch-up policy and location for schedules, e.g. { "timezone": "Europe/London", "catchUp": "latest",
+// "catchUpHours": 12, "latitude": 51.5, "longitude": -0.13 }
+app.get('/api/schedule-settings', requireViewer, (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const data = readJsonFile(RELAY_FILE);
-    const nodeState = data.nodes?.[nodeId] || { state: 'off', timestamp: Date.now() };
-    res.json(nodeState);
+    res.json(readScheduleSettings());
   } catch (error) {
-    res.json({ state: 'off', timestamp: Date.now() });
+    res.status(500).json({ error: 'Failed to get schedule settings' });
   }
 });
 
-// Update relay state
-app.post('/api/relay/:nodeId', (req, res) => {
+app.post('/api/schedule-settings', requireAdmin, (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const { state } = req.body;
-    
-    if (!state || (state !== 'on' && state !== 'off')) {
-      return res.status(400).json({
-        error: 'Invalid relay state. Use "on" or "off"'
-      });
+    const { settings, error } = scheduler.validateSettings(req.body || {}, readScheduleSettings());
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const relayData = readJsonFile(RELAY_FILE);
-    if (!relayData.nodes) relayData.nodes = {};
+    db.settings.set('schedules', settings);
+    // Times are wall-clock times in the timezone and sunrise/sunset depends on the
+    // location, so every next run moves with them
+    refreshNextRuns({ all: true });
+    resetRuleStates();
+    res.json({ success: true, ...settings });
+  } catch (error) {
+    console.error('Error saving schedule settings:', error);
+    res.status(500).json({ error: 'Failed to save schedule settings' });
+  }
+});
 
-    relayData.nodes[nodeId] = {
-      state,
-      timestamp: Date.now()
-    };
+// Alert History Routes
 
-    if (writeJsonFile(RELAY_FILE, relayData)) {
-      res.json({
-        success: true,
-        message: `Relay ${state} for node ${nodeId}`
-      });
-    } else {
-      throw new Error('Failed to write relay state');
+// List alerts, newest first, e.g. /api/alerts?state=active&nodeId=esp1&limit=50
+app.get('/api/alerts', requireViewer, (req, res) => {
+  try {
+    const { state, nodeId } = req.query;
+    const limit = req.query.limit === undefined ? 100 : Number(req.query.limit);
+
+    if (state !== undefined && state !== 'active' && !alerts.STATES.includes(state)) {
+      return res.status(400).json({ error: `state must be active or one of: ${alerts.STATES.join(', ')}` });
     }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'limit must be a whole number from 1 to 1000' });
+    }
+
+    res.json(alerts.filterAlerts(db.alerts.all(), { state, nodeId, limit }));
   } catch (error) {
-    console.error('Relay control error:', error);
-    res.status(500).json({ error: 'Server error' });
+    console.error('Error getting alerts:', error);
+    res.status(500).json({ error: 'Failed to get alerts' });
   }
 });
 
-// Download logs endpoint
-app.get('/api/logs/:nodeId', (req, res) => {
+app.post('/api/alerts/:alertId/acknowledge', requireOperator, (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const logFile = path.join(LOGS_DIR, `node_${nodeId}_data.csv`);
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const downloadFile = path.join(LOGS_DIR, `node_${nodeId}_data_${timestamp}.csv`);
-
-    console.log(`Attempting to download log file: ${logFile}`);
+    const { alertId } = req.params;
+    const alert = db.alerts.update(alertId, (alert) => alert && alerts.acknowledgeAlert(alert, req.user.username, Date.now()));
 
-    if (!fs.existsSync(logFile)) {
-      console.log(`Log file not found: ${logFile}`);
-      return res.status(404).json({ error: 'No logs found for this node' });
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found' });
     }
 
-    // Create a copy of the current log file
-    fs.copyFileSync(logFile, downloadFile);
-
-    console.log(`Created backup file: ${downloadFile}`);
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename=node_${nodeId}_data_${timestamp}.csv`);
-    
-    // Stream the backup file
-    const fileStream = fs.createReadStream(downloadFile);
-    fileStream.on('error', (error) => {
-      console.error('Error streaming log file:', error);
-      res.status(500).json({ error: 'Failed to stream log file' });
-    });
-    fileStream.on('end', () => {
-      // Keep the backup file for reference
-      console.log(`Successfully sent backup file: ${downloadFile}`);
-    });
-    fileStream.pipe(res);
+    broadcast({ type: 'alert_acknowledged', alert: { id: alertId, ...alert } });
+    res.json({ success: true, alert: { id: alertId, ...alert } });
   } catch (error) {
-    console.error('Error downloading logs:', error);
-    console.error('Error details:', {
+    console.error('Error acknowledging alert:', error);
+    res.status(500).json({ error: 'Failed to acknowledge alert' });
+  }
+});
+
+// Manual Alert Route
+app.post('/api/alert', requireOperator, async (req, res) => {
+  try {
+    const { nodeId, power } = req.body;
+    const results = await sendNotification({
+      type: 'manual',
       nodeId,
-      error: error.message,
-      stack: error.stack
+      severity: 'warning',
+      title: `⚠️ ALERT: Node ${nodeId}`,
+      message: `Power threshold exceeded!\nCurrent power = ${power}W`
     });
-    res.status(500).json({ error: 'Failed to download logs' });
+
+    const sent = Object.values(results);
+    if (sent.length > 0 && !sent.some(result => result.ok)) {
+      throw new Error('Every notification channel failed');
+    }
+
+    res.json({ success: true, results });
+  } catch (error) {
+    console.error('Failed to send alert:', error);
+    res.status(500).json({ error: 'Failed to send alert' });
   }
 });
 
-// Schedule Management Routes
-app.get('/api/schedules/:nodeId', (req, res) => {
+// Notification Channel Routes (admin)
+
+app.get('/api/notifications/channels', requireAdmin, (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const data = readJsonFile(SCHEDULE_FILE);
-    const schedules = data.nodes?.[nodeId] || [];
-    res.json(schedules);
+    const channels = Object.entries(db.channels.all()).map(([id, channel]) => ({ id, ...notify.maskChannel(channel) }));
+    res.json({ types: Object.keys(notify.CHANNEL_TYPES), severities: notify.SEVERITIES, channels });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to get schedules' });
+    res.status(500).json({ error: 'Failed to get notification channels' });
   }
 });
 
-app.post('/api/schedules/:nodeId', (req, res) => {
+// Add a channel, e.g. { "type": "ntfy", "name": "Phone", "config": { "topic": "smartplug" }, "route": { "minSeverity": "critical" } }
+app.post('/api/notifications/channels', requireAdmin, (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const { time, action } = req.body;
-
-    if (!time || !action || (action !== 'on' && action !== 'off')) {
-      return res.status(400).json({ error: 'Invalid schedule data' });
+    const { channel, error } = notify.validateChannel(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const data = readJsonFile(SCHEDULE_FILE);
-    if (!data.nodes) data.nodes = {};
-    if (!data.nodes[nodeId]) data.nodes[nodeId] = [];
+    const id = Date.now().toString();
+    db.channels.set(id, channel);
+    res.status(201).json({ success: true, channel: { id, ...notify.maskChannel(channel) } });
+  } catch (error) {
+    console.error('Error adding notification channel:', error);
+    res.status(500).json({ error: 'Failed to add notification channel' });
+  }
+});
 
-    const schedule = {
-      id: Date.now().toString(),
-      time,
-      action,
-      enabled: true
-    };
+// Update a channel. Masked secrets sent back unchanged keep their stored values.
+app.post('/api/notifications/channels/:channelId', requireAdmin, async (req, res) => {
+  try {
+    const { channelId } = req.params;
+    let error = null;
+    const channel = db.channels.update(channelId, (existing) => {
+      if (!existing) return undefined;
+      const result = notify.validateChannel(req.body || {}, existing);
+      error = result.error;
+      return result.channel || existing;
+    });
 
-    data.nodes[nodeId].push(schedule);
-    
-    if (writeJsonFile(SCHEDULE_FILE, data)) {
-      res.json({ success: true, schedule });
-    } else {
-      throw new Error('Failed to save schedule');
+    if (!channel) {
+      return res.status(404).json({ error: 'Channel not found' });
     }
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (readTelegramBotSettings().channelId === channelId) await restartTelegramBot();
+    res.json({ success: true, channel: { id: channelId, ...notify.maskChannel(channel) } });
   } catch (error) {
-    console.error('Error adding schedule:', error);
-    res.status(500).json({ error: 'Failed to add schedule' });
+    console.error('Error updating notification channel:', error);
+    res.status(500).json({ error: 'Failed to update notification channel' });
   }
 });
 
-app.delete('/api/schedules/:nodeId/:scheduleId', (req, res) => {
+app.delete('/api/notifications/channels/:channelId', requireAdmin, async (req, res) => {
   try {
-    const { nodeId, scheduleId } = req.params;
-    const data = readJsonFile(SCHEDULE_FILE);
-
-    if (data.nodes?.[nodeId]) {
-      data.nodes[nodeId] = data.nodes[nodeId].filter(s => s.id !== scheduleId);
-      if (writeJsonFile(SCHEDULE_FILE, data)) {
-        res.json({ success: true });
-      } else {
-        throw new Error('Failed to delete schedule');
-      }
-    } else {
-      res.status(404).json({ error: 'Schedule not found' });
+    if (!db.channels.delete(req.params.channelId)) {
+      return res.status(404).json({ error: 'Channel not found' });
     }
+    if (readTelegramBotSettings().channelId === req.params.channelId) await restartTelegramBot();
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error deleting schedule:', error);
-    res.status(500).json({ error: 'Failed to delete schedule' });
+    console.error('Error removing notification channel:', error);
+    res.status(500).json({ error: 'Failed to remove notification channel' });
   }
 });
 
-// Toggle schedule
-app.patch('/api/schedules/:nodeId/:scheduleId', (req, res) => {
+// Telegram bot command settings, e.g. { "enabled": true, "channelId": "...", "chats": [{ "chatId": "123", "role": "operator" }] }
+app.get('/api/telegram/bot', requireAdmin, (req, res) => {
   try {
-    const { nodeId, scheduleId } = req.params;
-    const { enabled } = req.body;
+    res.json({ ...readTelegramBotSettings(), running: Boolean(telegramBot) });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to get Telegram bot settings' });
+  }
+});
 
-    const data = readJsonFile(SCHEDULE_FILE);
-    if (!data.nodes?.[nodeId]) {
-      return res.status(404).json({ error: 'Node not found' });
+app.post('/api/telegram/bot', requireAdmin, async (req, res) => {
+  try {
+    const { settings, error } = telegram.validateSettings({ ...readTelegramBotSettings(), ...req.body }, db.channels.all());
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    const scheduleIndex = data.nodes[nodeId].findIndex(s => s.id === scheduleId);
-    if (scheduleIndex === -1) {
-      return res.status(404).json({ error: 'Schedule not found' });
-    }
+    db.settings.set('telegramBot', settings);
+    await restartTelegramBot();
+    res.json({ success: true, ...settings, running: Boolean(telegramBot) });
+  } catch (error) {
+    console.error('Error saving Telegram bot settings:', error);
+    res.status(500).json({ error: 'Failed to save Telegram bot settings' });
+  }
+});
 
-    data.nodes[nodeId][scheduleIndex].enabled = enabled;
-    
-    if (writeJsonFile(SCHEDULE_FILE, data)) {
-      res.json({ 
-        success: true, 
-        schedule: data.nodes[nodeId][scheduleIndex]
-      });
-    } else {
-      throw new Error('Failed to update schedule');
-    }
+// MQTT bridge settings, e.g. { "enabled": true, "url": "mqtt://192.168.1.10:1883", "username": "", "password": "",
+// "baseTopic": "smartplug", "discoveryPrefix": "homeassistant" }
+app.get('/api/mqtt', requireAdmin, (req, res) => {
+  try {
+    res.json({ ...mqttBridge.maskSettings(readMqttSettings()), connected: Boolean(bridge && bridge.client.connected) });
   } catch (error) {
-    console.error('Error updating schedule:', error);
-    res.status(500).json({ error: 'Failed to update schedule' });
+    res.status(500).json({ error: 'Failed to get MQTT settings' });
   }
 });
 
-// Telegram Alert Route
-app.post('/api/alert', async (req, res) => {
+app.post('/api/mqtt', requireAdmin, async (req, res) => {
   try {
-    const { nodeId, power } = req.body;
-    const botToken = "7816437987:AAHgvClRcNCXGNU96g2aKvgTgRytN0aJHoE";
-    const chatId = "1602500087";
-    const message = `⚠️ ALERT: Node ${nodeId}\nPower threshold exceeded!\nCurrent power = ${power}W`;
-
-    const url = `https://api.telegram.org/bot${botToken}/sendMessage`;
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        chat_id: chatId,
-        text: message
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error('Failed to send Telegram message');
+    const { settings, error } = mqttBridge.validateSettings(req.body || {}, readMqttSettings());
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    res.json({ success: true });
+    db.settings.set('mqtt', settings);
+    await restartMqttBridge();
+    res.json({ success: true, ...mqttBridge.maskSettings(settings) });
   } catch (error) {
-    console.error('Failed to send Telegram alert:', error);
-    res.status(500).json({ error: 'Failed to send alert' });
+    console.error('Error saving MQTT settings:', error);
+    res.status(500).json({ error: 'Failed to save MQTT settings' });
   }
 });
 
-// Timer management
-function readTimerFile() {
+// Send a test message through every channel (or just { "channelId": "..." }), ignoring routing
+app.post('/api/notifications/test', requireAdmin, async (req, res) => {
   try {
-    const data = readJsonFile(TIMER_FILE);
-    return data.timers || {};
+    const { channelId } = req.body || {};
+    const channels = db.channels.all();
+    const targets = channelId ? Object.entries(channels).filter(([id]) => id === channelId) : Object.entries(channels);
+
+    if (targets.length === 0) {
+      return res.status(404).json({ error: channelId ? 'Channel not found' : 'No notification channels configured' });
+    }
+
+    const notification = {
+      type: 'test',
+      severity: 'info',
+      timestamp: Date.now(),
+      title: 'Power Monitor test notification',
+      message: `Test sent by ${req.user.username}. If you can read this, the channel works.`
+    };
+
+    const results = {};
+    await Promise.all(targets.map(async ([id, channel]) => {
+      results[id] = { name: channel.name, type: channel.type, ...await notify.sendToChannel(channel, notification) };
+    }));
+    res.json({ success: Object.values(results).every(result => result.ok), results });
   } catch (error) {
-    console.error('Error reading timer file:', error);
-    return {};
+    console.error('Error sending test notification:', error);
+    res.status(500).json({ error: 'Failed to send test notification' });
+  }
+});
+
+// Schedule management
+function readScheduleSettings() {
+  return { ...scheduler.DEFAULT_SETTINGS, ...db.settings.get('schedules') };
+}
+
+// Validate a new schedule from the API and work out its first run.
+// Returns { schedule } or { error }.
+function createSchedule(input) {
+  const { schedule: validated, error } = scheduler.validateSchedule(input);
+  if (error) return { error };
+
+  const settings = readScheduleSettings();
+  if (validated.type === 'solar' && !scheduler.hasLocation(settings)) {
+    return { error: 'Set a latitude and longitude in the schedule settings first' };
+  }
+  const nextRun = scheduler.nextRun(validated, Date.now(), settings);
+  if (nextRun === null) {
+    return { error: 'This schedule has no runs in the future' };
+  }
+
+  return {
+    schedule: {
+      id: Date.now().toString(),
+      ...validated,
+      lastRun: null,
+      nextRun: validated.enabled ? nextRun : null
+    }
+  };
+}
+
+// Work out next runs from now: for every schedule when all is set, otherwise only
+// for schedules that don't have one yet (added before runs were tracked)
+function refreshNextRuns({ all = false } = {}) {
+  const now = Date.now();
+  const settings = readScheduleSettings();
+  store.transaction(() => {
+    for (const [nodeId, schedules] of Object.entries(db.schedules.all())) {
+      if (!all && schedules.every(s => s.nextRun !== undefined)) continue;
+      db.schedules.set(nodeId, schedules.map(s => all || s.nextRun === undefined
+        ? { ...s, lastRun: s.lastRun ?? null, nextRun: s.enabled ? scheduler.nextRun(s, now, settings) : null }
+        : s));
+    }
+  });
+}
+
+// Run schedules whose next run has passed. Every due schedule moves on to its next
+// run first, so nothing fires twice. Runs missed while the server was down are
+// caught up or skipped by the catch-up policy.
+async function checkSchedules(now = Date.now()) {
+  const settings = readScheduleSettings();
+  const all = db.schedules.all();
+  const { runs, skipped } = scheduler.collectDue(all, now, settings);
+  if (runs.length === 0 && skipped.length === 0) return;
+
+  const ran = new Set(runs.map(run => `${run.nodeId}:${run.schedule.id}`));
+  store.transaction(() => {
+    for (const nodeId of new Set([...runs, ...skipped].map(run => run.nodeId))) {
+      db.schedules.update(nodeId, (schedules) => schedules && schedules.map(s => {
+        if (!s.enabled || typeof s.nextRun !== 'number' || s.nextRun > now) return s;
+        return {
+          ...s,
+          lastRun: ran.has(`${nodeId}:${s.id}`) ? now : s.lastRun,
+          nextRun: scheduler.nextRun(s, now, settings)
+        };
+      }));
+    }
+  });
+
+  for (const { nodeId, schedule, at } of skipped) {
+    console.log(`Skipped schedule for node ${nodeId}: ${schedule.action} ${scheduler.describeSchedule(schedule)}, missed at ${new Date(at).toLocaleString()}`);
+  }
+  for (const { nodeId, schedule, at, late } of runs) {
+    const success = await controlRelay(nodeId, schedule.action === 'on', 'schedule');
+    const label = `${schedule.action} ${scheduler.describeSchedule(schedule)}${late ? ` (catching up on ${new Date(at).toLocaleString()})` : ''}`;
+    if (success) {
+      console.log(`Executed schedule for node ${nodeId}: ${label}`);
+    } else {
+      console.error(`Failed to execute schedule for node ${nodeId}: ${label}`);
+    }
   }
 }
 
-function writeTimerFile(timers) {
+// Timer management
+// A node's timers are kept as a list in db.timers. timerHandles holds the pending
+// setTimeout for each running timer, keyed by node and timer ID.
+function timerKey(nodeId, timerId) {
+  return `${nodeId}/${timerId}`;
+}
+
+function readTimers(nodeId) {
+  return db.timers.get(nodeId) || [];
+}
+
+// Update a node's timer list; a node left without timers is removed
+function updateTimers(nodeId, fn) {
+  return db.timers.update(nodeId, (list = []) => {
+    const next = fn(list);
+    return next.length > 0 ? next : undefined;
+  }) || [];
+}
+
+// Wait for a running timer's next step, replacing anything already waiting for it
+function armTimer(nodeId, timer) {
+  const key = timerKey(nodeId, timer.id);
+  clearTimeout(timerHandles.get(key));
+  timerHandles.delete(key);
+  if (timer.status !== 'running') return;
+
+  timerHandles.set(key, setTimeout(() => runTimer(nodeId, timer.id), Math.max(0, timer.dueAt - Date.now())));
+}
+
+function disarmTimer(nodeId, timerId) {
+  const key = timerKey(nodeId, timerId);
+  clearTimeout(timerHandles.get(key));
+  timerHandles.delete(key);
+}
+
+// Take a timer's due steps and switch the relay to the latest one's state
+async function runTimer(nodeId, timerId) {
   try {
-    const timerData = { nodes: {} };
-    for (const [nodeId, timer] of timers.entries()) {
-      timerData.nodes[nodeId] = {
-        startTime: timer.startTime,
-        duration: timer.duration,
-        action: timer.action,
-        endTime: timer.startTime + timer.duration,
-      };
+    timerHandles.delete(timerKey(nodeId, timerId));
+
+    let result = null;
+    updateTimers(nodeId, (list) => list.flatMap(t => {
+      if (t.id !== timerId) return [t];
+      result = timers.advance(t, Date.now());
+      return result.timer ? [result.timer] : [];
+    }));
+    if (!result) return;
+
+    if (result.timer) armTimer(nodeId, result.timer);
+    if (result.state) {
+      await controlRelay(nodeId, result.state, 'timer');
+      console.log(`Timer ${timerId} for node ${nodeId}: turned ${result.state.toUpperCase()}${result.timer ? '' : ', finished'}`);
     }
-    writeJsonFile(TIMER_FILE, timerData);
-    return true;
   } catch (error) {
-    console.error('Error writing timer file:', error);
-    return false;
+    console.error(`Error running timer ${timerId} for node ${nodeId}:`, error);
   }
 }
 
-function startTimer(nodeId, duration, action) {
-  clearTimeout(timers.get(nodeId)?.timeout);
-  
-  const timer = {
-    startTime: Date.now(),
-    duration: duration * 1000, // Convert to milliseconds
-    action,
-    timeout: setTimeout(async () => {
-      await controlRelay(nodeId, action === 'on');
-      clearTimer(nodeId);
-    }, duration * 1000)
-  };
-  
-  timers.set(nodeId, timer);
-  writeTimerFile(timers);
+// Start a validated timer. Pulses and cycles switch the relay straight away.
+async function startTimer(nodeId, settings) {
+  const now = Date.now();
+  let created = null;
+  updateTimers(nodeId, (list) => {
+    let id = now.toString();
+    while (list.some(t => t.id === id)) id = (Number(id) + 1).toString();
+    created = timers.createTimer(settings, id, now);
+    return [...list, created.timer];
+  });
+
+  armTimer(nodeId, created.timer);
+  if (created.state) await controlRelay(nodeId, created.state, 'timer');
+  return created.timer;
+}
+
+// Pause or resume a timer with timers.pause or timers.resume. Returns the updated
+// timer, or null when the node has no timer with that ID.
+function changeTimer(nodeId, timerId, change) {
+  let changed = null;
+  updateTimers(nodeId, (list) => list.map(t => {
+    if (t.id !== timerId) return t;
+    changed = change(t, Date.now());
+    return changed;
+  }));
+  if (changed) armTimer(nodeId, changed);
+  return changed;
+}
+
+// Cancel one timer, or every timer on the node when timerId is left out.
+// Returns the number cancelled.
+function cancelTimers(nodeId, timerId) {
+  let cancelled = [];
+  updateTimers(nodeId, (list) => {
+    cancelled = list.filter(t => timerId === undefined || t.id === timerId);
+    return list.filter(t => !cancelled.includes(t));
+  });
+  cancelled.forEach(t => disarmTimer(nodeId, t.id));
+  return cancelled.length;
 }
 
-function clearTimer(nodeId) {
-  const timer = timers.get(nodeId);
-  if (timer) {
-    clearTimeout(timer.timeout);
-    timers.delete(nodeId);
-    writeTimerFile(timers);
+// Stop waiting on a removed node's timers; its stored list goes with the node
+function clearTimers(nodeId) {
+  for (const key of timerHandles.keys()) {
+    if (key.startsWith(`${nodeId}/`)) {
+      clearTimeout(timerHandles.get(key));
+      timerHandles.delete(key);
+    }
   }
 }
 
-function getTimerStatus(nodeId) {
-  const timer = timers.get(nodeId);
-  if (!timer) return { active: false, remainingTime: 0 };
+// Catch up and re-arm stored timers on start. A node's single timer from before
+// nodes could have several is converted to a list first.
+function restoreTimers() {
+  const now = Date.now();
+  for (const [nodeId, stored] of Object.entries(db.timers.all())) {
+    if (!Array.isArray(stored)) {
+      db.timers.set(nodeId, [timers.fromLegacy(stored, String(stored.startTime))]);
+    }
+
+    // Nothing is switched for steps that fell due while the server was down
+    const restored = updateTimers(nodeId, (list) => list.flatMap(timer => {
+      if (timer.status !== 'running' || timer.dueAt > now) return [timer];
+      const current = timers.skipMissed(timer, now);
+      if (!current) {
+        console.log(`Removed expired timer ${timer.id} for node ${nodeId}`);
+        return [];
+      }
+      console.log(`Skipped missed steps of timer ${timer.id} for node ${nodeId}`);
+      return [current];
+    }));
 
-  const elapsed = Date.now() - timer.startTime;
-  const remaining = Math.max(0, Math.ceil((timer.duration - elapsed) / 1000));
-  
-  if (remaining <= 0) {
-    clearTimer(nodeId);
-    return { active: false, remainingTime: 0 };
+    for (const timer of restored) {
+      armTimer(nodeId, timer);
+      console.log(`Restored ${timer.status} ${timer.type} timer ${timer.id} for node ${nodeId}`);
+    }
   }
-  
-  return {
-    active: true,
-    remainingTime: remaining,
-    action: timer.action
-  };
 }
 
 // Timer endpoints
-app.post('/api/timer/:nodeId', (req, res) => {
+app.get('/api/timer/:nodeId', requireViewer, (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const { duration, action } = req.body;
+    const now = Date.now();
+    res.json(readTimers(req.params.nodeId).map(t => timers.timerStatus(t, now)));
+  } catch (error) {
+    console.error('Error getting timers:', error);
+    res.status(500).json({ error: 'Failed to get timers' });
+  }
+});
 
-    if (!duration || duration < 1 || !['on', 'off'].includes(action)) {
-      return res.status(400).json({ error: 'Invalid timer parameters' });
+// Start a timer, e.g. { "duration": 1800, "action": "off" }, { "type": "pulse", "duration": 600 }
+// or { "type": "cycle", "onSeconds": 600, "offSeconds": 1200, "cycles": 3 }
+app.post('/api/timer/:nodeId', requireOperator, async (req, res) => {
+  try {
+    const { nodeId } = req.params;
+    const { timer: settings, error } = timers.validateTimer(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    startTimer(nodeId, duration, action);
-    res.json({ success: true });
+    const timer = await startTimer(nodeId, settings);
+    res.json({ success: true, timer: timers.timerStatus(timer, Date.now()) });
   } catch (error) {
     console.error('Error starting timer:', error);
     res.status(500).json({ error: 'Failed to start timer' });
   }
 });
 
-app.get('/api/timer/:nodeId', (req, res) => {
+app.post('/api/timer/:nodeId/:timerId/pause', requireOperator, (req, res) => {
   try {
-    const { nodeId } = req.params;
-    const status = getTimerStatus(nodeId);
-    res.json(status);
+    const timer = changeTimer(req.params.nodeId, req.params.timerId, timers.pause);
+    if (!timer) {
+      return res.status(404).json({ error: 'Timer not found' });
+    }
+    res.json({ success: true, timer: timers.timerStatus(timer, Date.now()) });
   } catch (error) {
-    console.error('Error getting timer status:', error);
-    res.status(500).json({ error: 'Failed to get timer status' });
+    console.error('Error pausing timer:', error);
+    res.status(500).json({ error: 'Failed to pause timer' });
   }
 });
 
-app.delete('/api/timer/:nodeId', (req, res) => {
+app.post('/api/timer/:nodeId/:timerId/resume', requireOperator, (req, res) => {
   try {
-    const { nodeId } = req.params;
-    clearTimer(nodeId);
+    const timer = changeTimer(req.params.nodeId, req.params.timerId, timers.resume);
+    if (!timer) {
+      return res.status(404).json({ error: 'Timer not found' });
+    }
+    res.json({ success: true, timer: timers.timerStatus(timer, Date.now()) });
+  } catch (error) {
+    console.error('Error resuming timer:', error);
+    res.status(500).json({ error: 'Failed to resume timer' });
+  }
+});
+
+app.delete('/api/timer/:nodeId/:timerId', requireOperator, (req, res) => {
+  try {
+    if (cancelTimers(req.params.nodeId, req.params.timerId) === 0) {
+      return res.status(404).json({ error: 'Timer not found' });
+    }
     res.json({ success: true });
   } catch (error) {
     console.error('Error cancelling timer:', error);
@@ -791,6 +2929,17 @@ app.delete('/api/timer/:nodeId', (req, res) => {
   }
 });
 
+// Cancel every timer on the node
+app.delete('/api/timer/:nodeId', requireOperator, (req, res) => {
+  try {
+    const cancelled = cancelTimers(req.params.nodeId);
+    res.json({ success: true, cancelled });
+  } catch (error) {
+    console.error('Error cancelling timers:', error);
+    res.status(500).json({ error: 'Failed to cancel timers' });
+  }
+});
+
 // Function to start logging for a node
 function startLogging(nodeId) {
   // Clear any existing interval
@@ -801,10 +2950,10 @@ function startLogging(nodeId) {
   const interval = setInterval(() => {
     try {
       // Get current data
-      const data = readJsonFile(NODES_FILE);
-      const nodeData = data.nodes?.[nodeId];
+      const nodeData = db.nodes.get(nodeId);
       
-      if (!nodeData) return;
+      // Don't log a silent node's last reading over and over
+      if (!nodeData || presence.isStale(nodeData.timestamp, nodeData, Date.now())) return;
 
       // Ensure logs directory exists
       if (!fs.existsSync(LOGS_DIR)) {
@@ -815,12 +2964,12 @@ function startLogging(nodeId) {
       
       // Create file with headers if it doesn't exist
       if (!fs.existsSync(logFile)) {
-        fs.writeFileSync(logFile, 'Timestamp,Voltage (V),Current (A),Power (W)\n');
+        fs.writeFileSync(logFile, `${sensor.CSV_HEADER}\n`);
       }
 
       // Get current timestamp in ISO format
       const timestamp = new Date().toISOString();
-      const logLine = `${timestamp},${nodeData.voltage},${nodeData.current},${nodeData.power}\n`;
+      const logLine = `${sensor.csvLine(timestamp, nodeData)}\n`;
       
       // Append the data
       fs.appendFileSync(logFile, logLine);
@@ -832,6 +2981,39 @@ function startLogging(nodeId) {
   loggingIntervals.set(nodeId, interval);
 }
 
+// Rotate finished days out of the active logs, then delete what the retention policy no longer keeps
+let lastRotationDay = null;
+
+function runLogMaintenance() {
+  const rotated = {};
+  for (const nodeId of retention.listLoggedNodes(LOGS_DIR)) {
+    try {
+      const days = retention.rotateNodeLog(LOGS_DIR, nodeId);
+      if (days.length > 0) {
+        rotated[nodeId] = days;
+        console.log(`Rotated logs for node ${nodeId}: ${days.join(', ')}`);
+      }
+    } catch (error) {
+      console.error(`Error rotating logs for node ${nodeId}:`, error);
+    }
+  }
+
+  const policy = readRetentionPolicy();
+  const deleted = retention.applyRetention(LOGS_DIR, policy);
+  if (deleted.length > 0) {
+    console.log(`Log retention removed ${deleted.length} file(s)`);
+  }
+
+  const expiredAlerts = alerts.expiredAlertIds(db.alerts.all(), policy.alertDays);
+  store.transaction(() => expiredAlerts.forEach(id => db.alerts.delete(id)));
+  if (expiredAlerts.length > 0) {
+    console.log(`Alert retention removed ${expiredAlerts.length} cleared alert(s)`);
+  }
+
+  lastRotationDay = energy.dayKey(new Date());
+  return { rotated, deleted, alertsDeleted: expiredAlerts.length };
+}
+
 // Function to stop logging for a node
 function stopLogging(nodeId) {
   if (loggingIntervals.has(nodeId)) {
@@ -840,14 +3022,42 @@ function stopLogging(nodeId) {
   }
 }
 
-// Start logging for all existing nodes when server starts
+// Rotate anything left over from before the restart, then check for a new day every minute
 try {
-  const data = readJsonFile(NODES_FILE);
-  if (data.nodes) {
-    Object.keys(data.nodes).forEach(nodeId => {
-      startLogging(nodeId);
-    });
+  runLogMaintenance();
+} catch (error) {
+  console.error('Error running log maintenance:', error);
+}
+
+setInterval(() => {
+  try {
+    if (energy.dayKey(new Date()) !== lastRotationDay) {
+      runLogMaintenance();
+    }
+  } catch (error) {
+    console.error('Error running log maintenance:', error);
+  }
+}, 60000);
+
+// Drop expired sessions and failed login records hourly
+setInterval(() => {
+  try {
+    auth.purgeExpiredSessions();
+    purgeLoginFailures();
+  } catch (error) {
+    console.error('Error purging expired sessions and login failures:', error);
   }
+}, 60 * 60 * 1000);
+
+// Start logging for all existing nodes when server starts
+try {
+  Object.keys(db.nodes.all()).forEach(nodeId => {
+    startLogging(nodeId);
+
+    if (!auth.getDeviceKeyStatus(nodeId).active) {
+      console.log(`Node ${nodeId} has no device key and can't post data until an admin issues one`);
+    }
+  });
 } catch (error) {
   console.error('Error starting logging for existing nodes:', error);
 }
@@ -856,137 +3066,53 @@ try {
 server.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
 
-  // Check schedules every minute
-  setInterval(async () => {
-    try {
-      const scheduleData = readJsonFile(SCHEDULE_FILE);
-      const now = new Date();
-      const currentTime = now.toTimeString().slice(0, 5); // HH:mm format
-
-      for (const [nodeId, schedules] of Object.entries(scheduleData.nodes || {})) {
-        for (const schedule of schedules) {
-          if (schedule.enabled && schedule.time === currentTime) {
-            // Actually control the relay using the controlRelay function
-            const success = await controlRelay(nodeId, schedule.action === 'on');
-            if (success) {
-              console.log(`Executed schedule for node ${nodeId}: ${schedule.action} at ${schedule.time}`);
-            } else {
-              console.error(`Failed to execute schedule for node ${nodeId}: ${schedule.action} at ${schedule.time}`);
-            }
-          }
-        }
-      }
-    } catch (error) {
-      console.error('Error checking schedules:', error);
-    }
-  }, 60000); // Check every minute
+  restartTelegramBot().catch(error => console.error('Error starting Telegram bot:', error));
+  restartMqttBridge().catch(error => console.error('Error starting MQTT bridge:', error));
 
-  // Restore active timers on server restart
+  // Check schedules now, catching up on runs missed while the server was down, then every few seconds
+  // Time-of-day automation rules are checked along with them
+  const runSchedules = () => {
+    checkSchedules().catch(error => console.error('Error checking schedules:', error));
+    runAutomations({ type: 'time', settings: readScheduleSettings() });
+  };
   try {
-    const timerData = readJsonFile(TIMER_FILE);
-    const now = Date.now();
+    refreshNextRuns();
+    resetRuleStates();
+  } catch (error) {
+    console.error('Error preparing schedules:', error);
+  }
+  runSchedules();
+  setInterval(runSchedules, SCHEDULE_CHECK_MS);
 
-    for (const [nodeId, timer] of Object.entries(timerData.nodes || {})) {
-      const remainingTime = Math.ceil((timer.endTime - now) / 1000);
-      if (remainingTime > 0) {
-        startTimer(nodeId, remainingTime, timer.action);
-        console.log(`Restored timer for node ${nodeId}: ${remainingTime}s remaining`);
-      } else {
-        // Remove expired timer
-        delete timerData.nodes[nodeId];
-        console.log(`Removed expired timer for node ${nodeId}`);
-      }
-    }
-    writeJsonFile(TIMER_FILE, timerData);
+  // Restore timers on server restart
+  try {
+    restoreTimers();
   } catch (error) {
     console.error('Error restoring timers:', error);
   }
-  
-  // Continuous power threshold checker - runs every second
+
+  // Continuous presence and alert checker - runs every second so minimum durations elapse between readings
   setInterval(() => {
     try {
-      // Read current node data
-      const nodesData = readJsonFile(NODES_FILE);
-      if (!nodesData.nodes) return;
-      
-      const currentTime = Date.now();
-      
-      // Check each node for threshold exceedance
-      Object.entries(nodesData.nodes).forEach(async ([nodeId, node]) => {
-        // Skip nodes without threshold or power data
-        if (!node.threshold || node.power === undefined) return;
-        
-        // Check if power exceeds threshold
-        console.log(`Checking threshold for ${nodeId}: ${node.power}W vs ${node.threshold}W threshold (AutoCutoff: ${node.autoCutoff})`);
-        
-        // Check if the threshold is exceeded
-        if (node.power > node.threshold) {
-          // Get last alert time for this node (or 0 if first alert)
-          const lastAlertTime = alertCooldowns.get(nodeId) || 0;
-          
-          // Only send alert if cooldown period has passed
-          if (currentTime - lastAlertTime > ALERT_COOLDOWN) {
-            console.log(`THRESHOLD EXCEEDED: Node ${nodeId} - ${node.power}W > ${node.threshold}W (Sending alert)`);
-            
-            // Update the last alert time for this node
-            alertCooldowns.set(nodeId, currentTime);
-            
-            // Send WebSocket alert
-            broadcast({
-              type: 'threshold_alert',
-              nodeId,
-              power: node.power,
-              threshold: node.threshold
-            });
-            
-            // Send Telegram alert
-            const alertMessage = `⚠️ ALERT: Node ${nodeId}\nPower threshold exceeded!\nPower: ${node.power}W > Threshold: ${node.threshold}W`;
-            
-            fetch('https://api.telegram.org/bot7816437987:AAHgvClRcNCXGNU96g2aKvgTgRytN0aJHoE/sendMessage', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                chat_id: "1602500087",
-                text: alertMessage
-              })
-            })
-            .then(response => console.log(`Telegram alert sent: ${response.ok ? 'Success' : 'Failed'}`))
-            .catch(error => console.error('Telegram error:', error));
-          } else {
-            // Log that we're skipping the alert due to cooldown
-            const timeRemaining = Math.ceil((ALERT_COOLDOWN - (currentTime - lastAlertTime)) / 1000);
-            console.log(`THRESHOLD EXCEEDED: Node ${nodeId} - ${node.power}W > ${node.threshold}W (Alert cooldown: ${timeRemaining}s remaining)`);
-          }
-          
-          // Turn off relay if auto-cutoff is enabled (always do this regardless of alert cooldown)
-          if (node.autoCutoff) {
-            // Get current relay state
-            const relayData = readJsonFile(RELAY_FILE);
-            if (!relayData.nodes) relayData.nodes = {};
-            
-            // Only update the relay if it's not already off
-            if (!relayData.nodes[nodeId] || relayData.nodes[nodeId].state !== 'off') {
-              console.log(`AUTO-CUTOFF: Turning off relay for Node ${nodeId}`);
-              
-              relayData.nodes[nodeId] = {
-                state: 'off',
-                timestamp: currentTime
-              };
-              
-              writeJsonFile(RELAY_FILE, relayData);
-              console.log(`Relay state for ${nodeId} set to OFF due to threshold exceedance`);
-            }
-          }
-        }
-      });
+      const now = Date.now();
+      const nodes = db.nodes.all();
+      checkNodePresence(nodes, now);
+      checkRelayAcks(now);
+      for (const [nodeId, node] of Object.entries(nodes)) {
+        evaluateNodeAlerts(nodeId, node, now);
+      }
+      // Cycles end on time too, so an appliance that stops reporting still finishes its cycle
+      for (const [nodeId, record] of Object.entries(db.cycles.all())) {
+        if (record.current && nodes[nodeId]) checkCycles(nodeId, nodes[nodeId], now);
+      }
     } catch (error) {
-      console.error('Error in power threshold checker:', error);
+      console.error('Error in alert checker:', error);
     }
   }, 1000); // Check every second
 });
 
 // Update node name
-app.post('/api/nodes/:nodeId/name', (req, res) => {
+app.post('/api/nodes/:nodeId/name', requireAdmin, (req, res) => {
   try {
     const { nodeId } = req.params;
     const { name } = req.body;
@@ -995,18 +3121,13 @@ app.post('/api/nodes/:nodeId/name', (req, res) => {
       return res.status(400).json({ error: 'Name is required' });
     }
     
-    const nodesData = readJsonFile(NODES_FILE);
-    if (!nodesData.nodes || !nodesData.nodes[nodeId]) {
+    const node = db.nodes.update(nodeId, (node) => node && { ...node, name });
+    if (!node) {
       return res.status(404).json({ error: 'Node not found' });
     }
+    mqttBridge.publishDiscovery(bridge, nodeId, name);
     
-    nodesData.nodes[nodeId].name = name;
-    
-    if (writeJsonFile(NODES_FILE, nodesData)) {
-      res.json({ success: true, message: 'Node name updated successfully' });
-    } else {
-      res.status(500).json({ error: 'Failed to update node name' });
-    }
+    res.json({ success: true, message: 'Node name updated successfully' });
   } catch (error) {
     console.error('Error updating node name:', error);
     res.status(500).json({ error: 'Failed to update node name' });
@@ -0,0 +1,50 @@
+// Sunrise and sunset times, computed locally with the sunrise equation
+//
+// Accurate to within a minute or two away from the poles, which is plenty for
+// switching lights. Times are for the sun's upper edge crossing the horizon,
+// with the usual allowance for refraction.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UNIX_EPOCH_JULIAN = 2440587.5;
+const J2000 = 2451545;
+const OBLIQUITY = 23.4397;
+const HORIZON = -0.833; // degrees: refraction plus the sun's radius
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+function toTimestamp(julian) {
+  return Math.round((julian - UNIX_EPOCH_JULIAN) * DAY_MS);
+}
+
+// Sunrise and sunset around solar noon on a calendar date ({ year, month, day })
+// at latitude/longitude (degrees, east positive). Returns { sunrise, sunset } as
+// timestamps, or null for either when the sun doesn't rise or set that day.
+function sunTimes(date, latitude, longitude) {
+  const days = Math.round(Date.UTC(date.year, date.month - 1, date.day, 12) / DAY_MS + UNIX_EPOCH_JULIAN - J2000);
+  const meanNoon = days - longitude / 360;
+
+  const anomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+  const m = toRadians(anomaly);
+  const center = 1.9148 * Math.sin(m) + 0.02 * Math.sin(2 * m) + 0.0003 * Math.sin(3 * m);
+  const eclipticLongitude = toRadians((anomaly + center + 180 + 102.9372) % 360);
+  const transit = J2000 + meanNoon + 0.0053 * Math.sin(m) - 0.0069 * Math.sin(2 * eclipticLongitude);
+
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(toRadians(OBLIQUITY)));
+  const phi = toRadians(latitude);
+  const cosHourAngle = (Math.sin(toRadians(HORIZON)) - Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+
+  // Polar night or midnight sun
+  if (cosHourAngle > 1 || cosHourAngle < -1) return { sunrise: null, sunset: null };
+
+  const hourAngle = toDegrees(Math.acos(cosHourAngle));
+  return {
+    sunrise: toTimestamp(transit - hourAngle / 360),
+    sunset: toTimestamp(transit + hourAngle / 360)
+  };
+}
+
+module.exports = {
+  sunTimes
+};
@@ -0,0 +1,157 @@
+// Embedded SQLite store for node, relay, schedule, timer and settings state
+//
+// Each collection is a table of JSON documents keyed by id. better-sqlite3 is
+// synchronous, and every write runs in a transaction, so concurrent requests
+// can no longer overwrite each other's changes the way whole-file JSON rewrites did.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const COLLECTIONS = ['nodes', 'relays', 'schedules', 'timers', 'energy', 'settings', 'users', 'sessions', 'deviceKeys', 'channels', 'alerts', 'presence', 'groups', 'automations', 'circuits', 'idle', 'cycles'];
+
+// JSON files imported by the one-time migration, by collection
+const LEGACY_FILES = {
+  nodes: 'nodes.json',
+  relays: 'relay_command.json',
+  schedules: 'schedules.json',
+  timers: 'timers.json',
+  energy: 'energy.json'
+};
+
+// Whole-file settings documents imported into the settings collection
+const LEGACY_SETTINGS = {
+  tariff: 'tariff.json',
+  retention: 'retention.json'
+};
+
+let db = null;
+const collections = {};
+
+function createCollection(name) {
+  const statements = {
+    get: db.prepare(`SELECT value FROM ${name} WHERE id = ?`),
+    all: db.prepare(`SELECT id, value FROM ${name} ORDER BY rowid`),
+    set: db.prepare(`INSERT INTO ${name} (id, value) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET value = excluded.value`),
+    delete: db.prepare(`DELETE FROM ${name} WHERE id = ?`)
+  };
+
+  const collection = {
+    get(id) {
+      const row = statements.get.get(id);
+      return row ? JSON.parse(row.value) : undefined;
+    },
+
+    // All documents as an { id: value } object, in insertion order
+    all() {
+      const result = {};
+      for (const row of statements.all.all()) {
+        result[row.id] = JSON.parse(row.value);
+      }
+      return result;
+    },
+
+    has(id) {
+      return statements.get.get(id) !== undefined;
+    },
+
+    set(id, value) {
+      statements.set.run(id, JSON.stringify(value));
+      return value;
+    },
+
+    // Read-modify-write in one transaction. updater receives the current value
+    // (or undefined) and returns the new one; returning undefined deletes it.
+    update(id, updater) {
+      return transaction(() => {
+        const next = updater(collection.get(id));
+        if (next === undefined) {
+          statements.delete.run(id);
+        } else {
+          collection.set(id, next);
+        }
+        return next;
+      });
+    },
+
+    delete(id) {
+      return statements.delete.run(id).changes > 0;
+    }
+  };
+
+  return collection;
+}
+
+// Run fn inside a transaction; nested calls join the outer transaction
+function transaction(fn) {
+  if (db.inTransaction) return fn();
+  return db.transaction(fn)();
+}
+
+function readLegacyFile(filePath) {
+  try {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    console.error(`Error reading ${filePath} for migration:`, error);
+    return null;
+  }
+}
+
+// Import the JSON files used before the store existed. Runs once per database.
+function migrateLegacyFiles(dataDir) {
+  const meta = db.prepare('SELECT value FROM meta WHERE key = ?');
+  if (meta.get('migratedAt')) return false;
+
+  transaction(() => {
+    for (const [name, file] of Object.entries(LEGACY_FILES)) {
+      const data = readLegacyFile(path.join(dataDir, file));
+      for (const [id, value] of Object.entries(data?.nodes || {})) {
+        collections[name].set(id, value);
+      }
+      if (data) console.log(`Migrated ${Object.keys(data.nodes || {}).length} ${name} record(s) from ${file}`);
+    }
+
+    for (const [key, file] of Object.entries(LEGACY_SETTINGS)) {
+      const data = readLegacyFile(path.join(dataDir, file));
+      if (data) {
+        collections.settings.set(key, data);
+        console.log(`Migrated ${key} settings from ${file}`);
+      }
+    }
+
+    db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)').run('migratedAt', new Date().toISOString());
+  });
+
+  return true;
+}
+
+// Open (or create) the database and run the legacy migration if needed
+function open(dbFile, dataDir) {
+  db = new Database(dbFile);
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+
+  db.exec('CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)');
+  for (const name of COLLECTIONS) {
+    db.exec(`CREATE TABLE IF NOT EXISTS ${name} (id TEXT PRIMARY KEY, value TEXT NOT NULL)`);
+    collections[name] = createCollection(name);
+  }
+
+  migrateLegacyFiles(dataDir);
+  return collections;
+}
+
+function close() {
+  if (db) {
+    db.close();
+    db = null;
+  }
+}
+
+module.exports = {
+  open,
+  close,
+  transaction,
+  collections
+};
@@ -0,0 +1,244 @@
+// Electricity tariff model and cost calculations
+
+const energy = require('./energy');
+
+const TARIFF_TYPES = ['flat', 'tou', 'tiered'];
+
+const DEFAULT_TARIFF = {
+  currency: 'INR',
+  type: 'flat',
+  flatRate: 0, // per kWh
+  fixedDailyCharge: 0,
+  billingCycleStartDay: 1,
+  // Time-of-use bands: { days: [0-6], start: 'HH:mm', end: 'HH:mm', rate }
+  touBands: [],
+  // Slabs by kWh used in the billing cycle: { upToKwh, rate }, last slab may omit upToKwh
+  tiers: []
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes !== 0)) return null;
+  return hours * 60 + minutes;
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && isFinite(value) && value >= 0;
+}
+
+// Validate a tariff sent by the dashboard. Returns { tariff } or { error }.
+function validateTariff(input) {
+  const tariff = { ...DEFAULT_TARIFF, ...input };
+
+  if (!TARIFF_TYPES.includes(tariff.type)) {
+    return { error: `Tariff type must be one of: ${TARIFF_TYPES.join(', ')}` };
+  }
+  if (typeof tariff.currency !== 'string' || !tariff.currency.trim()) {
+    return { error: 'Currency is required' };
+  }
+  if (!isNonNegativeNumber(tariff.flatRate) || !isNonNegativeNumber(tariff.fixedDailyCharge)) {
+    return { error: 'Rates and charges must be non-negative numbers' };
+  }
+
+  const startDay = tariff.billingCycleStartDay;
+  if (!Number.isInteger(startDay) || startDay < 1 || startDay > 28) {
+    return { error: 'Billing cycle start day must be between 1 and 28' };
+  }
+
+  if (!Array.isArray(tariff.touBands) || !Array.isArray(tariff.tiers)) {
+    return { error: 'touBands and tiers must be arrays' };
+  }
+
+  for (const band of tariff.touBands) {
+    if (parseTime(band.start) === null || parseTime(band.end) === null) {
+      return { error: 'Time-of-use bands need start and end times in HH:mm' };
+    }
+    if (!isNonNegativeNumber(band.rate)) {
+      return { error: 'Time-of-use band rates must be non-negative numbers' };
+    }
+    if (band.days !== undefined &&
+        (!Array.isArray(band.days) || band.days.some(day => !Number.isInteger(day) || day < 0 || day > 6))) {
+      return { error: 'Time-of-use band days must be weekday numbers 0-6' };
+    }
+  }
+
+  let previousLimit = 0;
+  for (let i = 0; i < tariff.tiers.length; i++) {
+    const tier = tariff.tiers[i];
+    if (!isNonNegativeNumber(tier.rate)) {
+      return { error: 'Tier rates must be non-negative numbers' };
+    }
+    if (tier.upToKwh === undefined || tier.upToKwh === null) {
+      if (i !== tariff.tiers.length - 1) {
+        return { error: 'Only the last tier may be open-ended' };
+      }
+    } else if (!isNonNegativeNumber(tier.upToKwh) || tier.upToKwh <= previousLimit) {
+      return { error: 'Tier limits must be increasing' };
+    } else {
+      previousLimit = tier.upToKwh;
+    }
+  }
+
+  if (tariff.type === 'tou' && tariff.touBands.length === 0) {
+    return { error: 'Time-of-use tariff needs at least one band' };
+  }
+  if (tariff.type === 'tiered' && tariff.tiers.length === 0) {
+    return { error: 'Tiered tariff needs at least one tier' };
+  }
+
+  tariff.currency = tariff.currency.trim().toUpperCase();
+  return { tariff };
+}
+
+function bandMatches(band, date) {
+  if (Array.isArray(band.days) && band.days.length > 0 && !band.days.includes(date.getDay())) {
+    return false;
+  }
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const start = parseTime(band.start);
+  const end = parseTime(band.end);
+
+  // Bands such as 22:00-06:00 wrap past midnight
+  return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+// Price per kWh at the given moment. cycleKwh is the fleet's usage so far in
+// the billing cycle and is only needed for tiered tariffs.
+function getRate(tariff, date, cycleKwh = 0) {
+  if (tariff.type === 'tou') {
+    const band = tariff.touBands.find(b => bandMatches(b, date));
+    return band ? band.rate : tariff.flatRate;
+  }
+
+  if (tariff.type === 'tiered') {
+    const tier = tariff.tiers.find(t => t.upToKwh === undefined || t.upToKwh === null || cycleKwh < t.upToKwh);
+    return tier ? tier.rate : tariff.tiers[tariff.tiers.length - 1].rate;
+  }
+
+  return tariff.flatRate;
+}
+
+// Start (inclusive) and end (exclusive) of the billing cycle containing now
+function getCycleBounds(tariff, now = new Date()) {
+  const startDay = tariff.billingCycleStartDay || 1;
+  let start = new Date(now.getFullYear(), now.getMonth(), startDay);
+  if (now.getDate() < startDay) {
+    start = new Date(now.getFullYear(), now.getMonth() - 1, startDay);
+  }
+  const end = new Date(start.getFullYear(), start.getMonth() + 1, startDay);
+  return { start, end };
+}
+
+// Day keys (see energy.dayKey) from start up to and including `until`
+function cycleDayKeys(start, until) {
+  const keys = [];
+  const day = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+  while (day <= until) {
+    keys.push(energy.dayKey(day));
+    day.setDate(day.getDate() + 1);
+  }
+  return keys;
+}
+
+// kWh used in the current billing cycle across all the given energy records
+function getCycleKwh(tariff, records, now = new Date()) {
+  const { start } = getCycleBounds(tariff, now);
+  const keys = cycleDayKeys(start, now);
+  let wh = 0;
+  for (const record of records) {
+    for (const key of keys) {
+      wh += record.daily?.[key] || 0;
+    }
+  }
+  return wh / 1000;
+}
+
+// Price an energy delta and add it to the record's daily cost rollup
+function accrueCost(record, deltaWh, timestamp, tariff, cycleKwh) {
+  if (!deltaWh) return 0;
+  const date = new Date(timestamp);
+  const cost = (deltaWh / 1000) * getRate(tariff, date, cycleKwh);
+
+  if (!record.costDaily) record.costDaily = {};
+  const day = energy.dayKey(date);
+  record.costDaily[day] = (record.costDaily[day] || 0) + cost;
+
+  // Keep as many days of cost as of energy
+  const keys = Object.keys(record.costDaily).sort();
+  keys.slice(0, Math.max(0, keys.length - 400)).forEach(key => delete record.costDaily[key]);
+
+  return cost;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Cost summary for one or more energy records. Fixed daily charges are only
+// added when includeFixed is set, since they belong to the whole meter.
+function getCostSummary(tariff, records, { includeFixed = false, now = new Date() } = {}) {
+  const { start, end } = getCycleBounds(tariff, now);
+  const todayKey = energy.dayKey(now);
+  const keys = cycleDayKeys(start, now);
+
+  let today = 0;
+  let cycle = 0;
+  let cycleWh = 0;
+  for (const record of records) {
+    today += record.costDaily?.[todayKey] || 0;
+    for (const key of keys) {
+      cycle += record.costDaily?.[key] || 0;
+      cycleWh += record.daily?.[key] || 0;
+    }
+  }
+
+  const cycleDays = Math.round((end - start) / DAY_MS);
+  const elapsedFraction = Math.min(1, Math.max((now - start) / (end - start), 1 / (cycleDays * 24)));
+  let projected = cycle / elapsedFraction;
+
+  const fixed = {
+    today: 0,
+    cycle: 0,
+    projected: 0
+  };
+  if (includeFixed) {
+    fixed.today = tariff.fixedDailyCharge;
+    fixed.cycle = tariff.fixedDailyCharge * keys.length;
+    fixed.projected = tariff.fixedDailyCharge * cycleDays;
+    today += fixed.today;
+    cycle += fixed.cycle;
+    projected += fixed.projected;
+  }
+
+  return {
+    currency: tariff.currency,
+    today: roundMoney(today),
+    cycle: {
+      start: start.toISOString(),
+      end: end.toISOString(),
+      energyKwh: Math.round(cycleWh * 10) / 10000,
+      cost: roundMoney(cycle)
+    },
+    projectedCycleTotal: roundMoney(projected),
+    fixedCharges: {
+      today: roundMoney(fixed.today),
+      cycle: roundMoney(fixed.cycle),
+      projected: roundMoney(fixed.projected)
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_TARIFF,
+  validateTariff,
+  getRate,
+  getCycleBounds,
+  getCycleKwh,
+  accrueCost,
+  getCostSummary
+};
@@ -0,0 +1,242 @@
+// Telegram bot commands for remote status and control
+//
+// The bot only answers chats listed in its settings. Each chat has a role, using
+// the same viewer/operator levels as dashboard users: viewers can read status,
+// operators can also switch relays and start timers.
+
+const TelegramBot = require('node-telegram-bot-api');
+const auth = require('./auth');
+const scheduler = require('./schedule');
+
+const HELP_TEXT = [
+  'Commands:',
+  '/status - all nodes with live power (or offline) and relay state',
+  '/on <node> and /off <node> - switch a relay',
+  '/timer <node> <duration> <on|off> - e.g. /timer esp1 30m off',
+  '/schedules <node> - list schedules',
+  '/energy - today\'s usage',
+  '/chatid - show this chat\'s ID'
+].join('\n');
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600 };
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  channelId: null, // Telegram notification channel whose bot token is used
+  chats: [] // [{ chatId, role }] allowed to send commands
+};
+
+// Validate bot settings from the API against the configured notification channels.
+// Returns { settings } or { error }.
+function validateSettings(input, channels) {
+  const settings = { ...DEFAULT_SETTINGS, ...input };
+  settings.enabled = Boolean(settings.enabled);
+
+  if (settings.enabled) {
+    const channel = channels[settings.channelId];
+    if (!channel || channel.type !== 'telegram') {
+      return { error: 'channelId must be a Telegram notification channel' };
+    }
+  }
+
+  if (!Array.isArray(settings.chats)) {
+    return { error: 'chats must be a list of { chatId, role }' };
+  }
+  const chats = [];
+  for (const chat of settings.chats) {
+    const chatId = String(chat?.chatId ?? '').trim();
+    if (!/^-?\d+$/.test(chatId)) {
+      return { error: `Invalid chat ID: ${chat?.chatId}` };
+    }
+    if (!['viewer', 'operator'].includes(chat.role)) {
+      return { error: 'Chat role must be viewer or operator' };
+    }
+    chats.push({ chatId, role: chat.role });
+  }
+
+  return { settings: { enabled: settings.enabled, channelId: settings.channelId || null, chats } };
+}
+
+// "45s", "30m", "2h" or a bare number of minutes, in seconds. null if invalid.
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)([smh]?)$/i.exec(text || '');
+  if (!match) return null;
+  const seconds = Math.round(parseFloat(match[1]) * DURATION_UNITS[(match[2] || 'm').toLowerCase()]);
+  return seconds >= 1 ? seconds : null;
+}
+
+function formatDuration(seconds) {
+  if (seconds % 3600 === 0) return `${seconds / 3600}h`;
+  if (seconds % 60 === 0) return `${seconds / 60}m`;
+  return `${seconds}s`;
+}
+
+function relayKeyboard(nodeIds) {
+  return {
+    inline_keyboard: nodeIds.map(nodeId => [
+      { text: `${nodeId} ON`, callback_data: `relay:${nodeId}:on` },
+      { text: `${nodeId} OFF`, callback_data: `relay:${nodeId}:off` }
+    ])
+  };
+}
+
+// Start polling for commands. handlers supplies the server's data and actions:
+//   getChatRole(chatId)              role for an authorised chat, otherwise null
+//   listNodes()                      [{ nodeId, name, power, online, relay }]
+//   setRelay(nodeId, state)          same path as the dashboard's relay control; resolves to true on success
+//   startTimer(nodeId, seconds, action)  adds a timer; resolves to an error message, or null once started
+//   getSchedules(nodeId)             list of schedules, or null for an unknown node
+//   getEnergyToday()                 { totalKwh, cost, currency, nodes: [{ nodeId, kwh }] }
+function startBot(token, handlers) {
+  const bot = new TelegramBot(token, { polling: true });
+
+  const reply = (chatId, text, options) => bot.sendMessage(chatId, text, options)
+    .catch(error => console.error('Failed to send Telegram reply:', error.message));
+
+  // Resolve the chat's role and check it's high enough; replies with the reason when not
+  const authorise = (chatId, role) => {
+    const chatRole = handlers.getChatRole(String(chatId));
+    if (!chatRole) {
+      reply(chatId, `This chat is not authorised. Ask an admin to add chat ID ${chatId}.`);
+      return false;
+    }
+    if (!auth.hasRole({ role: chatRole }, role)) {
+      reply(chatId, `This command requires the ${role} role.`);
+      return false;
+    }
+    return true;
+  };
+
+  const nodeExists = (chatId, nodeId) => {
+    if (handlers.listNodes().some(node => node.nodeId === nodeId)) return true;
+    reply(chatId, nodeId ? `Unknown node ${nodeId}.` : 'Please give a node ID.');
+    return false;
+  };
+
+  const switchRelay = async (chatId, nodeId, state) => {
+    if (!nodeExists(chatId, nodeId)) return;
+    const success = await handlers.setRelay(nodeId, state);
+    reply(chatId, success ? `Relay for ${nodeId} turned ${state.toUpperCase()}.` : `Failed to switch ${nodeId}.`);
+  };
+
+  const commands = {
+    start: { role: 'viewer', run: (chatId) => reply(chatId, HELP_TEXT) },
+    help: { role: 'viewer', run: (chatId) => reply(chatId, HELP_TEXT) },
+
+    status: {
+      role: 'viewer',
+      run: (chatId) => {
+        const nodes = handlers.listNodes();
+        if (nodes.length === 0) return reply(chatId, 'No nodes registered.');
+
+        const lines = nodes.map(node => node.online === false
+          ? `${node.name} (${node.nodeId}): OFFLINE, relay ${(node.relay || 'off').toUpperCase()}`
+          : `${node.name} (${node.nodeId}): ${(node.power || 0).toFixed(1)} W, relay ${(node.relay || 'off').toUpperCase()}`);
+        const canOperate = auth.hasRole({ role: handlers.getChatRole(String(chatId)) }, 'operator');
+        reply(chatId, lines.join('\n'), canOperate ? { reply_markup: relayKeyboard(nodes.map(node => node.nodeId)) } : undefined);
+      }
+    },
+
+    on: { role: 'operator', run: (chatId, [nodeId]) => switchRelay(chatId, nodeId, 'on') },
+    off: { role: 'operator', run: (chatId, [nodeId]) => switchRelay(chatId, nodeId, 'off') },
+
+    timer: {
+      role: 'operator',
+      run: async (chatId, [nodeId, durationText, action]) => {
+        const seconds = parseDuration(durationText);
+        if (!seconds || !['on', 'off'].includes(action)) {
+          return reply(chatId, 'Usage: /timer <node> <duration> <on|off>, e.g. /timer esp1 30m off');
+        }
+        if (!nodeExists(chatId, nodeId)) return;
+
+        const error = await handlers.startTimer(nodeId, seconds, action);
+        if (error) return reply(chatId, error);
+        reply(chatId, `Timer set: ${nodeId} turns ${action.toUpperCase()} in ${formatDuration(seconds)}.`);
+      }
+    },
+
+    schedules: {
+      role: 'viewer',
+      run: (chatId, [nodeId]) => {
+        if (!nodeExists(chatId, nodeId)) return;
+        const schedules = handlers.getSchedules(nodeId) || [];
+        if (schedules.length === 0) return reply(chatId, `No schedules for ${nodeId}.`);
+
+        reply(chatId, schedules.map(schedule =>
+          `${scheduler.describeSchedule(schedule)} - turn ${schedule.action.toUpperCase()}` +
+          (!schedule.enabled ? ' (disabled)' : schedule.nextRun ? `, next ${new Date(schedule.nextRun).toLocaleString()}` : ' (done)')).join('\n'));
+      }
+    },
+
+    energy: {
+      role: 'viewer',
+      run: (chatId) => {
+        const usage = handlers.getEnergyToday();
+        const lines = usage.nodes.map(node => `${node.nodeId}: ${node.kwh.toFixed(3)} kWh`);
+        lines.push(`Total today: ${usage.totalKwh.toFixed(3)} kWh (${usage.cost.toFixed(2)} ${usage.currency})`);
+        reply(chatId, lines.join('\n'));
+      }
+    }
+  };
+
+  bot.on('message', async (message) => {
+    const chatId = message.chat.id;
+    const [commandText, ...args] = (message.text || '').trim().split(/\s+/);
+    if (!commandText.startsWith('/')) return;
+
+    // Strip the /command@BotName suffix Telegram adds in groups
+    const name = commandText.slice(1).split('@')[0].toLowerCase();
+
+    // Always answered, so an admin can find the ID to authorise
+    if (name === 'chatid') return reply(chatId, `This chat's ID is ${chatId}.`);
+
+    const command = commands[name];
+    if (!command) return reply(chatId, `Unknown command. ${HELP_TEXT}`);
+    if (!authorise(chatId, command.role)) return;
+
+    try {
+      console.log(`Telegram command from chat ${chatId}: ${message.text}`);
+      await command.run(chatId, args);
+    } catch (error) {
+      console.error(`Error handling Telegram command ${message.text}:`, error);
+      reply(chatId, 'Something went wrong running that command.');
+    }
+  });
+
+  // Inline ON/OFF buttons from /status
+  bot.on('callback_query', async (query) => {
+    const chatId = query.message && query.message.chat.id;
+    const [kind, nodeId, state] = (query.data || '').split(':');
+    bot.answerCallbackQuery(query.id).catch(() => {});
+
+    if (!chatId || kind !== 'relay' || !['on', 'off'].includes(state)) return;
+    if (!authorise(chatId, 'operator')) return;
+
+    try {
+      console.log(`Telegram button from chat ${chatId}: ${nodeId} ${state}`);
+      await switchRelay(chatId, nodeId, state);
+    } catch (error) {
+      console.error('Error handling Telegram button:', error);
+    }
+  });
+
+  bot.on('polling_error', (error) => {
+    console.error('Telegram polling error:', error.message);
+  });
+
+  return bot;
+}
+
+function stopBot(bot) {
+  return bot.stopPolling({ cancel: true }).catch(error => {
+    console.error('Error stopping Telegram bot:', error.message);
+  });
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  validateSettings,
+  parseDuration,
+  startBot,
+  stopBot
+};
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const alerts = require('../alerts');
+
+function rule(input) {
+  return { id: 'r1', ...alerts.validateRule(input).rule };
+}
+
+// Feed readings one second apart through evaluateRule, tracking the alert state
+// the way the server does. Returns the action taken for each reading.
+function run(r, values, start = 0) {
+  let active = false;
+  let pendingSince = null;
+  return values.map((value, i) => {
+    const result = alerts.evaluateRule(r, value, { active, pendingSince, now: start + i * 1000 });
+    pendingSince = result.pendingSince;
+    if (result.action === 'raise') active = true;
+    if (result.action === 'clear') active = false;
+    return result.action;
+  });
+}
+
+test('validateRule checks the metric, condition, values and actions', () => {
+  assert.match(alerts.validateRule({ metric: 'frequency', condition: 'above', value: 1 }).error, /metric/);
+  assert.match(alerts.validateRule({ condition: 'sideways', value: 1 }).error, /condition/);
+  assert.match(alerts.validateRule({ condition: 'rate', value: 0 }).error, /above 0/);
+  assert.match(alerts.validateRule({ condition: 'above', value: 100, clearValue: 120 }).error, /must not be above/);
+  assert.match(alerts.validateRule({ condition: 'below', value: 200, clearValue: 190 }).error, /must not be below/);
+  assert.match(alerts.validateRule({ condition: 'above', value: 1, actions: [] }).error, /actions/);
+  assert.match(alerts.validateRule({ metric: 'power', condition: 'below', value: 5, actions: ['cutoff'] }).error, /cutoff/);
+  assert.match(alerts.validateRule({ metric: 'current', condition: 'below', value: 0.1, actions: ['notify', 'cutoff'] }).error, /cutoff/);
+  assert.equal(alerts.validateRule({ metric: 'voltage', condition: 'below', value: 200, actions: ['cutoff'] }).error, undefined);
+
+  assert.deepEqual(alerts.validateRule({ condition: 'above', value: 100, actions: ['notify', 'notify'] }).rule.actions, ['notify']);
+});
+
+test('an alert clears only once the reading passes the clear value', () => {
+  const r = rule({ condition: 'above', value: 1000, clearValue: 900 });
+  // Hovering between the clear value and the limit doesn't flap
+  assert.deepEqual(run(r, [1100, 950, 1050, 950, 900, 1001]), ['raise', null, null, null, 'clear', 'raise']);
+});
+
+test('without a clear value the limit itself clears the alert', () => {
+  const r = rule({ condition: 'below', value: 200 });
+  assert.deepEqual(run(r, [210, 190, 199, 200]), [null, 'raise', null, 'clear']);
+});
+
+test('an alert is raised only after the breach lasts the rule duration', () => {
+  const r = rule({ condition: 'above', value: 1000, duration: 3 });
+  assert.deepEqual(run(r, [1100, 1100, 1100, 1100, 1100]), [null, null, null, 'raise', null]);
+
+  // A dip back under the limit restarts the wait
+  assert.deepEqual(run(r, [1100, 1100, 900, 1100, 1100, 1100, 1100]), [null, null, null, null, null, null, 'raise']);
+});
+
+test('rate rules measure the change per second since the previous reading', () => {
+  const r = rule({ metric: 'power', condition: 'rate', value: 100 });
+  assert.equal(alerts.measure(r, { power: 500, timestamp: 2000 }, { power: 100, timestamp: 0 }), 200);
+  assert.equal(alerts.measure(r, { power: 500, timestamp: 2000 }, null), null);
+  assert.equal(alerts.measure(r, { power: 500, timestamp: 2000 }, { power: 100, timestamp: 2000 }), null);
+});
+
+test('the node threshold acts as a built-in power rule', () => {
+  assert.equal(alerts.thresholdRule({ threshold: null }), null);
+  const r = alerts.thresholdRule({ threshold: 2000, clearThreshold: 1800, minDuration: 5, autoCutoff: true });
+  assert.equal(r.id, alerts.THRESHOLD_RULE_ID);
+  assert.equal(r.severity, 'critical');
+  assert.deepEqual(r.actions, ['notify', 'cutoff']);
+
+  const alert = alerts.createAlert({ nodeId: 'esp1', rule: r, value: 2500, now: 1 });
+  assert.equal(alert.message, 'Power threshold exceeded!\nPower: 2500W > Threshold: 2000W');
+  assert.equal(alert.clearThreshold, 1800);
+});
+
+test('acknowledging keeps a cleared alert cleared', () => {
+  const r = rule({ condition: 'above', value: 10 });
+  const raised = alerts.createAlert({ nodeId: 'esp1', rule: r, value: 12, now: 1 });
+  assert.equal(alerts.acknowledgeAlert(raised, 'alice', 2).state, 'acknowledged');
+
+  const cleared = alerts.clearAlert(raised, 5, 3);
+  const acknowledged = alerts.acknowledgeAlert(cleared, 'alice', 4);
+  assert.equal(acknowledged.state, 'cleared');
+  assert.equal(acknowledged.acknowledgedBy, 'alice');
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const store = require('../store');
+const auth = require('../auth');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+store.open(path.join(dir, 'test.db'), dir);
+test.after(() => {
+  store.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function request(headers = {}, params = {}) {
+  return { headers, params };
+}
+
+// Runs Express-style middleware and reports { status, body } or { next: true }
+function run(middleware, req) {
+  let result = null;
+  const res = {
+    status(code) {
+      return { json: (body) => { result = { status: code, body }; } };
+    }
+  };
+  middleware(req, res, () => { result = { next: true }; });
+  return result;
+}
+
+// Runs first, while there are no users yet
+test('the first admin password is written to a private file, not logged', (t) => {
+  delete process.env.ADMIN_USERNAME;
+  delete process.env.ADMIN_PASSWORD;
+  const passwordFile = path.join(dir, 'admin-password.txt');
+  const logged = [];
+  t.mock.method(console, 'log', (...args) => logged.push(args.join(' ')));
+
+  assert.equal(auth.ensureAdminUser(passwordFile), 'admin');
+  const password = fs.readFileSync(passwordFile, 'utf8').trim();
+  assert.equal(auth.checkCredentials('admin', password).role, 'admin');
+  assert.equal(fs.statSync(passwordFile).mode & 0o777, 0o600);
+  assert.ok(logged.some(line => line.includes(passwordFile)));
+  assert.ok(logged.every(line => !line.includes(password)));
+
+  // Only when there are no users
+  assert.equal(auth.ensureAdminUser(passwordFile), null);
+});
+
+test('validateUser checks usernames, passwords and roles', () => {
+  assert.equal(auth.validateUser({ username: 'alice', password: 'long enough', role: 'viewer' }), null);
+  assert.match(auth.validateUser({ username: 'a', password: 'long enough' }), /Username/);
+  assert.match(auth.validateUser({ username: 'alice', password: 'short' }), /at least 8/);
+  assert.match(auth.validateUser({ username: 'alice', password: 'long enough', role: 'root' }), /Role/);
+  assert.equal(auth.validateUser({ role: 'admin' }, { requirePassword: false }), null);
+});
+
+test('credentials are checked against the stored hash', () => {
+  auth.createUser('alice', 'correct horse', 'operator');
+  assert.deepEqual(auth.checkCredentials('alice', 'correct horse').role, 'operator');
+  assert.equal(auth.checkCredentials('alice', 'wrong horse'), null);
+  assert.equal(auth.checkCredentials('nobody', 'correct horse'), null);
+  assert.equal(auth.checkCredentials({}, 'correct horse'), null);
+});
+
+test('sessions authenticate requests until destroyed', () => {
+  auth.createUser('bob', 'password123', 'viewer');
+  const token = auth.createSession('bob');
+  const req = request({ cookie: `theme=dark; session=${token}` });
+  assert.equal(auth.authenticate(req).username, 'bob');
+
+  auth.destroySession(token);
+  assert.equal(auth.authenticate(req), null);
+});
+
+test('changing a password signs the user out everywhere', () => {
+  auth.createUser('carol', 'password123', 'viewer');
+  const token = auth.createSession('carol');
+  auth.updateUser('carol', { password: 'another password' });
+  assert.equal(auth.authenticate(request({ cookie: `session=${token}` })), null);
+});
+
+test('a malformed cookie from another app does not break authentication', () => {
+  auth.createUser('dave', 'password123', 'viewer');
+  const token = auth.createSession('dave');
+
+  const req = request({ cookie: `foo=%E0%A4%A; session=${token}` });
+  assert.equal(auth.getSessionToken(req), token);
+  assert.equal(auth.authenticate(req).username, 'dave');
+
+  // Signed out, it's still a 401 rather than an exception
+  assert.deepEqual(run(auth.requireRole('viewer'), request({ cookie: 'foo=%E0%A4%A' })), {
+    status: 401,
+    body: { error: 'Authentication required' }
+  });
+});
+
+test('requireRole lets in users with the role or a higher one', () => {
+  auth.createUser('erin', 'password123', 'operator');
+  const cookie = `session=${auth.createSession('erin')}`;
+  assert.deepEqual(run(auth.requireRole('viewer'), request({ cookie })), { next: true });
+  assert.deepEqual(run(auth.requireRole('operator'), request({ cookie })), { next: true });
+  assert.equal(run(auth.requireRole('admin'), request({ cookie })).status, 403);
+  assert.equal(run(auth.requireRole('viewer'), request()).status, 401);
+});
+
+test('device keys only work for their own node and stop working when revoked', () => {
+  const key = auth.issueDeviceKey('esp1');
+  assert.deepEqual(run(auth.requireDevice, request({ 'x-device-key': key }, { nodeId: 'esp1' })), { next: true });
+  assert.equal(run(auth.requireDevice, request({ 'x-device-key': key }, { nodeId: 'esp2' })).status, 401);
+  assert.equal(run(auth.requireDevice, request({}, { nodeId: 'esp1' })).status, 401);
+
+  // Rotating replaces the old key
+  const rotated = auth.issueDeviceKey('esp1');
+  assert.equal(auth.authenticateDevice(request({ 'x-device-key': key }), 'esp1'), false);
+  assert.equal(auth.authenticateDevice(request({ 'x-device-key': rotated }), 'esp1'), true);
+
+  auth.revokeDeviceKey('esp1');
+  assert.deepEqual(auth.getDeviceKeyStatus('esp1'), { active: false, issuedAt: null });
+});
+
+test('requireTokenOrRole accepts the bearer token or a signed-in user', () => {
+  const middleware = auth.requireTokenOrRole('scrape-token', 'viewer');
+  assert.deepEqual(run(middleware, request({ authorization: 'Bearer scrape-token' })), { next: true });
+  assert.equal(run(middleware, request({ authorization: 'Bearer wrong' })).status, 401);
+  assert.equal(run(middleware, request()).status, 401);
+
+  // Without a configured token, bearer requests are refused
+  assert.equal(run(auth.requireTokenOrRole(undefined, 'viewer'), request({ authorization: 'Bearer anything' })).status, 401);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const automation = require('../automation');
+
+const NODES = ['esp3', 'esp4'];
+
+function validRule(input) {
+  return automation.validateRule({ name: 'Washing done', actions: [{ type: 'notify', message: 'Done' }], ...input }, {}, NODES);
+}
+
+const washer = {
+  type: 'reading',
+  nodeId: 'esp3',
+  metric: 'power',
+  condition: 'below',
+  value: 5,
+  duration: 180
+};
+
+test('validateRule checks the trigger, conditions and actions', () => {
+  assert.match(validRule({ name: '' }).error, /name/);
+  assert.match(validRule({ trigger: { type: 'sunrise' } }).error, /trigger type/);
+  assert.match(validRule({ trigger: { ...washer, nodeId: 'esp9' } }).error, /unknown node esp9/);
+  assert.match(validRule({ trigger: { ...washer, duration: -1 } }).error, /duration/);
+  assert.match(validRule({ trigger: { type: 'time', time: '7:00' } }).error, /trigger: time must be HH:mm/);
+  assert.match(validRule({ trigger: washer, conditions: [{ type: 'time', after: 'late' }] }).error, /condition 1: after/);
+  assert.match(validRule({ trigger: washer, actions: [] }).error, /actions/);
+  assert.match(validRule({ trigger: washer, actions: [{ type: 'timer', nodeId: 'esp4', timer: { type: 'pulse' } }] }).error, /action 1: duration/);
+});
+
+test('a valid rule is cleaned up and lists the nodes it mentions', () => {
+  const { rule } = validRule({
+    name: '  Washing done ',
+    trigger: { ...washer, extra: true },
+    conditions: [{ type: 'time', after: '08:00', before: '22:00', days: [0, 1, 2, 3, 4, 5, 6] }],
+    actions: [{ type: 'notify', message: ' Done ' }, { type: 'relay', nodeId: 'esp4', state: 'off' }]
+  });
+  assert.deepEqual(rule, {
+    name: 'Washing done',
+    enabled: true,
+    trigger: washer,
+    conditions: [{ type: 'time', after: '08:00', before: '22:00', days: [] }],
+    actions: [{ type: 'notify', message: 'Done', severity: 'info' }, { type: 'relay', nodeId: 'esp4', state: 'off' }],
+    lastFired: null
+  });
+  assert.deepEqual(automation.nodesOf(rule), ['esp3', 'esp4']);
+  assert.equal(automation.describeRule(rule), 'When esp3 power below 5 W for 180s if after 08:00 and before 22:00 every day: notify "Done", turn esp4 off');
+});
+
+test('a reading trigger fires once the reading has held for its duration, then rearms', () => {
+  let state = automation.initialState(washer, 0);
+  const step = (power, seconds) => {
+    const result = automation.stepTrigger(washer, state, { type: 'reading', nodeId: 'esp3', reading: { power } }, seconds * 1000);
+    state = result.state;
+    return result.fire;
+  };
+
+  assert.deepEqual([step(3, 0), step(2, 100), step(4, 180), step(1, 300)], [false, false, true, false]);
+  // Back above the limit rearms it
+  assert.deepEqual([step(500, 400), step(3, 500), step(3, 680)], [false, false, true]);
+
+  assert.equal(automation.stepTrigger(washer, state, { type: 'reading', nodeId: 'esp4', reading: { power: 1 } }, 0), null);
+  assert.equal(automation.stepTrigger(washer, state, { type: 'relay', nodeId: 'esp3', state: 'on' }, 0), null);
+});
+
+test('relay switches made by rules don\'t trigger rules', () => {
+  const trigger = { type: 'relay', nodeId: 'esp4', state: 'off' };
+  assert.equal(automation.stepTrigger(trigger, {}, { type: 'relay', nodeId: 'esp4', state: 'off', source: 'user' }, 0).fire, true);
+  assert.equal(automation.stepTrigger(trigger, {}, { type: 'relay', nodeId: 'esp4', state: 'on', source: 'user' }, 0).fire, false);
+  assert.equal(automation.stepTrigger(trigger, {}, { type: 'relay', nodeId: 'esp4', state: 'off', source: 'rule' }, 0).fire, false);
+});
+
+test('time triggers fire when their next run has passed', () => {
+  const settings = { timezone: 'UTC' };
+  const trigger = { type: 'time', time: '07:00', days: [] };
+  const state = automation.initialState(trigger, Date.UTC(2025, 0, 6, 6), settings);
+  assert.equal(state.nextRun, Date.UTC(2025, 0, 6, 7));
+
+  assert.equal(automation.stepTrigger(trigger, state, { type: 'time', settings }, Date.UTC(2025, 0, 6, 6, 59)), null);
+  const fired = automation.stepTrigger(trigger, state, { type: 'time', settings }, Date.UTC(2025, 0, 6, 7));
+  assert.equal(fired.fire, true);
+  assert.equal(fired.state.nextRun, Date.UTC(2025, 0, 7, 7));
+});
+
+test('checkConditions reports whether each condition holds and why', () => {
+  const { rule } = validRule({
+    trigger: washer,
+    conditions: [
+      { type: 'reading', nodeId: 'esp4', metric: 'power', condition: 'above', value: 10 },
+      { type: 'relay', nodeId: 'esp4', state: 'on' },
+      { type: 'presence', nodeId: 'esp3', state: 'online' },
+      { type: 'time', after: '22:00', before: '06:00', days: [6] }
+    ]
+  });
+  const results = automation.checkConditions(rule.conditions, {
+    reading: () => null,
+    relay: () => 'on',
+    online: () => true,
+    localTime: { day: 6, time: '23:15' }
+  });
+  assert.deepEqual(results.map(result => result.met), [false, true, true, true]);
+  assert.equal(results[0].reason, 'esp4 has no live reading');
+  assert.equal(results[3].reason, 'It is Sat 23:15');
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const circuits = require('../circuits');
+
+const NODES = ['heater', 'kettle', 'fridge'];
+
+function circuit(input = {}) {
+  const { circuit: settings } = circuits.validateCircuit({
+    name: 'Kitchen',
+    maxPower: 3000,
+    nodes: [{ nodeId: 'fridge', priority: 10 }, { nodeId: 'kettle', priority: 5 }, { nodeId: 'heater', priority: 1 }],
+    restoreDelay: 60,
+    ...input
+  }, {}, NODES);
+  return circuits.withState(settings);
+}
+
+function member(nodeId, priority, power, relay = 'on', relaySource = 'user') {
+  return { nodeId, priority, power, live: true, relay, relaySource };
+}
+
+test('validateCircuit checks the limit, nodes and restore settings', () => {
+  const base = { name: 'Kitchen', maxPower: 3000, nodes: [{ nodeId: 'kettle', priority: 1 }] };
+  assert.match(circuits.validateCircuit({ ...base, maxPower: 0 }, {}, NODES).error, /maxPower/);
+  assert.match(circuits.validateCircuit({ ...base, nodes: [] }, {}, NODES).error, /nodes/);
+  assert.match(circuits.validateCircuit({ ...base, nodes: [{ nodeId: 'oven', priority: 1 }] }, {}, NODES).error, /Unknown node: oven/);
+  assert.match(circuits.validateCircuit({ ...base, nodes: [{ nodeId: 'kettle', priority: 1 }, { nodeId: 'kettle', priority: 2 }] }, {}, NODES).error, /listed twice/);
+  assert.match(circuits.validateCircuit({ ...base, nodes: [{ nodeId: 'kettle', priority: 1.5 }] }, {}, NODES).error, /whole number/);
+  assert.match(circuits.validateCircuit({ ...base, restoreDelay: -1 }, {}, NODES).error, /restoreDelay/);
+
+  assert.deepEqual(circuits.validateCircuit(base, {}, NODES).circuit, { ...base, restore: true, restoreDelay: 60 });
+});
+
+test('only live loads with their relay on count towards the total', () => {
+  assert.equal(circuits.totalPower([
+    member('heater', 1, 1000),
+    member('kettle', 5, 2000, 'off'),
+    { ...member('fridge', 10, 150), live: false },
+    member('lamp', 1, null)
+  ]), 1000);
+});
+
+test('the lowest priorities are shed first until the total fits', () => {
+  const result = circuits.evaluate(circuit(), [
+    member('fridge', 10, 200),
+    member('kettle', 5, 2200),
+    member('heater', 1, 1500)
+  ], 1000);
+
+  assert.equal(result.total, 3900);
+  assert.deepEqual(result.shed, [{ nodeId: 'heater', power: 1500, at: 1000 }]);
+  assert.equal(result.restored, null);
+  assert.equal(result.changed, true);
+  assert.equal(result.circuit.lastActionAt, 1000);
+  assert.deepEqual(result.circuit.events[0], { at: 1000, action: 'shed', nodeId: 'heater', power: 1500, total: 3900 });
+});
+
+test('between equal priorities the biggest load goes first', () => {
+  const c = circuit({ nodes: [{ nodeId: 'kettle', priority: 1 }, { nodeId: 'heater', priority: 1 }] });
+  const result = circuits.evaluate(c, [member('heater', 1, 1500), member('kettle', 1, 2200)], 0);
+  assert.deepEqual(result.shed.map(entry => entry.nodeId), ['kettle']);
+});
+
+test('shed nodes come back once they fit and the restore delay has passed', () => {
+  const shedding = circuits.evaluate(circuit(), [member('fridge', 10, 200), member('kettle', 5, 2200), member('heater', 1, 1500)], 0);
+  const afterShed = [member('fridge', 10, 200), member('kettle', 5, 500), member('heater', 1, 0, 'off', 'shed')];
+
+  // Fits, but too soon after the last shed
+  const waiting = circuits.evaluate(shedding.circuit, afterShed, 30 * 1000);
+  assert.equal(waiting.restored, null);
+  assert.equal(waiting.changed, false);
+
+  const restoring = circuits.evaluate(shedding.circuit, afterShed, 60 * 1000);
+  assert.deepEqual(restoring.restored, { nodeId: 'heater', power: 1500, at: 0 });
+  assert.deepEqual(restoring.circuit.shed, []);
+  assert.equal(restoring.circuit.events[0].action, 'restore');
+
+  // Doesn't fit next to the kettle at full power
+  const busy = circuits.evaluate(shedding.circuit, [member('fridge', 10, 200), member('kettle', 5, 2200), member('heater', 1, 0, 'off', 'shed')], 60 * 1000);
+  assert.equal(busy.restored, null);
+});
+
+test('a shed node switched by something else is forgotten', () => {
+  const shedding = circuits.evaluate(circuit(), [member('kettle', 5, 2200), member('heater', 1, 1500)], 0);
+  const result = circuits.evaluate(shedding.circuit, [member('kettle', 5, 2200), member('heater', 1, 0, 'off', 'schedule')], 1000);
+  assert.equal(result.changed, true);
+  assert.deepEqual(result.circuit.shed, []);
+  assert.equal(result.restored, null);
+});
+
+test('restoring can be turned off', () => {
+  const c = circuit({ restore: false });
+  const shedding = circuits.evaluate(c, [member('kettle', 5, 2200), member('heater', 1, 1500)], 0);
+  const result = circuits.evaluate(shedding.circuit, [member('kettle', 5, 0), member('heater', 1, 0, 'off', 'shed')], 3600 * 1000);
+  assert.equal(result.restored, null);
+  assert.equal(result.circuit.shed.length, 1);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cycles = require('../cycles');
+
+const SECOND = 1000;
+
+const settings = cycles.validateSettings({ startPower: 10, endPower: 5, endAfter: 120, minDuration: 60 }).settings;
+
+// Feed [seconds, power] readings through step, then let time pass until
+// quietUntil (seconds). Returns { current, finished } with every finished cycle.
+function run(readings, quietUntil = null, options = settings) {
+  let current = null;
+  const finished = [];
+  const take = (reading, now) => {
+    const result = cycles.step(options, current, reading, now);
+    current = result.current;
+    if (result.finished) finished.push(result.finished);
+  };
+  for (const [seconds, power] of readings) take({ power, timestamp: seconds * SECOND }, seconds * SECOND);
+  if (quietUntil !== null) take(null, quietUntil * SECOND);
+  return { current, finished };
+}
+
+test('validateSettings checks powers and times', () => {
+  assert.match(cycles.validateSettings(null).error, /cycleDetection must be/);
+  assert.match(cycles.validateSettings({ startPower: 0 }).error, /startPower/);
+  assert.match(cycles.validateSettings({ startPower: 10, endPower: 20 }).error, /endPower/);
+  assert.match(cycles.validateSettings({ endAfter: -1 }).error, /endAfter/);
+  assert.deepEqual(cycles.validateSettings({ notify: 1 }).settings, { ...cycles.DEFAULT_SETTINGS, notify: true });
+});
+
+test('a cycle runs from reaching startPower to the last reading above endPower', () => {
+  const { current, finished } = run([[0, 2], [60, 500], [120, 2000], [180, 6], [240, 1], [300, 1], [360, 1]]);
+  assert.equal(current, null);
+  assert.equal(finished.length, 1);
+  const { energyWh, ...cycle } = finished[0];
+  assert.deepEqual(cycle, { start: 60 * SECOND, end: 180 * SECOND, duration: 120, peakPower: 2000 });
+  // 500 W and 2000 W for a minute each; the tail after the last active reading isn't counted
+  assert.equal(Math.round(energyWh * 1000), Math.round(2500 / 60 * 1000));
+});
+
+test('pauses shorter than endAfter don\'t split a cycle', () => {
+  // Active again 130s after the last active reading, but readings kept coming
+  const { current, finished } = run([[0, 500], [60, 1], [110, 1], [130, 800], [200, 1]]);
+  assert.deepEqual(finished, []);
+  assert.equal(current.start, 0);
+  assert.equal(current.lastActiveAt, 130 * SECOND);
+});
+
+test('a node that goes quiet still ends its cycle', () => {
+  const { current, finished } = run([[0, 500], [90, 500]], 300);
+  assert.equal(current, null);
+  assert.deepEqual(finished.map(cycle => [cycle.start, cycle.end]), [[0, 90 * SECOND]]);
+});
+
+test('after a silence the next active reading starts a new cycle', () => {
+  const { current, finished } = run([[0, 500], [90, 500], [600, 700]]);
+  assert.equal(finished.length, 1);
+  assert.equal(finished[0].end, 90 * SECOND);
+  assert.equal(current.start, 600 * SECOND);
+  assert.equal(current.peakPower, 700);
+});
+
+test('cycles shorter than minDuration are dropped', () => {
+  const { current, finished } = run([[0, 500], [30, 500], [60, 1], [200, 1]]);
+  assert.equal(current, null);
+  assert.deepEqual(finished, []);
+});
+
+test('disabled detection never starts a cycle', () => {
+  const { current, finished } = run([[0, 500], [60, 500]], 600, { ...settings, enabled: false });
+  assert.equal(current, null);
+  assert.deepEqual(finished, []);
+});
+
+test('describeCycle gives the duration, energy and peak', () => {
+  assert.equal(cycles.describeCycle({ duration: 72 * 60, energyWh: 850.4, peakPower: 2100 }), '1h 12m, 850 Wh, peak 2100 W');
+  assert.equal(cycles.describeCycle({ duration: 90, energyWh: 3, peakPower: 40.6 }), '2m, 3 Wh, peak 41 W');
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const energy = require('../energy');
+
+const HOUR = 60 * 60 * 1000;
+
+// Local times, so the rollup keys don't depend on the machine's timezone
+function at(hours, minutes = 0) {
+  return new Date(2025, 0, 6, hours, minutes).getTime();
+}
+
+test('the first sample only sets the baseline', () => {
+  const record = energy.createRecord();
+  assert.equal(energy.addSample(record, 100, at(10)), 0);
+  assert.equal(record.lastPower, 100);
+  assert.equal(record.lastTimestamp, at(10));
+  assert.equal(record.lifetimeWh, 0);
+});
+
+test('integrates between samples with the trapezoid rule', () => {
+  const record = energy.createRecord();
+  energy.addSample(record, 100, at(10));
+  const deltaWh = energy.addSample(record, 200, at(10, 1));
+  assert.equal(deltaWh, 150 / 60);
+  assert.equal(record.lifetimeWh, 150 / 60);
+});
+
+test('gaps longer than MAX_GAP_MS are not integrated', () => {
+  const record = energy.createRecord();
+  energy.addSample(record, 1000, at(10));
+  assert.equal(energy.addSample(record, 1000, at(10) + energy.MAX_GAP_MS + 1), 0);
+  assert.equal(energy.addSample(record, 1000, at(10) + energy.MAX_GAP_MS + 1 + HOUR / 60), 1000 / 60);
+});
+
+test('out-of-order samples are ignored', () => {
+  const record = energy.createRecord();
+  energy.addSample(record, 100, at(10, 1));
+  assert.equal(energy.addSample(record, 100, at(10)), 0);
+  assert.equal(record.lastTimestamp, at(10, 1));
+});
+
+test('energy goes into the rollups of the later sample', () => {
+  const record = energy.createRecord();
+  energy.addSample(record, 600, at(10, 59));
+  energy.addSample(record, 600, at(11, 1));
+
+  assert.deepEqual(record.hourly, { '2025-01-06T11': 20 });
+  assert.deepEqual(record.daily, { '2025-01-06': 20 });
+  assert.deepEqual(record.monthly, { '2025-01': 20 });
+});
+
+test('getTotals reports the current day, week and month in kWh', () => {
+  const record = energy.createRecord();
+  record.lifetimeWh = 5000;
+  record.daily = { '2025-01-06': 1000, '2025-01-07': 500, '2025-01-05': 2000 };
+  record.monthly = { '2025-01': 3500 };
+
+  // Tuesday: the week started on Monday the 6th, so Sunday the 5th isn't in it
+  const totals = energy.getTotals(record, new Date(2025, 0, 7, 12));
+  assert.deepEqual(totals, { lifetime: 5, today: 0.5, week: 1.5, month: 3.5 });
+});
+
+test('combineRecords sums totals and rollups', () => {
+  const a = { ...energy.createRecord(), lifetimeWh: 10, daily: { '2025-01-06': 10 } };
+  const b = { ...energy.createRecord(), lifetimeWh: 5, daily: { '2025-01-06': 2, '2025-01-07': 3 } };
+  const combined = energy.combineRecords([a, b]);
+  assert.equal(combined.lifetimeWh, 15);
+  assert.deepEqual(combined.daily, { '2025-01-06': 12, '2025-01-07': 3 });
+});
+
+test('getRollups lists periods in order', () => {
+  const record = { ...energy.createRecord(), daily: { '2025-01-07': 1500, '2025-01-06': 500 } };
+  assert.deepEqual(energy.getRollups(record).daily, [
+    { period: '2025-01-06', kWh: 0.5 },
+    { period: '2025-01-07', kWh: 1.5 }
+  ]);
+});
+
+test('backfilled samples fill the gaps they fall in', () => {
+  const record = energy.createRecord();
+  energy.addSample(record, 1000, at(10));
+  energy.addSample(record, 1000, at(11));
+  assert.equal(record.gaps.length, 1);
+
+  const samples = [];
+  for (let minute = 1; minute < 60; minute++) samples.push({ power: 1000, timestamp: at(10, minute) });
+  const added = energy.backfillSamples(record, samples);
+  assert.equal(added.length, 60);
+  assert.equal(Math.round(record.lifetimeWh * 1000) / 1000, 1000);
+  assert.deepEqual(record.gaps, []);
+
+  // The gap is filled, so uploading the samples again adds nothing
+  assert.deepEqual(energy.backfillSamples(record, samples), []);
+});
+
+test('backfilling keeps the parts of a gap that are still too long', () => {
+  const record = energy.createRecord();
+  energy.addSample(record, 600, at(10));
+  energy.addSample(record, 600, at(11));
+
+  const added = energy.backfillSamples(record, [
+    { power: 600, timestamp: at(10, 1) },
+    // Outside every gap, so ignored
+    { power: 600, timestamp: at(12) }
+  ]);
+  assert.deepEqual(added, [{ timestamp: at(10, 1), deltaWh: 10 }]);
+  assert.deepEqual(record.gaps, [{ from: { power: 600, timestamp: at(10, 1) }, to: { power: 600, timestamp: at(11) } }]);
+});
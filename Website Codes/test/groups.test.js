@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const energy = require('../energy');
+const tariffs = require('../tariff');
+const groups = require('../groups');
+
+const NOW = new Date(2025, 0, 6, 12);
+
+function record(todayWh, todayCost) {
+  return { ...energy.createRecord(), daily: { '2025-01-06': todayWh }, costDaily: { '2025-01-06': todayCost } };
+}
+
+test('validateGroup checks the name and that every node exists', () => {
+  const known = ['esp1', 'esp2'];
+  assert.match(groups.validateGroup({ name: '  ' }, {}, known).error, /name/);
+  assert.match(groups.validateGroup({ name: 'x'.repeat(65) }, {}, known).error, /name/);
+  assert.match(groups.validateGroup({ name: 'Kitchen', nodeIds: 'esp1' }, {}, known).error, /nodeIds/);
+  assert.match(groups.validateGroup({ name: 'Kitchen', nodeIds: ['esp3'] }, {}, known).error, /Unknown node: esp3/);
+
+  assert.deepEqual(groups.validateGroup({ name: ' Kitchen ', nodeIds: ['esp1', 'esp1', 'esp2'] }, {}, known), {
+    group: { name: 'Kitchen', nodeIds: ['esp1', 'esp2'] }
+  });
+});
+
+test('updates merge over the stored group', () => {
+  const { group } = groups.validateGroup({ nodeIds: ['esp2'] }, { name: 'Office', nodeIds: ['esp1'] }, ['esp1', 'esp2']);
+  assert.deepEqual(group, { name: 'Office', nodeIds: ['esp2'] });
+});
+
+test('summarize adds up readings from live members only', () => {
+  const summary = groups.summarize([
+    { nodeId: 'esp1', power: 100, current: 0.5, live: true, relay: 'on', energy: record(1000, 8) },
+    { nodeId: 'esp2', power: 900, current: 4, live: false, relay: 'on', energy: record(500, 4) },
+    { nodeId: 'esp3', power: 50, current: 0.2, live: true, relay: 'off', energy: null }
+  ], tariffs.DEFAULT_TARIFF, NOW);
+
+  assert.deepEqual([summary.nodes, summary.live, summary.relaysOn], [3, 2, 2]);
+  assert.equal(summary.power, 150);
+  assert.equal(summary.current, 0.7);
+  // Energy and cost still count the offline node's usage
+  assert.equal(summary.energy.today, 1.5);
+  assert.equal(summary.cost.today, 12);
+});
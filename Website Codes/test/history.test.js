@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const history = require('../history');
+
+const HEADER = 'Timestamp,Voltage (V),Current (A),Power (W)';
+const T0 = Date.parse('2025-01-06T10:00:00.000Z');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function rawLine(time, voltage, current, power) {
+  return `${new Date(time).toISOString()},${voltage},${current},${power}`;
+}
+
+test('parseTime takes epoch milliseconds or dates, with a fallback when empty', () => {
+  assert.equal(history.parseTime('1736157600000'), 1736157600000);
+  assert.equal(history.parseTime('2025-01-06T10:00:00Z'), T0);
+  assert.equal(history.parseTime(undefined, 42), 42);
+  assert.equal(history.parseTime('', 42), 42);
+  assert.equal(history.parseTime('soon'), null);
+});
+
+test('parseLine reads the first four columns and skips headers', () => {
+  assert.equal(history.parseLine(HEADER), null);
+  assert.deepEqual(history.parseLine(rawLine(T0, 230, 1.5, 345)), { time: T0, voltage: 230, current: 1.5, power: 345 });
+});
+
+test('raw queries return each sample in the range', async (t) => {
+  const file = path.join(tempDir(t), 'raw.csv');
+  fs.writeFileSync(file, [HEADER, rawLine(T0, 230, 1, 230), rawLine(T0 + 1000, 231, 2, 462), rawLine(T0 + 2000, 232, 3, 696)].join('\n') + '\n');
+
+  const { buckets, truncated } = await history.queryHistory([{ file, type: 'raw' }], { from: T0 + 1000, to: T0 + 2000, resolution: 'raw' });
+  assert.equal(truncated, false);
+  assert.deepEqual(buckets.map(bucket => bucket.power.avg), [462, 696]);
+  assert.deepEqual(buckets[0].voltage, { min: 231, avg: 231, max: 231 });
+});
+
+test('coarse resolutions bucket samples into min/avg/max', async (t) => {
+  const file = path.join(tempDir(t), 'raw.csv');
+  const lines = [HEADER];
+  for (let i = 0; i < 120; i++) lines.push(rawLine(T0 + i * 1000, 230, 1, i < 60 ? 100 : 300));
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+
+  const { buckets } = await history.queryHistory([{ file, type: 'raw' }], { from: T0, to: T0 + 200000, resolution: '1m' });
+  assert.equal(buckets.length, 2);
+  assert.equal(buckets[0].time, new Date(T0).toISOString());
+  assert.equal(buckets[0].count, 60);
+  assert.deepEqual(buckets[1].power, { min: 300, avg: 300, max: 300 });
+});
+
+test('gzipped archives and rollups are read alongside raw files', async (t) => {
+  const dir = tempDir(t);
+  const archive = path.join(dir, 'archive.csv.gz');
+  fs.writeFileSync(archive, zlib.gzipSync(`${HEADER}\n${rawLine(T0, 230, 1, 100)}\n`));
+  const rollup = path.join(dir, 'rollup.csv');
+  fs.writeFileSync(rollup, 'Timestamp,Samples,...\n' + `${new Date(T0 + 15 * 60000).toISOString()},10,229,230,231,1,1,1,90,300,500\n`);
+
+  const { buckets } = await history.queryHistory(
+    [{ file: archive, type: 'raw' }, { file: rollup, type: 'rollup' }],
+    { from: T0, to: T0 + 60 * 60000, resolution: '1h' }
+  );
+  assert.equal(buckets.length, 1);
+  assert.equal(buckets[0].count, 11);
+  // The rollup's average is weighted by its sample count
+  assert.equal(buckets[0].power.avg, Math.round((100 + 300 * 10) / 11 * 1000) / 1000);
+  assert.equal(buckets[0].power.max, 500);
+});
+
+test('queries stop at MAX_POINTS and say so', async (t) => {
+  const file = path.join(tempDir(t), 'raw.csv');
+  const lines = [HEADER];
+  for (let i = 0; i < history.MAX_POINTS + 10; i++) lines.push(rawLine(T0 + i * 1000, 230, 1, 100));
+  fs.writeFileSync(file, lines.join('\n') + '\n');
+
+  const { buckets, truncated } = await history.queryHistory([{ file, type: 'raw' }], { from: T0, to: Infinity, resolution: 'raw' });
+  assert.equal(buckets.length, history.MAX_POINTS);
+  assert.equal(truncated, true);
+});
+
+test('missing files are skipped', async () => {
+  const { buckets } = await history.queryHistory([{ file: '/nonexistent/history.csv', type: 'raw' }], { from: 0, to: Infinity, resolution: 'raw' });
+  assert.deepEqual(buckets, []);
+});
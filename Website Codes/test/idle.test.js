@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const idle = require('../idle');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const policy = idle.validatePolicy({ belowPower: 5, minutes: 10, exemptFrom: '22:00', exemptUntil: '06:00' }).policy;
+
+test('validatePolicy checks the limit, minutes and exempt hours', () => {
+  assert.deepEqual(idle.validatePolicy(null), { policy: null });
+  assert.match(idle.validatePolicy('off').error, /idlePolicy must be/);
+  assert.match(idle.validatePolicy({ belowPower: 0, minutes: 10 }).error, /belowPower/);
+  assert.match(idle.validatePolicy({ belowPower: 5, minutes: 24 * 60 + 1 }).error, /minutes/);
+  assert.match(idle.validatePolicy({ belowPower: 5, minutes: 10, exemptFrom: '9am', exemptUntil: '17:00' }).error, /exemptFrom/);
+  assert.match(idle.validatePolicy({ belowPower: 5, minutes: 10, exemptFrom: '09:00' }).error, /both/);
+
+  assert.deepEqual(idle.validatePolicy({ belowPower: 5, minutes: 10 }).policy, { belowPower: 5, minutes: 10, exemptFrom: null, exemptUntil: null });
+});
+
+test('a node idling below the limit for the policy minutes is switched off', () => {
+  const reading = { power: 2, relay: 'on' };
+  assert.deepEqual(idle.step(policy, null, reading, 0, '12:00'), { since: 0, switchOff: false });
+  assert.deepEqual(idle.step(policy, 0, reading, 9 * MINUTE, '12:09'), { since: 0, switchOff: false });
+  assert.deepEqual(idle.step(policy, 0, reading, 10 * MINUTE, '12:10'), { since: null, switchOff: true });
+});
+
+test('drawing power, a relay that is off or the exempt hours reset the idle timer', () => {
+  assert.deepEqual(idle.step(policy, 0, { power: 80, relay: 'on' }, 10 * MINUTE, '12:10'), { since: null, switchOff: false });
+  assert.deepEqual(idle.step(policy, 0, { power: 2, relay: 'off' }, 10 * MINUTE, '12:10'), { since: null, switchOff: false });
+  assert.deepEqual(idle.step(policy, 0, { power: 2, relay: 'on' }, 10 * MINUTE, '23:30'), { since: null, switchOff: false });
+  assert.deepEqual(idle.step(policy, 0, { power: 2, relay: 'on' }, 10 * MINUTE, '05:59'), { since: null, switchOff: false });
+  assert.deepEqual(idle.step(null, 0, { power: 2, relay: 'on' }, 10 * MINUTE, '12:10'), { since: null, switchOff: false });
+});
+
+test('savings add up the standby power while the node stays off', () => {
+  let record = idle.recordSwitchOff(idle.createRecord(), 4, 0);
+
+  const open = idle.summarize(record, 2 * HOUR);
+  assert.equal(open.idleOff, true);
+  assert.equal(open.savedKWh, 0.008);
+  assert.deepEqual(open.events, [{ at: 0, power: 4, until: null, savedWh: 8 }]);
+
+  record = idle.recordSwitchOn(record, 3 * HOUR);
+  record = idle.recordSwitchOff(record, 2, 4 * HOUR);
+  record = idle.recordSwitchOn(record, 5 * HOUR);
+  const closed = idle.summarize(record, 10 * HOUR);
+  assert.equal(closed.idleOff, false);
+  assert.equal(closed.savedKWh, 0.014);
+  assert.deepEqual(closed.events.map(event => event.savedWh), [2, 12]);
+
+  // Switching on a node that wasn't switched off for idling changes nothing
+  assert.equal(idle.recordSwitchOn(record, 11 * HOUR), record);
+});
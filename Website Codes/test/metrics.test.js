@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const metrics = require('../metrics');
+
+test('counters add up per label set', () => {
+  const counter = metrics.createCounter();
+  metrics.increment(counter, { node: 'esp1' });
+  metrics.increment(counter, { node: 'esp1' }, 4);
+  metrics.increment(counter, { node: 'esp2' });
+  assert.deepEqual(metrics.counterSamples(counter), [
+    { labels: { node: 'esp1' }, value: 5 },
+    { labels: { node: 'esp2' }, value: 1 }
+  ]);
+});
+
+test('format writes the text exposition format', () => {
+  const text = metrics.format([
+    {
+      name: 'smartplug_power_watts',
+      help: 'Latest power reading',
+      type: 'gauge',
+      samples: [
+        { labels: { node: 'esp1', name: 'Kettle "big"\\n' }, value: 1500 },
+        { labels: { node: 'esp2' }, value: null },
+        { labels: { node: 'esp3' }, value: NaN }
+      ]
+    },
+    { name: 'smartplug_up', help: 'Always 1', type: 'gauge', samples: [{ value: 1 }, { value: Infinity }] }
+  ]);
+
+  assert.equal(text, [
+    '# HELP smartplug_power_watts Latest power reading',
+    '# TYPE smartplug_power_watts gauge',
+    'smartplug_power_watts{node="esp1",name="Kettle \\"big\\"\\\\n"} 1500',
+    '# HELP smartplug_up Always 1',
+    '# TYPE smartplug_up gauge',
+    'smartplug_up 1',
+    'smartplug_up +Inf',
+    ''
+  ].join('\n'));
+});
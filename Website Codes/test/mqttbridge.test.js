@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const notify = require('../notify');
+
+// Stand-in for an MQTT client connected to a broker; keeps what was published
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = true;
+    this.published = new Map();
+  }
+
+  publish(topic, payload, options, callback) {
+    this.published.set(topic, payload);
+    if (callback) callback();
+  }
+
+  subscribe(topics, callback) {
+    this.subscribed = topics;
+    callback();
+  }
+
+  end(force, options, callback) {
+    this.connected = false;
+    callback();
+  }
+}
+
+let client = null;
+require.cache[require.resolve('mqtt')] = {
+  exports: {
+    connect() {
+      client = new FakeClient();
+      return client;
+    }
+  }
+};
+const mqttbridge = require('../mqttbridge');
+
+function startBridge(t, handlers) {
+  t.mock.method(console, 'log', () => {});
+  const { settings } = mqttbridge.validateSettings({ enabled: true });
+  return { bridge: mqttbridge.startBridge(settings, handlers), client };
+}
+
+test('validateSettings checks the URL, credentials and topics', () => {
+  assert.match(mqttbridge.validateSettings({ url: 'not a url' }).error, /broker URL/);
+  assert.match(mqttbridge.validateSettings({ url: 'http://broker' }).error, /mqtt:\/\//);
+  assert.match(mqttbridge.validateSettings({ password: 'secret' }).error, /needs a username/);
+  assert.match(mqttbridge.validateSettings({ baseTopic: 'plugs/#' }).error, /baseTopic/);
+  assert.match(mqttbridge.validateSettings({ discoveryPrefix: '/ha' }).error, /discoveryPrefix/);
+
+  assert.deepEqual(mqttbridge.validateSettings({}).settings, mqttbridge.DEFAULT_SETTINGS);
+});
+
+test('a masked password sent back keeps the stored one', () => {
+  const { settings } = mqttbridge.validateSettings({ username: 'ha', password: 'secret' });
+  assert.equal(mqttbridge.maskSettings(settings).password, notify.SECRET_MASK);
+
+  const { settings: updated } = mqttbridge.validateSettings({ password: notify.SECRET_MASK, baseTopic: 'plugs' }, settings);
+  assert.equal(updated.password, 'secret');
+  assert.equal(updated.baseTopic, 'plugs');
+});
+
+test('on connect every node is published with discovery configs', (t) => {
+  const relay = { state: 'on', reported: 'off', status: 'pending', source: 'user' };
+  const { client } = startBridge(t, {
+    listNodes: () => [{ nodeId: 'esp 1', name: 'Kettle', online: true, voltage: 230, power: 1500, relay }]
+  });
+  client.emit('connect');
+
+  assert.deepEqual(client.subscribed, ['smartplug/+/relay/set', 'homeassistant/status']);
+  const published = client.published;
+  assert.equal(published.get('smartplug/status'), 'online');
+  assert.equal(published.get('smartplug/esp_1/availability'), 'online');
+  assert.equal(published.get('smartplug/esp_1/power'), '1500');
+  assert.equal(published.has('smartplug/esp_1/current'), false);
+  // The reported state until the node catches up with the desired one
+  assert.equal(published.get('smartplug/esp_1/relay'), 'OFF');
+  assert.deepEqual(JSON.parse(published.get('smartplug/esp_1/relay/attributes')), { desired: 'on', reported: 'off', status: 'pending', source: 'user' });
+
+  const config = JSON.parse(published.get('homeassistant/switch/smartplug_esp_1/relay/config'));
+  assert.equal(config.command_topic, 'smartplug/esp_1/relay/set');
+  assert.equal(config.device.name, 'Kettle');
+  assert.equal(JSON.parse(published.get('homeassistant/sensor/smartplug_esp_1/energy/config')).state_class, 'total_increasing');
+});
+
+test('relay commands are mapped back to the node ID', async (t) => {
+  const commands = [];
+  const { client } = startBridge(t, {
+    listNodes: () => [{ nodeId: 'esp 1', name: 'Kettle', online: false }],
+    setRelay: async (nodeId, state) => commands.push({ nodeId, state })
+  });
+  client.emit('connect');
+
+  client.emit('message', 'smartplug/esp_1/relay/set', Buffer.from('ON'));
+  client.emit('message', 'smartplug/esp_1/relay/set', Buffer.from('toggle'));
+  client.emit('message', 'smartplug/unknown/relay/set', Buffer.from('OFF'));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(commands, [{ nodeId: 'esp 1', state: 'on' }]);
+});
+
+test('removing a node clears its retained topics and stops taking its commands', async (t) => {
+  const commands = [];
+  const { bridge, client } = startBridge(t, {
+    listNodes: () => [{ nodeId: 'esp1', online: true, power: 5 }],
+    setRelay: async (nodeId, state) => commands.push(state)
+  });
+  client.emit('connect');
+
+  mqttbridge.removeNode(bridge, 'esp1');
+  assert.equal(client.published.get('smartplug/esp1/power'), '');
+  assert.equal(client.published.get('homeassistant/switch/smartplug_esp1/relay/config'), '');
+
+  client.emit('message', 'smartplug/esp1/relay/set', Buffer.from('OFF'));
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(commands, []);
+});
+
+test('stopBridge marks the bridge offline and disconnects', async (t) => {
+  const { bridge, client } = startBridge(t, { listNodes: () => [] });
+  await mqttbridge.stopBridge(bridge);
+  assert.equal(client.published.get('smartplug/status'), 'offline');
+  assert.equal(client.connected, false);
+});
+
+test('nothing is published without a bridge or while disconnected', (t) => {
+  mqttbridge.publishReading(null, 'esp1', { power: 5 });
+
+  const { bridge, client } = startBridge(t, { listNodes: () => [] });
+  client.connected = false;
+  mqttbridge.publishAvailability(bridge, 'esp1', true);
+  assert.equal(client.published.size, 0);
+});
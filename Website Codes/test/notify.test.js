@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const notify = require('../notify');
+
+// A local HTTP server standing in for a webhook receiver
+async function receiver(t, status = 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: JSON.parse(body) });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+function webhook(url, route = {}) {
+  return notify.validateChannel({ type: 'webhook', config: { url }, route }).channel;
+}
+
+test('validateChannel checks the type, required config and route', () => {
+  assert.match(notify.validateChannel({ type: 'sms' }).error, /Channel type/);
+  assert.match(notify.validateChannel({ type: 'telegram', config: { botToken: 'x' } }).error, /config.chatId/);
+  assert.match(notify.validateChannel({ type: 'webhook', config: { url: 'ftp://example.com' } }).error, /http\(s\) URL/);
+  assert.match(notify.validateChannel({ type: 'ntfy', config: { topic: 't' }, route: { minSeverity: 'loud' } }).error, /minSeverity/);
+
+  const { channel } = notify.validateChannel({ type: 'ntfy', config: { topic: 'plugs' } });
+  assert.deepEqual(channel, {
+    name: 'ntfy',
+    type: 'ntfy',
+    enabled: true,
+    config: { topic: 'plugs' },
+    route: { nodes: [], minSeverity: 'warning' }
+  });
+});
+
+test('secrets are masked in listings and kept when the mask is sent back', () => {
+  const { channel } = notify.validateChannel({ type: 'telegram', config: { botToken: 'secret', chatId: '42' } });
+  const masked = notify.maskChannel(channel);
+  assert.equal(masked.config.botToken, notify.SECRET_MASK);
+  assert.equal(masked.config.chatId, '42');
+
+  const { channel: updated } = notify.validateChannel({ config: { botToken: notify.SECRET_MASK, chatId: '43' } }, channel);
+  assert.equal(updated.config.botToken, 'secret');
+  assert.equal(updated.config.chatId, '43');
+  assert.match(notify.validateChannel({ type: 'email' }, channel).error, /cannot be changed/);
+});
+
+test('dispatch sends to channels whose route matches', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const all = await receiver(t);
+  const esp2Only = await receiver(t);
+  const criticalOnly = await receiver(t);
+  const channels = {
+    all: webhook(all.url, { minSeverity: 'info' }),
+    esp2: webhook(esp2Only.url, { nodes: ['esp2'] }),
+    critical: webhook(criticalOnly.url, { minSeverity: 'critical' }),
+    disabled: { ...webhook(all.url), enabled: false }
+  };
+
+  const results = await notify.dispatch(channels, { title: 'High power', message: '2500 W', severity: 'warning', nodeId: 'esp1' });
+  assert.deepEqual(results, { all: { ok: true } });
+  assert.equal(all.received.length, 1);
+  assert.equal(all.received[0].body.title, 'High power');
+  assert.equal(esp2Only.received.length, 0);
+  assert.equal(criticalOnly.received.length, 0);
+});
+
+test('failed sends are reported, not thrown', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const failing = await receiver(t, 500);
+  const results = await notify.dispatch({ broken: webhook(failing.url) }, { title: 'x', message: 'y', severity: 'critical' });
+  assert.deepEqual(results, { broken: { ok: false, error: 'HTTP 500' } });
+});
+
+test('webhook headers are sent with the notification', async (t) => {
+  const target = await receiver(t);
+  const { channel } = notify.validateChannel({ type: 'webhook', config: { url: target.url, headers: { 'X-Token': 'abc' } } });
+  assert.deepEqual(await notify.sendToChannel(channel, { title: 'x', message: 'y' }), { ok: true });
+  assert.equal(target.received[0].headers['x-token'], 'abc');
+});
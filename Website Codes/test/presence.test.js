@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const presence = require('../presence');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+test('a new node is offline until it is seen', () => {
+  const record = presence.createRecord(0);
+  assert.equal(record.online, false);
+
+  const { record: seen, cameOnline } = presence.markSeen(record, 'sensor', 1000);
+  assert.equal(cameOnline, true);
+  assert.equal(seen.lastSensorAt, 1000);
+  assert.equal(seen.lastPollAt, null);
+  assert.deepEqual(seen.outages, [{ start: 0, end: 1000 }]);
+
+  const { record: polled, cameOnline: again } = presence.markSeen(seen, 'poll', 2000);
+  assert.equal(again, false);
+  assert.equal(polled.lastPollAt, 2000);
+});
+
+test('a node goes offline after offlineAfter seconds of silence', () => {
+  const offlineAfter = presence.offlineAfterMs({ offlineAfter: 60 });
+  const { record } = presence.markSeen(presence.createRecord(0), 'sensor', 0);
+
+  assert.equal(presence.checkOffline(record, offlineAfter, 59 * 1000).wentOffline, false);
+  const { record: offline, wentOffline } = presence.checkOffline(record, offlineAfter, 60 * 1000);
+  assert.equal(wentOffline, true);
+  assert.equal(offline.online, false);
+  // The outage starts when the node was last heard from
+  assert.deepEqual(offline.outages.at(-1), { start: 0, end: null });
+
+  // Already offline: nothing changes
+  assert.equal(presence.checkOffline(offline, offlineAfter, HOUR).wentOffline, false);
+});
+
+test('silence is only counted from notBefore, e.g. the server start', () => {
+  const { record } = presence.markSeen(presence.createRecord(0), 'sensor', 0);
+  assert.equal(presence.checkOffline(record, 30 * 1000, HOUR, HOUR - 10 * 1000).wentOffline, false);
+  assert.equal(presence.checkOffline(record, 30 * 1000, HOUR + 20 * 1000, HOUR - 10 * 1000).wentOffline, true);
+});
+
+test('readings older than offlineAfter are stale', () => {
+  assert.equal(presence.isStale(null, {}, 1000), true);
+  assert.equal(presence.isStale(HOUR, {}, HOUR + presence.DEFAULT_OFFLINE_AFTER * 1000), false);
+  assert.equal(presence.isStale(HOUR, {}, HOUR + presence.DEFAULT_OFFLINE_AFTER * 1000 + 1), true);
+  assert.equal(presence.isStale(HOUR, { offlineAfter: 120 }, HOUR + 100 * 1000), false);
+});
+
+test('uptime is the share of the last 24 hours the node was online', () => {
+  let { record } = presence.markSeen(presence.createRecord(0), 'sensor', 0);
+  ({ record } = presence.checkOffline({ ...record, lastSeen: 6 * HOUR }, 30 * 1000, 6 * HOUR + MINUTE));
+  ({ record } = presence.markSeen(record, 'sensor', 12 * HOUR));
+
+  // Down from 6h to 12h out of 24h
+  assert.deepEqual(presence.summarize(record, 24 * HOUR), { online: true, lastSeen: 12 * HOUR, uptime: 75 });
+
+  // Outages that ended before the window are dropped when the state next changes
+  ({ record } = presence.checkOffline(record, 30 * 1000, 40 * HOUR));
+  assert.deepEqual(record.outages, [{ start: 12 * HOUR, end: null }]);
+});
+
+test('uptime before any time has passed follows the current state', () => {
+  const record = presence.createRecord(1000);
+  assert.equal(presence.summarize(record, 1000).uptime, 0);
+  assert.equal(presence.summarize(presence.markSeen(record, 'poll', 1000).record, 1000).uptime, 100);
+});
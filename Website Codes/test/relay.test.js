@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const relay = require('../relay');
+
+test('a command is pending until the node reports the desired state', () => {
+  const record = relay.setDesired(null, 'on', 1000, 'schedule');
+  assert.deepEqual(record, {
+    state: 'on',
+    timestamp: 1000,
+    source: 'schedule',
+    reported: null,
+    reportedAt: null,
+    status: 'pending',
+    pendingSince: 1000
+  });
+
+  const confirmed = relay.applyReport(record, 'on', 2000);
+  assert.equal(confirmed.status, 'confirmed');
+  assert.equal(confirmed.pendingSince, null);
+  assert.equal(confirmed.reportedAt, 2000);
+});
+
+test('asking for the state the node already reports is confirmed at once', () => {
+  const record = relay.applyReport(relay.setDesired(null, 'off', 0), 'off', 0);
+  assert.equal(relay.setDesired(record, 'off', 5000).status, 'confirmed');
+  assert.equal(relay.setDesired(record, 'on', 5000).status, 'pending');
+});
+
+test('a confirmed relay that reports a different state goes back to pending', () => {
+  const record = relay.applyReport(relay.setDesired(null, 'on', 0), 'on', 1000);
+  const reset = relay.applyReport(record, 'off', 9000);
+  assert.equal(reset.status, 'pending');
+  assert.equal(reset.pendingSince, 9000);
+});
+
+test('a pending command fails once the acknowledgement timeout passes', () => {
+  const record = relay.applyReport(relay.setDesired(null, 'off', 0), 'off', 0);
+  const pending = relay.setDesired(record, 'on', 1000);
+
+  assert.equal(relay.checkTimeout(pending, 1000 + relay.ACK_TIMEOUT_MS - 1).failed, false);
+  const { record: failed, failed: didFail } = relay.checkTimeout(pending, 1000 + relay.ACK_TIMEOUT_MS);
+  assert.equal(didFail, true);
+  assert.equal(failed.status, 'failed');
+
+  // A late report still confirms it
+  assert.equal(relay.applyReport(failed, 'on', 20000).status, 'confirmed');
+});
+
+test('nodes that have never reported stay pending', () => {
+  const pending = relay.setDesired(null, 'on', 0);
+  assert.equal(relay.checkTimeout(pending, 60 * 60 * 1000).failed, false);
+});
@@ -0,0 +1,216 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const retention = require('../retention');
+
+// Local times, as rotation splits days at local midnight
+const NOW = new Date(2025, 0, 6, 12, 0);
+const YESTERDAY = new Date(2025, 0, 5, 23, 0).getTime();
+const TODAY = new Date(2025, 0, 6, 9, 0).getTime();
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'retention-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+function line(time, power) {
+  return `${new Date(time).toISOString()},230,1,${power}`;
+}
+
+function writeActive(dir, nodeId, lines) {
+  fs.writeFileSync(retention.activeLogPath(dir, nodeId), `${retention.CSV_HEADER}\n` + lines.map(l => `${l}\n`).join(''));
+}
+
+function readRaw(file) {
+  return zlib.gunzipSync(fs.readFileSync(file)).toString('utf8').trim().split('\n');
+}
+
+test('rotation moves past days into gzipped archives and rollups', (t) => {
+  const dir = tempDir(t);
+  writeActive(dir, 'esp1', [line(YESTERDAY, 100), line(YESTERDAY + 1000, 300), line(TODAY, 50)]);
+
+  assert.deepEqual(retention.rotateNodeLog(dir, 'esp1', NOW), ['2025-01-05']);
+
+  const active = fs.readFileSync(retention.activeLogPath(dir, 'esp1'), 'utf8').trim().split('\n');
+  assert.deepEqual(active, [retention.CSV_HEADER, line(TODAY, 50)]);
+
+  const raw = readRaw(retention.rawArchivePath(dir, 'esp1', '2025-01-05'));
+  assert.deepEqual(raw, [retention.CSV_HEADER, line(YESTERDAY, 100), line(YESTERDAY + 1000, 300)]);
+
+  const rollup = fs.readFileSync(path.join(retention.archiveDir(dir), 'node_esp1_rollup_2025-01.csv'), 'utf8').trim().split('\n');
+  assert.equal(rollup.length, 2);
+  const [, count, ...values] = rollup[1].split(',');
+  assert.equal(count, '2');
+  assert.deepEqual(values.slice(6), ['100', '200', '300']);
+});
+
+test('rotation with nothing from past days leaves the log alone', (t) => {
+  const dir = tempDir(t);
+  writeActive(dir, 'esp1', [line(TODAY, 50)]);
+  assert.deepEqual(retention.rotateNodeLog(dir, 'esp1', NOW), []);
+  assert.equal(fs.existsSync(retention.archiveDir(dir)), false);
+});
+
+test('a day rotated twice still reads as one archive', (t) => {
+  const dir = tempDir(t);
+  writeActive(dir, 'esp1', [line(YESTERDAY, 100)]);
+  retention.rotateNodeLog(dir, 'esp1', NOW);
+  writeActive(dir, 'esp1', [line(YESTERDAY + 1000, 200)]);
+  retention.rotateNodeLog(dir, 'esp1', NOW);
+
+  const raw = readRaw(retention.rawArchivePath(dir, 'esp1', '2025-01-05'));
+  assert.deepEqual(raw, [retention.CSV_HEADER, line(YESTERDAY, 100), line(YESTERDAY + 1000, 200)]);
+});
+
+test('applyRetention deletes raw archives and rollups past the policy', (t) => {
+  const dir = tempDir(t);
+  const archive = retention.archiveDir(dir);
+  fs.mkdirSync(archive);
+  for (const file of ['node_esp1_data_2024-12-01.csv.gz', 'node_esp1_data_2025-01-01.csv.gz', 'node_esp1_rollup_2024-06.csv', 'node_esp1_rollup_2024-12.csv']) {
+    fs.writeFileSync(path.join(archive, file), '');
+  }
+  fs.writeFileSync(path.join(dir, 'node_esp1_data_2025-01-01T10-00-00-000Z.csv'), '');
+
+  const deleted = retention.applyRetention(dir, { rawDays: 30, rollupMonths: 3 }, NOW);
+  assert.deepEqual(deleted.sort(), [
+    path.join('archive', 'node_esp1_data_2024-12-01.csv.gz'),
+    path.join('archive', 'node_esp1_rollup_2024-06.csv'),
+    'node_esp1_data_2025-01-01T10-00-00-000Z.csv'
+  ]);
+});
+
+test('a null policy keeps everything', (t) => {
+  const dir = tempDir(t);
+  fs.mkdirSync(retention.archiveDir(dir));
+  fs.writeFileSync(path.join(retention.archiveDir(dir), 'node_esp1_data_2020-01-01.csv.gz'), '');
+  assert.deepEqual(retention.applyRetention(dir, { rawDays: null, rollupMonths: null }, NOW), []);
+});
+
+test('getDiskUsage splits bytes per node and kind', (t) => {
+  const dir = tempDir(t);
+  fs.writeFileSync(retention.activeLogPath(dir, 'esp1'), '12345');
+  fs.mkdirSync(retention.archiveDir(dir));
+  fs.writeFileSync(retention.rawArchivePath(dir, 'esp1', '2025-01-05'), '123');
+  fs.writeFileSync(path.join(retention.archiveDir(dir), 'node_esp2_rollup_2025-01.csv'), '12');
+
+  const usage = retention.getDiskUsage(dir);
+  assert.deepEqual(usage.esp1, { active: 5, rawArchive: 3, rollups: 0, downloadCopies: 0, total: 8, files: 2 });
+  assert.equal(usage.esp2.rollups, 2);
+  assert.deepEqual(retention.listLoggedNodes(dir), ['esp1']);
+});
+
+test('history sources use raw archives, or rollups for coarse resolutions', (t) => {
+  const dir = tempDir(t);
+  writeActive(dir, 'esp1', [line(Date.now(), 50)]);
+  const day = new Date();
+  day.setDate(day.getDate() - 1);
+  const key = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+  fs.mkdirSync(retention.archiveDir(dir));
+  fs.writeFileSync(retention.rawArchivePath(dir, 'esp1', key), '');
+  fs.writeFileSync(path.join(retention.archiveDir(dir), `node_esp1_rollup_${key.slice(0, 7)}.csv`), '');
+
+  const from = day.getTime();
+  const raw = retention.getHistorySources(dir, 'esp1', from, Date.now(), 'raw');
+  assert.deepEqual(raw.map(source => path.basename(source.file)), [`node_esp1_data_${key}.csv.gz`, 'node_esp1_data.csv']);
+
+  const coarse = retention.getHistorySources(dir, 'esp1', from, Date.now(), '1h');
+  assert.deepEqual(coarse.map(source => source.type), ['rollup', 'raw']);
+});
+
+function readActive(dir, nodeId) {
+  return fs.readFileSync(retention.activeLogPath(dir, nodeId), 'utf8').trim().split('\n');
+}
+
+test('insertLines appends lines newer than the active log', async (t) => {
+  const dir = tempDir(t);
+  writeActive(dir, 'esp1', [line(TODAY, 50)]);
+  assert.equal(await retention.insertLines(dir, 'esp1', [line(TODAY + 2000, 70), line(TODAY + 1000, 60)], NOW), 2);
+  assert.deepEqual(readActive(dir, 'esp1'), [retention.CSV_HEADER, line(TODAY, 50), line(TODAY + 1000, 60), line(TODAY + 2000, 70)]);
+});
+
+test('insertLines merges older lines in order and skips ones already logged', async (t) => {
+  const dir = tempDir(t);
+  writeActive(dir, 'esp1', [line(TODAY, 50), line(TODAY + 3000, 80)]);
+  const lines = [line(TODAY + 1000, 60), line(TODAY + 2000, 70), line(TODAY + 2000, 70)];
+
+  assert.equal(await retention.insertLines(dir, 'esp1', lines, NOW), 2);
+  const expected = [retention.CSV_HEADER, line(TODAY, 50), line(TODAY + 1000, 60), line(TODAY + 2000, 70), line(TODAY + 3000, 80)];
+  assert.deepEqual(readActive(dir, 'esp1'), expected);
+
+  assert.equal(await retention.insertLines(dir, 'esp1', lines, NOW), 0);
+  assert.deepEqual(readActive(dir, 'esp1'), expected);
+  assert.deepEqual(fs.readdirSync(dir), ['node_esp1_data.csv']);
+});
+
+test('insertLines puts rotated days into their archives and rebuilds the rollups', async (t) => {
+  const dir = tempDir(t);
+  writeActive(dir, 'esp1', [line(YESTERDAY, 100)]);
+  retention.rotateNodeLog(dir, 'esp1', NOW);
+  writeActive(dir, 'esp1', [line(TODAY, 50)]);
+
+  assert.equal(await retention.insertLines(dir, 'esp1', [line(YESTERDAY + 1000, 300), line(TODAY + 1000, 60)], NOW), 2);
+  assert.deepEqual(readRaw(retention.rawArchivePath(dir, 'esp1', '2025-01-05')),
+    [retention.CSV_HEADER, line(YESTERDAY, 100), line(YESTERDAY + 1000, 300)]);
+  assert.deepEqual(readActive(dir, 'esp1'), [retention.CSV_HEADER, line(TODAY, 50), line(TODAY + 1000, 60)]);
+
+  const rollup = fs.readFileSync(path.join(retention.archiveDir(dir), 'node_esp1_rollup_2025-01.csv'), 'utf8').trim().split('\n');
+  assert.equal(rollup.length, 2);
+  assert.equal(rollup[1].split(',')[1], '2');
+});
+
+test('insertLines leaves days that have not been rotated yet in the active log', async (t) => {
+  const dir = tempDir(t);
+  writeActive(dir, 'esp1', [line(YESTERDAY, 100), line(TODAY, 50)]);
+  assert.equal(await retention.insertLines(dir, 'esp1', [line(YESTERDAY + 1000, 300)], NOW), 1);
+  assert.deepEqual(readActive(dir, 'esp1'), [retention.CSV_HEADER, line(YESTERDAY, 100), line(YESTERDAY + 1000, 300), line(TODAY, 50)]);
+  assert.equal(fs.existsSync(retention.archiveDir(dir)), false);
+});
+
+test('lines the logger appends during a merge are kept once', async (t) => {
+  const dir = tempDir(t);
+  writeActive(dir, 'esp1', [line(TODAY, 50), line(TODAY + 3000, 80)]);
+  const inserting = retention.insertLines(dir, 'esp1', [line(TODAY + 1000, 60)], NOW);
+
+  const logged = [];
+  for (let i = 1; i <= 10; i++) {
+    const entry = line(TODAY + 3000 + i * 1000, 80 + i);
+    fs.appendFileSync(retention.activeLogPath(dir, 'esp1'), `${entry}\n`);
+    logged.push(entry);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  assert.equal(await inserting, 1);
+  assert.deepEqual(readActive(dir, 'esp1'), [retention.CSV_HEADER, line(TODAY, 50), line(TODAY + 1000, 60), line(TODAY + 3000, 80), ...logged]);
+});
+
+test('a rotation during an insert sends the lines to the right files', async (t) => {
+  const dir = tempDir(t);
+  writeActive(dir, 'esp1', [line(YESTERDAY, 100), line(TODAY, 50), line(TODAY + 3000, 80)]);
+  const inserting = retention.insertLines(dir, 'esp1', [line(YESTERDAY + 1000, 300), line(TODAY + 1000, 60)], NOW);
+  await new Promise(resolve => setImmediate(resolve));
+  retention.rotateNodeLog(dir, 'esp1', NOW);
+
+  assert.equal(await inserting, 2);
+  assert.deepEqual(readRaw(retention.rawArchivePath(dir, 'esp1', '2025-01-05')),
+    [retention.CSV_HEADER, line(YESTERDAY, 100), line(YESTERDAY + 1000, 300)]);
+  assert.deepEqual(readActive(dir, 'esp1'), [retention.CSV_HEADER, line(TODAY, 50), line(TODAY + 1000, 60), line(TODAY + 3000, 80)]);
+});
+
+test('inserts for the same node run one at a time', async (t) => {
+  const dir = tempDir(t);
+  writeActive(dir, 'esp1', [line(TODAY + 10000, 50)]);
+  const first = [1, 2, 3].map(i => line(TODAY + i * 1000, i));
+  const second = [2, 3, 4].map(i => line(TODAY + i * 1000, i));
+
+  const added = await Promise.all([
+    retention.insertLines(dir, 'esp1', first, NOW),
+    retention.insertLines(dir, 'esp1', second, NOW)
+  ]);
+  assert.deepEqual(added, [3, 1]);
+  assert.deepEqual(readActive(dir, 'esp1'),
+    [retention.CSV_HEADER, ...[1, 2, 3, 4].map(i => line(TODAY + i * 1000, i)), line(TODAY + 10000, 50)]);
+});
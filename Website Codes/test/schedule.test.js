@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const schedule = require('../schedule');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+function recurring(time, input = {}) {
+  return schedule.validateSchedule({ action: 'on', time, ...input }).schedule;
+}
+
+function iso(timestamp) {
+  return timestamp === null ? null : new Date(timestamp).toISOString();
+}
+
+test('validateSchedule checks each type and normalizes days', () => {
+  assert.match(schedule.validateSchedule({ action: 'on', time: '25:00' }).error, /HH:mm/);
+  assert.match(schedule.validateSchedule({ action: 'toggle', time: '07:00' }).error, /on or off/);
+  assert.match(schedule.validateSchedule({ action: 'on', time: '07:00', days: [7] }).error, /days/);
+  assert.match(schedule.validateSchedule({ action: 'on', time: '07:00', startDate: '2025-02-30' }).error, /startDate/);
+  assert.match(schedule.validateSchedule({ action: 'on', time: '07:00', startDate: '2025-02-02', endDate: '2025-02-01' }).error, /endDate/);
+  assert.match(schedule.validateSchedule({ type: 'once', action: 'on', at: '2025-06-01' }).error, /at must be/);
+  assert.match(schedule.validateSchedule({ type: 'solar', action: 'on', event: 'noon' }).error, /event/);
+  assert.match(schedule.validateSchedule({ type: 'solar', action: 'on', event: 'sunset', offset: 800 }).error, /offset/);
+
+  assert.deepEqual(recurring('07:30', { days: [3, 1, 3] }).days, [1, 3]);
+  assert.deepEqual(recurring('07:30', { days: [0, 1, 2, 3, 4, 5, 6] }).days, []);
+});
+
+test('recurring runs follow the wall clock across DST changes', () => {
+  const settings = { timezone: 'Europe/London' };
+  const daily = recurring('07:30');
+  // 07:30 GMT on the Saturday, 07:30 BST on the Sunday
+  const saturday = schedule.nextRun(daily, Date.UTC(2025, 2, 29, 0), settings);
+  assert.equal(iso(saturday), '2025-03-29T07:30:00.000Z');
+  assert.equal(iso(schedule.nextRun(daily, saturday, settings)), '2025-03-30T06:30:00.000Z');
+});
+
+test('a time skipped by DST runs just after the change', () => {
+  // 02:00 jumps to 03:00: 02:30 runs at 03:30 local
+  assert.equal(iso(schedule.nextRun(recurring('02:30'), Date.UTC(2025, 2, 8, 12), { timezone: 'America/New_York' })), '2025-03-09T07:30:00.000Z');
+  // 01:00 jumps to 02:00: 01:30 runs at 02:30 local
+  assert.equal(iso(schedule.nextRun(recurring('01:30'), Date.UTC(2025, 2, 29, 12), { timezone: 'Europe/London' })), '2025-03-30T01:30:00.000Z');
+});
+
+test('a time repeated by DST runs once, at the first occurrence', () => {
+  const settings = { timezone: 'America/New_York' };
+  const first = schedule.nextRun(recurring('01:30'), Date.UTC(2025, 10, 1, 12), settings);
+  assert.equal(iso(first), '2025-11-02T05:30:00.000Z');
+  // The next run is the following day, not the repeat an hour later
+  assert.equal(iso(schedule.nextRun(recurring('01:30'), first, settings)), '2025-11-03T06:30:00.000Z');
+});
+
+test('the configured timezone decides the day, not the server\'s', () => {
+  // Monday 2025-01-06 20:00 UTC is already Tuesday in Tokyo
+  const mondays = recurring('21:00', { days: [1] });
+  const after = Date.UTC(2025, 0, 6, 20);
+  assert.equal(iso(schedule.nextRun(mondays, after, { timezone: 'UTC' })), '2025-01-06T21:00:00.000Z');
+  assert.equal(iso(schedule.nextRun(mondays, after, { timezone: 'Asia/Tokyo' })), '2025-01-13T12:00:00.000Z');
+  assert.deepEqual(schedule.localTime(after, 'Asia/Tokyo'), { day: 2, time: '05:00' });
+});
+
+test('date ranges and one-off schedules end', () => {
+  const settings = { timezone: 'UTC' };
+  const ranged = recurring('08:00', { startDate: '2025-01-10', endDate: '2025-01-11' });
+  assert.equal(iso(schedule.nextRun(ranged, Date.UTC(2025, 0, 1), settings)), '2025-01-10T08:00:00.000Z');
+  assert.equal(schedule.nextRun(ranged, Date.UTC(2025, 0, 11, 9), settings), null);
+
+  const once = schedule.validateSchedule({ type: 'once', action: 'off', at: '2025-06-01T18:30' }).schedule;
+  const run = schedule.nextRun(once, Date.UTC(2025, 0, 1), { timezone: 'Europe/Paris' });
+  assert.equal(iso(run), '2025-06-01T16:30:00.000Z');
+  assert.equal(schedule.nextRun(once, run, { timezone: 'Europe/Paris' }), null);
+});
+
+test('solar schedules need a location', () => {
+  const sunset = schedule.validateSchedule({ type: 'solar', action: 'on', event: 'sunset', offset: -15 }).schedule;
+  assert.equal(schedule.nextRun(sunset, Date.UTC(2025, 5, 1), { timezone: 'UTC', latitude: null, longitude: null }), null);
+  assert.equal(schedule.describeSchedule(sunset), 'sunset -15 min every day');
+});
+
+test('inWindow wraps past midnight', () => {
+  assert.equal(schedule.inWindow('23:30', '22:00', '06:00'), true);
+  assert.equal(schedule.inWindow('05:59', '22:00', '06:00'), true);
+  assert.equal(schedule.inWindow('06:00', '22:00', '06:00'), false);
+  assert.equal(schedule.inWindow('12:00', '09:00', null), true);
+  assert.equal(schedule.inWindow('08:59', '09:00', null), false);
+});
+
+test('collectDue runs the latest due schedule per node and applies the catch-up policy', () => {
+  const settings = { timezone: 'UTC', catchUp: 'latest', catchUpHours: 12 };
+  const now = Date.UTC(2025, 0, 6, 12);
+  const on = { ...recurring('11:59'), nextRun: now - MINUTE };
+  const off = { ...recurring('12:00', { action: 'off' }), nextRun: now };
+  const missed = { ...recurring('09:00'), nextRun: now - 3 * HOUR };
+  const stale = { ...recurring('23:00'), nextRun: now - 13 * HOUR };
+
+  const { runs, skipped } = schedule.collectDue({ esp1: [on, off], esp2: [missed], esp3: [stale] }, now, settings);
+  assert.deepEqual(runs.map(run => [run.nodeId, run.schedule.action, run.late]), [['esp1', 'off', false], ['esp2', 'on', true]]);
+  assert.deepEqual(skipped.map(run => run.nodeId), ['esp3']);
+
+  const skipping = schedule.collectDue({ esp2: [missed] }, now, { ...settings, catchUp: 'skip' });
+  assert.deepEqual([skipping.runs.length, skipping.skipped.length], [0, 1]);
+});
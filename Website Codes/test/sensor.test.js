@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sensor = require('../sensor');
+
+test('version 1 payloads accept numeric strings', () => {
+  assert.deepEqual(sensor.validateReading({ voltage: '230.5', current: '0', power: 0, relay: 'off' }), {
+    reading: { version: 1, relay: 'off', extended: {}, voltage: 230.5, current: 0, power: 0 }
+  });
+  assert.match(sensor.validateReading({ voltage: 'high', current: 1, power: 1 }).error, /voltage must be a number/);
+  assert.equal(sensor.validateReading({ voltage: 230, current: 1 }).error, 'Missing sensor data');
+  assert.equal(sensor.validateReading(null).error, 'Missing sensor data');
+  assert.match(sensor.validateReading({ voltage: 230, current: -1, power: 1 }).error, /0 or more/);
+});
+
+test('version 2 payloads need real numbers and keep the extended fields they send', () => {
+  const { reading } = sensor.validateReading({
+    v: 2,
+    voltage: 231,
+    current: 2,
+    power: 450,
+    powerFactor: 0.97,
+    frequency: 50,
+    reactivePower: -12,
+    rssi: null
+  });
+  assert.equal(reading.version, 2);
+  assert.deepEqual(reading.extended, { powerFactor: 0.97, frequency: 50, reactivePower: -12 });
+
+  assert.match(sensor.validateReading({ v: 2, voltage: '231', current: 2, power: 450 }).error, /voltage must be a number/);
+  assert.equal(sensor.validateReading({ v: 2, voltage: 231, current: 2, power: 450, powerFactor: 1.2 }).error, 'powerFactor must be a number from -1 to 1');
+  assert.equal(sensor.validateReading({ v: 2, voltage: 231, current: 2, power: 450, uptime: -5 }).error, 'uptime must be a number, 0 or more');
+  assert.match(sensor.validateReading({ v: 3, voltage: 231, current: 2, power: 450 }).error, /Unsupported sensor payload version: 3/);
+});
+
+test('log lines leave the extended fields a reading doesn\'t have empty', () => {
+  assert.equal(sensor.CSV_HEADER.split(',').length, 4 + sensor.EXTENDED_FIELDS.length);
+  assert.equal(sensor.csvLine('2025-01-06T10:00:00.000Z', { voltage: 230, current: 1, power: 230 }), '2025-01-06T10:00:00.000Z,230,1,230,,,,,,,');
+  assert.equal(
+    sensor.csvLine('2025-01-06T10:00:00.000Z', { voltage: 230, current: 1, power: 230, extended: { powerFactor: 0.9, uptime: 60 } }),
+    '2025-01-06T10:00:00.000Z,230,1,230,0.9,,,,,,60'
+  );
+});
+
+test('batches are sorted, deduplicated by timestamp and limited in age', () => {
+  const now = Date.UTC(2025, 0, 6, 12);
+  const reading = (timestamp, power) => ({ timestamp, voltage: 230, current: 1, power });
+
+  const { readings } = sensor.validateBatch([
+    reading(now - 2000, 100),
+    reading(new Date(now - 3000).toISOString(), 50),
+    reading(now - 2000, 200)
+  ], now);
+  assert.deepEqual(readings.map(r => [r.timestamp, r.power]), [[now - 3000, 50], [now - 2000, 200]]);
+
+  assert.equal(sensor.validateBatch([], now).error, 'Expected an array of readings');
+  assert.equal(sensor.validateBatch({}, now).error, 'Expected an array of readings');
+  assert.match(sensor.validateBatch(Array(1001).fill(reading(now, 1)), now).error, /at most 1000/);
+  assert.match(sensor.validateBatch([reading(now, 1), reading('yesterday', 1)], now).error, /^readings\[1\]: timestamp must be epoch/);
+  assert.match(sensor.validateBatch([reading(now - 8 * 24 * 60 * 60 * 1000, 1)], now).error, /within the last 7 days/);
+  assert.match(sensor.validateBatch([reading(now + 2 * 60 * 1000, 1)], now).error, /within the last 7 days/);
+  // A little clock skew from the node is allowed
+  assert.equal(sensor.validateBatch([reading(now + 30 * 1000, 1)], now).readings.length, 1);
+  assert.match(sensor.validateBatch([{ timestamp: now, voltage: 230 }], now).error, /^readings\[0\]: /);
+});
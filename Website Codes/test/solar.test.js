@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const solar = require('../solar');
+const schedule = require('../schedule');
+
+const LONDON = { latitude: 51.5074, longitude: -0.1278 };
+const TROMSO = { latitude: 69.65, longitude: 18.96 };
+
+// Within two minutes of a published time
+function assertNear(timestamp, expected) {
+  const difference = Math.abs(timestamp - Date.parse(expected));
+  assert.ok(difference <= 2 * 60 * 1000, `${new Date(timestamp).toISOString()} is not near ${expected}`);
+}
+
+function sunTimes(date, { latitude, longitude }) {
+  const [year, month, day] = date.split('-').map(Number);
+  return solar.sunTimes({ year, month, day }, latitude, longitude);
+}
+
+test('sunrise and sunset match published times', () => {
+  const midsummer = sunTimes('2025-06-21', LONDON);
+  assertNear(midsummer.sunrise, '2025-06-21T04:43+01:00');
+  assertNear(midsummer.sunset, '2025-06-21T21:21+01:00');
+
+  const midwinter = sunTimes('2025-12-21', LONDON);
+  assertNear(midwinter.sunrise, '2025-12-21T08:04Z');
+  assertNear(midwinter.sunset, '2025-12-21T15:53Z');
+});
+
+test('dates far from UTC get their own local day', () => {
+  // Sydney's sunrise is the evening before in UTC
+  const sydney = sunTimes('2025-06-21', { latitude: -33.8688, longitude: 151.2093 });
+  assertNear(sydney.sunrise, '2025-06-21T07:00+10:00');
+  assertNear(sydney.sunset, '2025-06-21T16:54+10:00');
+
+  // Honolulu's sunset is the next day in UTC
+  const honolulu = sunTimes('2025-01-01', { latitude: 21.31, longitude: -157.86 });
+  assertNear(honolulu.sunrise, '2025-01-01T07:09-10:00');
+  assertNear(honolulu.sunset, '2025-01-01T18:01-10:00');
+});
+
+test('there is no sunrise or sunset in the midnight sun or polar night', () => {
+  assert.deepEqual(sunTimes('2025-06-21', TROMSO), { sunrise: null, sunset: null });
+  assert.deepEqual(sunTimes('2025-12-21', TROMSO), { sunrise: null, sunset: null });
+});
+
+test('solar schedules keep to the sun across a DST change', () => {
+  const settings = { timezone: 'Europe/London', ...LONDON };
+  const sunset = schedule.validateSchedule({ type: 'solar', action: 'on', event: 'sunset', offset: 15 }).schedule;
+
+  const saturday = schedule.nextRun(sunset, Date.UTC(2025, 2, 29), settings);
+  const sunday = schedule.nextRun(sunset, saturday, settings);
+  assertNear(saturday, '2025-03-29T18:42Z');
+  // A couple of minutes later by the sun, though the clocks went forward an hour
+  assertNear(sunday, '2025-03-30T18:44Z');
+  assert.deepEqual(schedule.localTime(sunday, settings.timezone), { day: 0, time: '19:44' });
+});
+
+test('solar schedules wait out a polar night', () => {
+  const sunrise = schedule.validateSchedule({ type: 'solar', action: 'on', event: 'sunrise' }).schedule;
+  const run = schedule.nextRun(sunrise, Date.UTC(2025, 11, 1), { timezone: 'Europe/Oslo', ...TROMSO });
+  assert.equal(schedule.localTime(run, 'Europe/Oslo').time.slice(0, 2), '11');
+  assert.equal(new Date(run).toISOString().slice(0, 10), '2026-01-15');
+});
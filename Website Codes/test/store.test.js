@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const store = require('../store');
+
+function openTemp(t, legacyFiles = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+  for (const [file, data] of Object.entries(legacyFiles)) {
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+  }
+  const db = store.open(path.join(dir, 'test.db'), dir);
+  t.after(() => {
+    store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { db, dir };
+}
+
+test('collections store JSON documents by id', (t) => {
+  const { db } = openTemp(t);
+  assert.deepEqual(db.nodes.set('esp1', { name: 'Kettle' }), { name: 'Kettle' });
+  db.nodes.set('esp2', { name: 'Fridge' });
+
+  assert.deepEqual(db.nodes.get('esp1'), { name: 'Kettle' });
+  assert.equal(db.nodes.get('missing'), undefined);
+  assert.equal(db.nodes.has('esp2'), true);
+  assert.deepEqual(Object.keys(db.nodes.all()), ['esp1', 'esp2']);
+
+  assert.equal(db.nodes.delete('esp1'), true);
+  assert.equal(db.nodes.delete('esp1'), false);
+});
+
+test('update is a read-modify-write and undefined deletes', (t) => {
+  const { db } = openTemp(t);
+  db.relays.update('esp1', (relay = { count: 0 }) => ({ count: relay.count + 1 }));
+  assert.deepEqual(db.relays.update('esp1', relay => ({ count: relay.count + 1 })), { count: 2 });
+
+  db.relays.update('esp1', () => undefined);
+  assert.equal(db.relays.has('esp1'), false);
+});
+
+test('a throwing transaction rolls back every write in it', (t) => {
+  const { db } = openTemp(t);
+  db.nodes.set('esp1', { name: 'before' });
+
+  assert.throws(() => store.transaction(() => {
+    db.nodes.set('esp1', { name: 'after' });
+    db.timers.set('esp1', { running: true });
+    // Nested calls join the outer transaction
+    store.transaction(() => db.schedules.set('esp1', {}));
+    throw new Error('abort');
+  }), /abort/);
+
+  assert.deepEqual(db.nodes.get('esp1'), { name: 'before' });
+  assert.equal(db.timers.has('esp1'), false);
+  assert.equal(db.schedules.has('esp1'), false);
+});
+
+test('legacy JSON files are imported once', (t) => {
+  const { db, dir } = openTemp(t, {
+    'nodes.json': { nodes: { esp1: { name: 'Kettle' } } },
+    'tariff.json': { type: 'flat', flatRate: 8 }
+  });
+  assert.deepEqual(db.nodes.get('esp1'), { name: 'Kettle' });
+  assert.deepEqual(db.settings.get('tariff'), { type: 'flat', flatRate: 8 });
+
+  // Reopening doesn't import again, so later changes aren't overwritten
+  db.nodes.set('esp1', { name: 'Renamed' });
+  store.close();
+  const reopened = store.open(path.join(dir, 'test.db'), dir);
+  assert.deepEqual(reopened.nodes.get('esp1'), { name: 'Renamed' });
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const tariffs = require('../tariff');
+
+function tariff(overrides) {
+  return tariffs.validateTariff(overrides).tariff;
+}
+
+test('validateTariff fills in defaults and normalises the currency', () => {
+  const { tariff: result } = tariffs.validateTariff({ currency: ' eur ', flatRate: 0.3 });
+  assert.equal(result.currency, 'EUR');
+  assert.equal(result.type, 'flat');
+  assert.equal(result.billingCycleStartDay, 1);
+});
+
+test('validateTariff rejects bad input', () => {
+  assert.match(tariffs.validateTariff({ type: 'hourly' }).error, /Tariff type/);
+  assert.match(tariffs.validateTariff({ flatRate: -1 }).error, /non-negative/);
+  assert.match(tariffs.validateTariff({ billingCycleStartDay: 29 }).error, /between 1 and 28/);
+  assert.match(tariffs.validateTariff({ type: 'tou', touBands: [] }).error, /at least one band/);
+  assert.match(tariffs.validateTariff({ type: 'tou', touBands: [{ start: '25:00', end: '06:00', rate: 1 }] }).error, /HH:mm/);
+  assert.match(tariffs.validateTariff({ type: 'tiered', tiers: [{ upToKwh: 100, rate: 1 }, { upToKwh: 50, rate: 2 }] }).error, /increasing/);
+  assert.match(tariffs.validateTariff({ type: 'tiered', tiers: [{ rate: 1 }, { upToKwh: 50, rate: 2 }] }).error, /open-ended/);
+});
+
+test('time-of-use bands wrap past midnight and can be limited to weekdays', () => {
+  const t = tariff({
+    type: 'tou',
+    flatRate: 5,
+    touBands: [
+      { start: '22:00', end: '06:00', rate: 2 },
+      { days: [1, 2, 3, 4, 5], start: '17:00', end: '21:00', rate: 9 }
+    ]
+  });
+
+  assert.equal(tariffs.getRate(t, new Date(2025, 0, 6, 23, 30)), 2);
+  assert.equal(tariffs.getRate(t, new Date(2025, 0, 7, 5, 59)), 2);
+  assert.equal(tariffs.getRate(t, new Date(2025, 0, 7, 6, 0)), 5);
+  // Monday peak, but not on Sunday
+  assert.equal(tariffs.getRate(t, new Date(2025, 0, 6, 18, 0)), 9);
+  assert.equal(tariffs.getRate(t, new Date(2025, 0, 5, 18, 0)), 5);
+});
+
+test('tiered rates go by the usage so far in the cycle', () => {
+  const t = tariff({ type: 'tiered', tiers: [{ upToKwh: 100, rate: 3 }, { upToKwh: 200, rate: 5 }, { rate: 8 }] });
+  assert.equal(tariffs.getRate(t, new Date(), 0), 3);
+  assert.equal(tariffs.getRate(t, new Date(), 99.9), 3);
+  assert.equal(tariffs.getRate(t, new Date(), 100), 5);
+  assert.equal(tariffs.getRate(t, new Date(), 500), 8);
+});
+
+test('tiered rates stay on the last tier past a closed top slab', () => {
+  const t = tariff({ type: 'tiered', tiers: [{ upToKwh: 100, rate: 3 }, { upToKwh: 200, rate: 5 }] });
+  assert.equal(tariffs.getRate(t, new Date(), 250), 5);
+});
+
+test('billing cycles start on the configured day', () => {
+  const t = tariff({ billingCycleStartDay: 15 });
+
+  const before = tariffs.getCycleBounds(t, new Date(2025, 0, 10));
+  assert.equal(before.start.getTime(), new Date(2024, 11, 15).getTime());
+  assert.equal(before.end.getTime(), new Date(2025, 0, 15).getTime());
+
+  const on = tariffs.getCycleBounds(t, new Date(2025, 0, 15, 0, 0));
+  assert.equal(on.start.getTime(), new Date(2025, 0, 15).getTime());
+  assert.equal(on.end.getTime(), new Date(2025, 1, 15).getTime());
+});
+
+test('getCycleKwh adds up the cycle days of every record', () => {
+  const t = tariff({ billingCycleStartDay: 5 });
+  const records = [
+    { daily: { '2025-01-04': 9000, '2025-01-05': 1000, '2025-01-06': 2000 } },
+    { daily: { '2025-01-06': 500 } }
+  ];
+  assert.equal(tariffs.getCycleKwh(t, records, new Date(2025, 0, 6, 12)), 3.5);
+});
+
+test('accrueCost prices the energy into the daily cost rollup', () => {
+  const t = tariff({ flatRate: 10 });
+  const record = {};
+  const timestamp = new Date(2025, 0, 6, 12).getTime();
+  assert.equal(tariffs.accrueCost(record, 500, timestamp, t, 0), 5);
+  tariffs.accrueCost(record, 250, timestamp, t, 0);
+  assert.deepEqual(record.costDaily, { '2025-01-06': 7.5 });
+  assert.equal(tariffs.accrueCost(record, 0, timestamp, t, 0), 0);
+});
+
+test('getCostSummary projects the cycle and adds fixed charges only when asked', () => {
+  const t = tariff({ flatRate: 10, fixedDailyCharge: 1 });
+  const now = new Date(2025, 0, 16, 12); // halfway through January's 31 day cycle
+  const record = { daily: { '2025-01-16': 1000 }, costDaily: { '2025-01-01': 20, '2025-01-16': 10 } };
+
+  const summary = tariffs.getCostSummary(t, [record], { now });
+  assert.equal(summary.today, 10);
+  assert.equal(summary.cycle.cost, 30);
+  assert.equal(summary.cycle.energyKwh, 1);
+  assert.equal(summary.projectedCycleTotal, 60);
+  assert.deepEqual(summary.fixedCharges, { today: 0, cycle: 0, projected: 0 });
+
+  const withFixed = tariffs.getCostSummary(t, [record], { now, includeFixed: true });
+  assert.equal(withFixed.today, 11);
+  assert.equal(withFixed.cycle.cost, 46);
+  assert.deepEqual(withFixed.fixedCharges, { today: 1, cycle: 16, projected: 31 });
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stand-in for node-telegram-bot-api that records replies instead of polling Telegram
+class FakeBot {
+  constructor() {
+    this.listeners = {};
+    this.sent = [];
+  }
+
+  on(event, listener) {
+    this.listeners[event] = listener;
+  }
+
+  sendMessage(chatId, text) {
+    this.sent.push({ chatId, text });
+    return Promise.resolve();
+  }
+
+  // Deliver a message from a chat and wait for the command to finish
+  send(chatId, text) {
+    return this.listeners.message({ chat: { id: chatId }, text });
+  }
+}
+
+let bot = null;
+require.cache[require.resolve('node-telegram-bot-api')] = {
+  exports: function TelegramBot() {
+    bot = new FakeBot();
+    return bot;
+  }
+};
+const telegram = require('../telegram');
+
+function startBot(handlers) {
+  telegram.startBot('token', {
+    getChatRole: (chatId) => (chatId === '1' ? 'operator' : chatId === '2' ? 'viewer' : null),
+    listNodes: () => [{ nodeId: 'esp1', name: 'Kettle', power: 10, online: true, relay: 'on' }],
+    ...handlers
+  });
+  return bot;
+}
+
+test('parseDuration reads seconds, minutes and hours, defaulting to minutes', () => {
+  assert.equal(telegram.parseDuration('45s'), 45);
+  assert.equal(telegram.parseDuration('30m'), 1800);
+  assert.equal(telegram.parseDuration('1.5h'), 5400);
+  assert.equal(telegram.parseDuration('10'), 600);
+  assert.equal(telegram.parseDuration('0s'), null);
+  assert.equal(telegram.parseDuration('soon'), null);
+  assert.equal(telegram.parseDuration(undefined), null);
+});
+
+test('validateSettings needs a Telegram channel and valid chats', () => {
+  const channels = { tg: { type: 'telegram' }, hook: { type: 'webhook' } };
+  assert.match(telegram.validateSettings({ enabled: true, channelId: 'hook' }, channels).error, /Telegram notification channel/);
+  assert.match(telegram.validateSettings({ chats: [{ chatId: 'abc', role: 'viewer' }] }, channels).error, /Invalid chat ID/);
+  assert.match(telegram.validateSettings({ chats: [{ chatId: 5, role: 'admin' }] }, channels).error, /viewer or operator/);
+
+  assert.deepEqual(telegram.validateSettings({ enabled: true, channelId: 'tg', chats: [{ chatId: -100, role: 'operator' }] }, channels), {
+    settings: { enabled: true, channelId: 'tg', chats: [{ chatId: '-100', role: 'operator' }] }
+  });
+});
+
+test('/timer waits for the timer to start before confirming', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const started = [];
+  const bot = startBot({
+    startTimer: async (nodeId, seconds, action) => {
+      await new Promise(resolve => setImmediate(resolve));
+      started.push({ nodeId, seconds, action });
+      return null;
+    }
+  });
+
+  await bot.send(1, '/timer esp1 30m off');
+  assert.deepEqual(started, [{ nodeId: 'esp1', seconds: 1800, action: 'off' }]);
+  assert.deepEqual(bot.sent, [{ chatId: 1, text: 'Timer set: esp1 turns OFF in 30m.' }]);
+});
+
+test('/timer replies with the error when the timer fails to start', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const bot = startBot({ startTimer: async () => 'Failed to start the timer.' });
+
+  await bot.send(1, '/timer esp1 10s on');
+  assert.deepEqual(bot.sent, [{ chatId: 1, text: 'Failed to start the timer.' }]);
+});
+
+test('/timer needs the operator role', async () => {
+  let called = false;
+  const bot = startBot({ startTimer: async () => { called = true; return null; } });
+
+  await bot.send(2, '/timer esp1 10s on');
+  await bot.send(3, '/timer esp1 10s on');
+  assert.equal(called, false);
+  assert.equal(bot.sent.length, 2);
+  assert.match(bot.sent[1].text, /not authorised/);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const timers = require('../timer');
+
+const SECOND = 1000;
+
+function start(input, now = 0) {
+  return timers.createTimer(timers.validateTimer(input).timer, 't1', now);
+}
+
+test('validateTimer checks the settings for each type', () => {
+  assert.match(timers.validateTimer({ type: 'loop' }).error, /type/);
+  assert.match(timers.validateTimer({ duration: 60 }).error, /action/);
+  assert.match(timers.validateTimer({ action: 'off', duration: 0.5 }).error, /duration/);
+  assert.match(timers.validateTimer({ action: 'off', duration: timers.MAX_STEP_SECONDS + 1 }).error, /duration/);
+  assert.match(timers.validateTimer({ type: 'cycle', onSeconds: 60, offSeconds: 60, cycles: 0 }).error, /cycles/);
+
+  // Pulses turn on by default
+  assert.deepEqual(timers.validateTimer({ type: 'pulse', duration: 60 }).timer, { type: 'pulse', action: 'on', duration: 60 });
+});
+
+test('delays switch once at the end, pulses now and back at the end', () => {
+  const delay = start({ action: 'off', duration: 60 });
+  assert.equal(delay.state, null);
+  assert.equal(delay.timer.dueAt, 60 * SECOND);
+  assert.deepEqual(timers.advance(delay.timer, 60 * SECOND), { timer: null, state: 'off' });
+
+  const pulse = start({ type: 'pulse', duration: 30 });
+  assert.equal(pulse.state, 'on');
+  assert.deepEqual(timers.advance(pulse.timer, 29 * SECOND), { timer: pulse.timer, state: null });
+  assert.deepEqual(timers.advance(pulse.timer, 30 * SECOND), { timer: null, state: 'off' });
+});
+
+test('cycles alternate and end off', () => {
+  const { timer, state } = start({ type: 'cycle', onSeconds: 10, offSeconds: 20, cycles: 2 });
+  assert.equal(state, 'on');
+  assert.deepEqual(timer.steps.map(step => step.state), ['off', 'on', 'off']);
+
+  const first = timers.advance(timer, 10 * SECOND);
+  assert.equal(first.state, 'off');
+  assert.equal(first.timer.step, 1);
+  assert.equal(first.timer.dueAt, 30 * SECOND);
+
+  const second = timers.advance(first.timer, 30 * SECOND);
+  assert.equal(second.state, 'on');
+  assert.equal(timers.timerStatus(second.timer, 30 * SECOND).cycle, 2);
+
+  assert.deepEqual(timers.advance(second.timer, 40 * SECOND), { timer: null, state: 'off' });
+});
+
+test('a late wake-up takes every due step and applies only the latest state', () => {
+  const { timer } = start({ type: 'cycle', onSeconds: 10, offSeconds: 10, cycles: 3 });
+  // Due at 10s (off), 20s (on), 30s (off), 40s (on), 50s (off, last)
+  const late = timers.advance(timer, 35 * SECOND);
+  assert.equal(late.state, 'off');
+  assert.equal(late.timer.step, 3);
+  assert.equal(late.timer.dueAt, 40 * SECOND);
+});
+
+test('restored timers skip missed steps and drop finished ones', () => {
+  const { timer: cycle } = start({ type: 'cycle', onSeconds: 10, offSeconds: 10, cycles: 3 });
+  const restored = timers.skipMissed(cycle, 25 * SECOND);
+  assert.equal(restored.step, 2);
+  assert.equal(restored.dueAt, 30 * SECOND);
+  assert.equal(timers.skipMissed(cycle, 60 * SECOND), null);
+
+  const { timer: delay } = start({ action: 'on', duration: 60 });
+  assert.equal(timers.skipMissed(delay, 61 * SECOND), null);
+
+  // Paused timers aren't due, however long the server was down
+  const paused = timers.pause(delay, 10 * SECOND);
+  assert.equal(timers.skipMissed(paused, 3600 * SECOND), paused);
+});
+
+test('pausing keeps the time left on the step until resumed', () => {
+  const { timer } = start({ type: 'cycle', onSeconds: 60, offSeconds: 60, cycles: 1 });
+  const paused = timers.pause(timer, 20 * SECOND);
+  assert.deepEqual([paused.status, paused.dueAt, paused.remainingMs], ['paused', null, 40 * SECOND]);
+  assert.deepEqual(timers.advance(paused, 1000 * SECOND), { timer: paused, state: null });
+  assert.equal(timers.timerStatus(paused, 1000 * SECOND).remainingTime, 40);
+
+  const resumed = timers.resume(paused, 500 * SECOND);
+  assert.deepEqual([resumed.status, resumed.dueAt, resumed.remainingMs], ['running', 540 * SECOND, null]);
+  assert.equal(timers.resume(resumed, 600 * SECOND), resumed);
+});
+
+test('timerStatus counts down to the next switch and the end', () => {
+  const { timer } = start({ type: 'cycle', onSeconds: 10, offSeconds: 20, cycles: 2 });
+  const status = timers.timerStatus(timer, 4 * SECOND);
+  assert.equal(status.nextState, 'off');
+  assert.equal(status.remainingTime, 6);
+  assert.equal(status.totalRemainingTime, 36);
+  assert.equal(status.cycle, 1);
+});
+
+test('legacy timers become delays ending at the same time', () => {
+  const timer = timers.fromLegacy({ startTime: 1000, duration: 90000, action: 'off', endTime: 91000 }, '1000');
+  assert.equal(timer.type, 'delay');
+  assert.equal(timer.duration, 90);
+  assert.equal(timer.dueAt, 91000);
+  assert.equal(timers.skipMissed(timer, 100000), null);
+});
@@ -0,0 +1,159 @@
+// Relay timers: a delayed switch, a pulse, or a repeating on/off cycle
+//
+// Timers are { id, type, action, duration, onSeconds, offSeconds, cycles, steps,
+// step, status, dueAt, remainingMs, createdAt }:
+//   delay  turns the relay to action after duration seconds
+//   pulse  turns it to action (on by default) now and back after duration seconds
+//   cycle  turns it on now, then off after onSeconds and on again after offSeconds,
+//          cycles times, ending off
+// steps is the list of { seconds, state } switches after the start, and step the
+// one being waited for. A running timer switches at dueAt; a paused one keeps the
+// time left on its step in remainingMs. A node can have any number of timers.
+
+const TYPES = ['delay', 'pulse', 'cycle'];
+const MAX_STEP_SECONDS = 7 * 24 * 60 * 60; // keeps every wait within setTimeout's range
+const MAX_CYCLES = 1000;
+
+function opposite(state) {
+  return state === 'on' ? 'off' : 'on';
+}
+
+function isValidSeconds(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_STEP_SECONDS;
+}
+
+// Validate a timer from the API. Returns { timer } with the settings for its type,
+// or { error }. Timers without a type are delays, as before types were added.
+function validateTimer(input) {
+  const type = input.type || 'delay';
+  if (!TYPES.includes(type)) {
+    return { error: `type must be one of: ${TYPES.join(', ')}` };
+  }
+
+  if (type === 'cycle') {
+    for (const key of ['onSeconds', 'offSeconds']) {
+      if (!isValidSeconds(input[key])) {
+        return { error: `${key} must be a whole number of seconds from 1 to ${MAX_STEP_SECONDS}` };
+      }
+    }
+    if (!Number.isInteger(input.cycles) || input.cycles < 1 || input.cycles > MAX_CYCLES) {
+      return { error: `cycles must be a whole number from 1 to ${MAX_CYCLES}` };
+    }
+    return { timer: { type, onSeconds: input.onSeconds, offSeconds: input.offSeconds, cycles: input.cycles } };
+  }
+
+  const action = input.action || (type === 'pulse' ? 'on' : undefined);
+  if (action !== 'on' && action !== 'off') {
+    return { error: 'action must be on or off' };
+  }
+  if (!isValidSeconds(input.duration)) {
+    return { error: `duration must be a whole number of seconds from 1 to ${MAX_STEP_SECONDS}` };
+  }
+  return { timer: { type, action, duration: input.duration } };
+}
+
+function buildSteps(timer) {
+  if (timer.type === 'delay') return [{ seconds: timer.duration, state: timer.action }];
+  if (timer.type === 'pulse') return [{ seconds: timer.duration, state: opposite(timer.action) }];
+
+  const steps = [];
+  for (let i = 0; i < timer.cycles; i++) {
+    steps.push({ seconds: timer.onSeconds, state: 'off' });
+    if (i < timer.cycles - 1) steps.push({ seconds: timer.offSeconds, state: 'on' });
+  }
+  return steps;
+}
+
+// Start a validated timer. Returns { timer, state } with state what to switch the
+// relay to now, or null for a delay.
+function createTimer(settings, id, now) {
+  const steps = buildSteps(settings);
+  const state = settings.type === 'pulse' ? settings.action : settings.type === 'cycle' ? 'on' : null;
+  return {
+    timer: {
+      id,
+      ...settings,
+      steps,
+      step: 0,
+      status: 'running',
+      dueAt: now + steps[0].seconds * 1000,
+      remainingMs: null,
+      createdAt: now
+    },
+    state
+  };
+}
+
+// Take every step that is due by now, so a late wake-up only applies the latest state.
+// Returns { timer, state }: timer is null once the last step is done, and state is
+// what to switch the relay to, or null when nothing was due.
+function advance(timer, now) {
+  if (timer.status !== 'running') return { timer, state: null };
+
+  let { step, dueAt } = timer;
+  let state = null;
+  while (dueAt <= now) {
+    state = timer.steps[step].state;
+    step++;
+    if (step >= timer.steps.length) return { timer: null, state };
+    dueAt += timer.steps[step].seconds * 1000;
+  }
+  return { timer: { ...timer, step, dueAt }, state };
+}
+
+// A timer restored after the server was down. Steps that fell due meanwhile are
+// skipped rather than switched late: returns the timer on the step it would be on
+// now, or null when it would have finished by now.
+function skipMissed(timer, now) {
+  return advance(timer, now).timer;
+}
+
+function pause(timer, now) {
+  if (timer.status !== 'running') return timer;
+  return { ...timer, status: 'paused', dueAt: null, remainingMs: Math.max(0, timer.dueAt - now) };
+}
+
+function resume(timer, now) {
+  if (timer.status !== 'paused') return timer;
+  return { ...timer, status: 'running', dueAt: now + timer.remainingMs, remainingMs: null };
+}
+
+// A timer stored before nodes could have several: { startTime, duration, action, endTime }
+// with duration in milliseconds
+function fromLegacy(record, id) {
+  const settings = { type: 'delay', action: record.action, duration: Math.max(1, Math.round(record.duration / 1000)) };
+  return { id, ...settings, steps: buildSteps(settings), step: 0, status: 'running', dueAt: record.endTime, remainingMs: null, createdAt: record.startTime };
+}
+
+// The timer as returned by the API, with remainingTime the seconds until its next
+// switch and totalRemainingTime the seconds until it finishes
+function timerStatus(timer, now) {
+  const stepLeft = timer.status === 'running' ? Math.max(0, timer.dueAt - now) : timer.remainingMs;
+  const laterSteps = timer.steps.slice(timer.step + 1).reduce((total, step) => total + step.seconds * 1000, 0);
+  const status = {
+    id: timer.id,
+    type: timer.type,
+    status: timer.status,
+    nextState: timer.steps[timer.step].state,
+    remainingTime: Math.ceil(stepLeft / 1000),
+    totalRemainingTime: Math.ceil((stepLeft + laterSteps) / 1000),
+    createdAt: timer.createdAt
+  };
+  if (timer.type === 'cycle') {
+    return { ...status, onSeconds: timer.onSeconds, offSeconds: timer.offSeconds, cycles: timer.cycles, cycle: Math.floor(timer.step / 2) + 1 };
+  }
+  return { ...status, action: timer.action, duration: timer.duration };
+}
+
+module.exports = {
+  TYPES,
+  MAX_STEP_SECONDS,
+  validateTimer,
+  createTimer,
+  advance,
+  skipMissed,
+  pause,
+  resume,
+  fromLegacy,
+  timerStatus
+};